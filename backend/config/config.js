@@ -5,6 +5,42 @@ module.exports = {
   NODE_ENV: process.env.NODE_ENV || 'development',
   MONGODB_URI: process.env.MONGODB_URI,
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRATION: process.env.JWT_EXPIRATION || '24h',
-  ENABLE_LOGGING: process.env.ENABLE_LOGGING === 'true'
+  // Access token lifetime, in seconds or a duration such as '15m'
+  JWT_EXPIRATION: /^\d+$/.test(process.env.JWT_EXPIRATION || '')
+    ? parseInt(process.env.JWT_EXPIRATION)
+    : process.env.JWT_EXPIRATION || '15m',
+  // Seconds a refresh token stays valid (default 30 days)
+  REFRESH_TOKEN_TTL: parseInt(process.env.REFRESH_TOKEN_TTL) || 2592000,
+  ENABLE_LOGGING: process.env.ENABLE_LOGGING === 'true',
+  // Directory for uploaded files such as top-up receipts
+  UPLOAD_DIR: process.env.UPLOAD_DIR || require('path').resolve(__dirname, '../uploads'),
+  // Largest receipt image accepted, in bytes (default 5 MB)
+  RECEIPT_MAX_BYTES: parseInt(process.env.RECEIPT_MAX_BYTES) || 5 * 1024 * 1024,
+  // Accounts promoted to admin on startup (comma-separated emails)
+  ADMIN_EMAILS: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean),
+  // Currency and value of one chip used when a game doesn't set its own
+  DEFAULT_CURRENCY: (process.env.DEFAULT_CURRENCY || 'IDR').toUpperCase(),
+  DEFAULT_CHIP_VALUE: parseFloat(process.env.DEFAULT_CHIP_VALUE) || 500,
+  // Transfers above this many chips wait for the receiver to accept them (0 = always instant)
+  TRANSFER_CONFIRM_THRESHOLD: parseInt(process.env.TRANSFER_CONFIRM_THRESHOLD) || 0,
+  // Seconds an Idempotency-Key is remembered (default 24 hours)
+  IDEMPOTENCY_KEY_TTL: parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 86400,
+  // Tournament defaults: percentage of the prize pool paid to each finishing place, and
+  // seconds per blind level when a tournament doesn't bring its own schedule
+  TOURNAMENT_PAYOUTS: (process.env.TOURNAMENT_PAYOUTS || '50,30,20')
+    .split(',')
+    .map(share => parseFloat(share))
+    .filter(share => share > 0),
+  TOURNAMENT_LEVEL_DURATION: parseInt(process.env.TOURNAMENT_LEVEL_DURATION) || 600,
+  // Seconds the host may stay disconnected before another player becomes host (default 2 minutes)
+  HOST_DISCONNECT_TIMEOUT: parseInt(process.env.HOST_DISCONNECT_TIMEOUT) || 120,
+  // Seconds a released game code stays reserved before it can be handed out again (default 24 hours)
+  GAME_CODE_GRACE_PERIOD: parseInt(process.env.GAME_CODE_GRACE_PERIOD) || 86400,
+  // Seconds game events are kept for reconnecting clients (default 6 hours)
+  GAME_EVENT_TTL: parseInt(process.env.GAME_EVENT_TTL) || 21600,
+  // Most missed events replayed on sync before sending a snapshot instead
+  GAME_EVENT_MAX_REPLAY: parseInt(process.env.GAME_EVENT_MAX_REPLAY) || 200
 };
\ No newline at end of file
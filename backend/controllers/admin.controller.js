@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Game = require('../models/game.model');
+const Hand = require('../models/hand.model');
+const Transaction = require('../models/transaction.model');
+const ledger = require('../services/ledger.service');
+const tokens = require('../services/token.service');
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Escape user input for use in a regular expression
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields of a user shown to admins
+const toAdminUser = user => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  chipBalance: user.chipBalance,
+  role: user.role,
+  isActive: user.isActive,
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin
+});
+
+// Load the user named in the route, answering 400/404 when there is none
+const findTargetUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Search users by username or email
+exports.searchUsers = async (req, res) => {
+  try {
+    const { search, role, isActive } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (isActive === 'true' || isActive === 'false') {
+      query.isActive = isActive === 'true';
+    }
+
+    const users = await User.find(query)
+      .sort({ username: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const totalCount = await User.countDocuments(query);
+
+    return res.status(200).json({
+      success: true,
+      users: users.map(toAdminUser),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin search users error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to search users',
+      error: error.message
+    });
+  }
+};
+
+// Get a user with their latest wallet transactions
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const transactions = await Transaction.getUserTransactions(user._id, 20, 1);
+
+    return res.status(200).json({
+      success: true,
+      user: toAdminUser(user),
+      transactions
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get user',
+      error: error.message
+    });
+  }
+};
+
+// Add chips to or take chips from a user's wallet, recording why
+exports.adjustBalance = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const chipAmount = parseInt(amount);
+    if (!chipAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a non-zero number of chips'
+      });
+    }
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for balance adjustments'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const admin = await User.findById(req.userId).select('username');
+
+    // Positive amounts credit the wallet from the bank, negative amounts debit it back
+    const { transaction, walletBalance } = await ledger.runInTransaction(session =>
+      ledger.transfer(session, {
+        from: chipAmount > 0 ? ledger.bank() : ledger.wallet(user._id),
+        to: chipAmount > 0 ? ledger.wallet(user._id) : ledger.bank(),
+        amount: Math.abs(chipAmount),
+        type: 'adjustment',
+        description: `Adjustment by @${admin ? admin.username : 'admin'}: ${reason.trim()}`
+      })
+    );
+
+    console.log(`Admin ${req.userId} adjusted balance of user ${user._id} by ${chipAmount}: ${reason.trim()}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Balance adjusted by ${chipAmount} chips`,
+      transaction,
+      chipBalance: walletBalance
+    });
+  } catch (error) {
+    console.error('Admin adjust balance error:', error);
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to adjust balance',
+      error: error.message
+    });
+  }
+};
+
+// Deactivate an account: it can no longer log in and its sessions are revoked
+exports.deactivateUser = async (req, res) => {
+  try {
+    if (req.params.userId === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.isActive = false;
+    await user.save();
+    await tokens.revokeUserTokens(user._id);
+
+    // Open sockets were authenticated before; drop them so the account loses access now
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`user:${user._id}`).disconnectSockets(true);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'User deactivated',
+      user: toAdminUser(user)
+    });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user',
+      error: error.message
+    });
+  }
+};
+
+// Reactivate a deactivated account
+exports.activateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.isActive = true;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'User activated',
+      user: toAdminUser(user)
+    });
+  } catch (error) {
+    console.error('Admin activate user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to activate user',
+      error: error.message
+    });
+  }
+};
+
+// Change a user's role
+exports.setUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+    if (req.params.userId === req.userId.toString() && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.role = role;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `Role changed to ${role}`,
+      user: toAdminUser(user)
+    });
+  } catch (error) {
+    console.error('Admin set role error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to change role',
+      error: error.message
+    });
+  }
+};
+
+// List games of any status
+exports.getGames = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+
+    const query = status && status !== 'all' ? { status } : {};
+    const games = await Game.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const totalCount = await Game.countDocuments(query);
+
+    return res.status(200).json({
+      success: true,
+      games: games.map(game => game.toPublicObject()),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get games error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get games',
+      error: error.message
+    });
+  }
+};
+
+// Inspect a game with every chip movement recorded against it
+exports.getGame = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(gameId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid game ID'
+      });
+    }
+
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    const transactions = await Transaction.find({ gameId: game._id }).sort({ timestamp: 1 });
+    const handCount = await Hand.countDocuments({ gameId: game._id });
+
+    return res.status(200).json({
+      success: true,
+      game: game.toPublicObject(),
+      transactions,
+      handCount
+    });
+  } catch (error) {
+    console.error('Admin get game error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get game',
+      error: error.message
+    });
+  }
+};
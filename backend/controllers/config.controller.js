@@ -0,0 +1,22 @@
+const { DEFAULT_VALUATION } = require('../utils/valuation');
+
+// Get the server settings clients should use instead of hardcoding them:
+// the default currency and chip value (games may override both)
+exports.getConfig = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      config: {
+        currency: DEFAULT_VALUATION.currency,
+        chipValue: DEFAULT_VALUATION.chipValue
+      }
+    });
+  } catch (error) {
+    console.error('Get config error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get config',
+      error: error.message
+    });
+  }
+};
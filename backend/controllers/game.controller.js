@@ -2,13 +2,584 @@ const Game = require('../models/game.model');
 const User = require('../models/user.model');
 const GameId = require('../models/game_id.model');
 const Transaction = require('../models/transaction.model');
+const ledger = require('../services/ledger.service');
+const { valuationOf, parseValuation } = require('../utils/valuation');
+const { TOURNAMENT_PAYOUTS, TOURNAMENT_LEVEL_DURATION } = require('../config/config');
+const gameService = require('../services/game.service');
+const gameEvents = require('../services/game_events.service');
+const handHistory = require('../services/hand_history.service');
+const turnTimer = require('../services/turn_timer.service');
+const hostService = require('../services/host.service');
 const mongoose = require('mongoose');
 
+// Move a buy-in from the user's wallet onto the table, or into the prize pool of a tournament
+const buyInPlayer = async (session, user, game, amount) => {
+  await ledger.transfer(session, {
+    from: ledger.wallet(user._id),
+    to: game.isTournament() ? ledger.prize(game._id) : ledger.table(user._id, game._id),
+    amount,
+    type: 'buyIn',
+    description: game.isTournament() ? `Tournament buy-in: ${game.name}` : `Buy-in to game: ${game.name}`,
+    gameId: game._id,
+    valuation: valuationOf(game)
+  });
+};
+
+// A tournament player leaving before the start gets their buy-in back. Once it has started
+// their stack is out of play and any prize is paid when the tournament ends. This goes by
+// the tournament clock rather than the game status, so a tournament cancelled before its
+// start still refunds after the game is marked completed.
+const leaveTournament = async (session, game, player) => {
+  if (game.tournament.startedAt) {
+    return {
+      userId: player.userId,
+      username: player.username,
+      buyIn: player.buyIn,
+      cashOut: 0,
+      net: -player.buyIn,
+      position: player.finishPosition
+    };
+  }
+
+  await ledger.transfer(session, {
+    from: ledger.prize(game._id),
+    to: ledger.wallet(player.userId),
+    amount: player.buyIn,
+    type: 'cashOut',
+    description: `Tournament buy-in refunded: ${game.name}`,
+    gameId: game._id,
+    valuation: valuationOf(game)
+  });
+  return { userId: player.userId, username: player.username, buyIn: player.buyIn, cashOut: player.buyIn, net: 0 };
+};
+
+// Pay a player's table stack back into their wallet and record their net result
+const cashOutPlayer = async (session, game, player) => {
+  if (game.isTournament()) {
+    return leaveTournament(session, game, player);
+  }
+
+  const cashOut = player.chipBalance;
+  const net = cashOut - player.buyIn;
+
+  if (cashOut > 0) {
+    await ledger.transfer(session, {
+      from: ledger.table(player.userId, game._id),
+      to: ledger.wallet(player.userId),
+      amount: cashOut,
+      type: 'cashOut',
+      description: `Cash-out from game: ${game.name}`,
+      gameId: game._id,
+      valuation: valuationOf(game)
+    });
+  }
+
+  // Summary row for the session; it moves no chips, so it sits on the table account
+  await Transaction.createGameTransaction(
+    player.userId,
+    net,
+    game._id,
+    `Net result in game: ${game.name}`,
+    { session, account: 'table', valuation: valuationOf(game) }
+  );
+
+  return { userId: player.userId, username: player.username, buyIn: player.buyIn, cashOut, net };
+};
+
+// Find a game by its MongoDB ID or by its short code in the GameId registry
+const findGameByIdOrCode = async (gameId) => {
+  if (mongoose.Types.ObjectId.isValid(gameId)) {
+    const game = await Game.findById(gameId);
+    if (game) {
+      return game;
+    }
+  }
+
+  const fullId = await GameId.resolve(gameId);
+  return fullId ? Game.findById(fullId) : null;
+};
+
+// Read and check the buy-in requested for a seat against the table's { minBuyIn, maxBuyIn }.
+// Defaults to the whole wallet, capped at the table maximum.
+const parseBuyIn = (body, user, table = {}) => {
+  const buyIn = body.buyIn !== undefined
+    ? parseInt(body.buyIn)
+    : Math.min(user.chipBalance, table.maxBuyIn || Infinity);
+
+  if (!buyIn || buyIn <= 0) {
+    return { error: 'Buy-in must be a positive number of chips' };
+  }
+  if (table.minBuyIn && buyIn < table.minBuyIn) {
+    return { error: `Buy-in must be at least ${table.minBuyIn} chips at this table` };
+  }
+  if (table.maxBuyIn && buyIn > table.maxBuyIn) {
+    return { error: `Buy-in can be at most ${table.maxBuyIn} chips at this table` };
+  }
+  if (buyIn > user.chipBalance) {
+    return { error: 'Not enough chips in your wallet for this buy-in' };
+  }
+  return { buyIn };
+};
+
+// Read the optional table settings of a new game: visibility, password, seat count and buy-in range
+const parseTableSettings = (body) => {
+  const visibility = body.visibility !== undefined ? body.visibility : 'private';
+  if (!['public', 'private'].includes(visibility)) {
+    return { error: 'visibility must be public or private' };
+  }
+
+  const password = body.password ? String(body.password) : null;
+  if (password && password.length < 4) {
+    return { error: 'Table password must be at least 4 characters' };
+  }
+
+  const maxSeats = body.maxSeats !== undefined ? parseInt(body.maxSeats) : 9;
+  if (!(maxSeats >= 2 && maxSeats <= 10)) {
+    return { error: 'maxSeats must be between 2 and 10' };
+  }
+
+  const minBuyIn = body.minBuyIn ? parseInt(body.minBuyIn) : null;
+  const maxBuyIn = body.maxBuyIn ? parseInt(body.maxBuyIn) : null;
+  if ((minBuyIn !== null && !(minBuyIn > 0)) || (maxBuyIn !== null && !(maxBuyIn > 0))) {
+    return { error: 'minBuyIn and maxBuyIn must be positive numbers of chips' };
+  }
+  if (minBuyIn && maxBuyIn && minBuyIn > maxBuyIn) {
+    return { error: 'minBuyIn cannot be larger than maxBuyIn' };
+  }
+
+  return { settings: { visibility, password, maxSeats, minBuyIn, maxBuyIn } };
+};
+
+// Read the settings of a tournament: { buyIn, startingStack, levels, levelDuration, payouts }.
+// Without levels the blinds double every levelDuration seconds from the game's blinds,
+// with antes from the fourth level.
+const parseTournamentSettings = (body, smallBlind, bigBlind) => {
+  const settings = body.tournament || {};
+  const buyIn = parseInt(settings.buyIn);
+  const startingStack = parseInt(settings.startingStack);
+  if (!(buyIn > 0) || !(startingStack > 0)) {
+    return { error: 'A tournament needs a positive buyIn and startingStack' };
+  }
+
+  let levels;
+  if (Array.isArray(settings.levels) && settings.levels.length > 0) {
+    levels = settings.levels.map(level => ({
+      smallBlind: parseInt(level.smallBlind),
+      bigBlind: parseInt(level.bigBlind),
+      ante: parseInt(level.ante) || 0,
+      duration: parseInt(level.duration)
+    }));
+    const invalid = levels.some(level =>
+      !(level.smallBlind > 0) || !(level.bigBlind >= level.smallBlind) || level.ante < 0 || !(level.duration > 0)
+    );
+    if (invalid) {
+      return { error: 'Each blind level needs smallBlind, bigBlind >= smallBlind, ante >= 0 and a duration in seconds' };
+    }
+  } else {
+    const duration = parseInt(settings.levelDuration) || TOURNAMENT_LEVEL_DURATION;
+    levels = Array.from({ length: 10 }, (_, index) => {
+      const levelBigBlind = bigBlind * 2 ** index;
+      return {
+        smallBlind: smallBlind * 2 ** index,
+        bigBlind: levelBigBlind,
+        ante: index >= 3 ? Math.max(Math.floor(levelBigBlind / 10), 1) : 0,
+        duration
+      };
+    });
+  }
+
+  const payouts = Array.isArray(settings.payouts) ? settings.payouts.map(Number) : TOURNAMENT_PAYOUTS;
+  const totalShare = payouts.reduce((sum, share) => sum + share, 0);
+  if (payouts.length === 0 || payouts.some(share => !(share > 0)) || Math.abs(totalShare - 100) > 0.001) {
+    return { error: 'Payouts must be positive percentages that add up to 100' };
+  }
+
+  return { settings: { buyIn, startingStack, levels, payouts, prizePool: 0 } };
+};
+
+// Stack and buy-in of a new seat: the fixed entry and starting stack in a tournament,
+// otherwise the requested buy-in checked against the table range and the wallet
+const parseSeatBuyIn = (body, user, game) => {
+  if (!game.isTournament()) {
+    const { buyIn, error } = parseBuyIn(body, user, game);
+    return { buyIn, stack: buyIn, error };
+  }
+
+  const { buyIn, startingStack } = game.tournament;
+  if (buyIn > user.chipBalance) {
+    return { error: `The tournament buy-in is ${buyIn} chips, more than your wallet holds` };
+  }
+  return { buyIn, stack: startingStack };
+};
+
+// Pick the seat a player asked for, or the lowest open one
+const pickSeat = (game, requested) => {
+  const openSeats = game.getOpenSeats();
+  if (requested === undefined || requested === null) {
+    return openSeats.length > 0 ? { seat: openSeats[0] } : { error: 'This table is full' };
+  }
+
+  const seat = parseInt(requested);
+  if (!(seat >= 0 && seat < game.maxSeats)) {
+    return { error: `Seat must be between 0 and ${game.maxSeats - 1}` };
+  }
+  if (!openSeats.includes(seat)) {
+    return { error: `Seat ${seat} is taken` };
+  }
+  return { seat };
+};
+
+// Fold a player out of any hand in progress, then take them off the table or, with
+// sitOut, keep their seat and deal them out of later hands.
+// The hand moves on if it was waiting for them. A tournament left by its second-to-last
+// player between hands ends here, and its standings are returned as tournamentResults.
+const removeFromTable = (game, userId, { sitOut = false } = {}) => {
+  const player = game.players.find(p => p.userId.toString() === userId.toString());
+  const handNumber = game.handNumber;
+  // Leaving mid-hand counts as a fold in the hand history
+  const fold = game.handInProgress && player && !player.hasFolded
+    ? { type: 'fold', bettingRound: game.bettingRound, userId: player.userId, username: player.username, betTo: player.currentBet }
+    : null;
+
+  // Leaving a tournament gives up the entry: it comes out of the pool before the start,
+  // afterwards the player is knocked out in the worst place still open
+  if (!sitOut && game.isTournament()) {
+    if (game.status === 'pending') {
+      game.tournament.prizePool -= player.buyIn;
+    } else {
+      game.forfeitTournament(userId);
+    }
+  }
+
+  const wasTheirTurn = sitOut ? game.sitOut(userId) : game.foldPlayer(userId);
+  if (!sitOut) {
+    game.removePlayer(userId);
+  }
+
+  let progress = null;
+  let nextHand = null;
+  if (game.handInProgress && (wasTheirTurn || game.getPlayersInHand().length <= 1)) {
+    progress = game.progressHand();
+    nextHand = progress.handComplete && game.status === 'active' ? gameService.beginHand(game) : null;
+  }
+  // A completed hand settles the tournament itself
+  const tournamentResults = progress ? null : game.checkTournamentOver();
+
+  return { player, handNumber, fold, progress, nextHand, tournamentResults };
+};
+
+// Deal a hand if the game is running but idle, e.g. after a player sits in or takes a
+// free seat. Returns the hand dealt, or null.
+const dealIfIdle = (game) =>
+  game.status === 'active' && !game.handInProgress ? gameService.beginHand(game) : null;
+
+// Tell the room about a hand dealt by dealIfIdle and start the clock
+const emitDealtHand = (io, game, hand) => {
+  if (!hand) {
+    return;
+  }
+  turnTimer.schedule(game);
+  if (io) {
+    gameService.emitHandProgress(io, game, game.handNumber, null, hand);
+    gameService.emitTurnChanged(io, game, -1);
+  }
+};
+
+// Broadcast the waiting list of a game to its room
+const emitWaitingList = (io, game) => {
+  if (io) {
+    gameEvents.broadcast(io, game._id.toString(), 'waiting_list_updated', {
+      gameId: game._id.toString(),
+      action: 'waiting_list_updated',
+      waitingList: game.waitingList,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Seat players from the waiting list while the table has free seats, first come first
+// served. Each buy-in is checked against the wallet again; anyone who can no longer
+// afford it is dropped from the list. Runs after the seat was freed and saved, so a
+// failure here is logged instead of failing the request that freed the seat.
+// Returns the game to carry on with: after a failed save that is the stored game, since
+// the document in hand holds seats that were never written.
+const seatWaitingPlayers = async (req, game) => {
+  const io = req.app.get('io');
+
+  try {
+    while (game.status !== 'completed' && game.waitingList.length > 0 && game.getFreeSeats() > 0) {
+      const entry = game.waitingList.shift();
+      const user = await User.findById(entry.userId);
+      const { buyIn, error } = user
+        ? parseBuyIn(entry.buyIn !== null ? { buyIn: entry.buyIn } : {}, user, game)
+        : { error: 'User not found' };
+
+      if (error) {
+        await game.save();
+        if (io) {
+          io.to(`user:${entry.userId}`).emit('waiting_list_removed', {
+            gameId: game._id.toString(),
+            reason: error,
+            timestamp: new Date().toISOString()
+          });
+        }
+        continue;
+      }
+
+      const { seat } = pickSeat(game);
+      game.addPlayer({
+        userId: user._id,
+        username: user.username,
+        chipBalance: buyIn,
+        buyIn,
+        timeBank: game.timeBank,
+        isActive: true,
+        position: seat
+      });
+      const hand = dealIfIdle(game);
+
+      await ledger.runInTransaction(async (session) => {
+        await game.save({ session });
+        await buyInPlayer(session, user, game, buyIn);
+        await gameService.recordHandProgress(session, game, null, hand);
+      });
+
+      if (io) {
+        io.to(`user:${user._id}`).emit('waiting_list_seated', {
+          gameId: game._id.toString(),
+          seat,
+          buyIn,
+          game: game.toPublicObject(user._id),
+          timestamp: new Date().toISOString()
+        });
+        gameEvents.broadcast(io, game._id.toString(), 'player_joined', {
+          gameId: game._id.toString(),
+          action: 'player_joined',
+          userId: user._id.toString(),
+          username: user.username,
+          seat,
+          fromWaitingList: true,
+          game: game.toPublicObject(),
+          timestamp: new Date().toISOString()
+        });
+      }
+      emitDealtHand(io, game, hand);
+    }
+  } catch (error) {
+    console.error(`Error seating waiting players in game ${game._id}:`, error);
+    const stored = await Game.findById(game._id).catch(() => null);
+    if (stored) {
+      game = stored;
+    }
+  }
+
+  emitWaitingList(io, game);
+  return game;
+};
+
+// Leave a game: fold out of any hand, give up the seat and cash the stack back to the wallet.
+// A leaving host hands the game to the next seated player.
+// Once a player is off the table: close the game if nobody is left, otherwise hand the
+// host role on if it was the host who went. Returns the new host, if there is one.
+const handOverTable = async (req, game, userId) => {
+  if (game.status !== 'completed' && game.players.length === 0) {
+    await closeGame(req, game, null);
+    return null;
+  }
+
+  return game.hostId.toString() === userId.toString()
+    ? hostService.promoteNextHost(game, 'left')
+    : null;
+};
+
+const leaveTable = async (req, res, game) => {
+  const userId = req.userId;
+  const gameId = game._id.toString();
+
+  const isPlayer = game.players.some(
+    player => player.userId.toString() === userId.toString()
+  );
+  if (!isPlayer) {
+    return res.status(404).json({
+      success: false,
+      message: 'You are not a player in this game'
+    });
+  }
+
+  if (game.status === 'completed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Game has already ended'
+    });
+  }
+
+  const { player, handNumber, fold, progress, nextHand, tournamentResults } = removeFromTable(game, userId);
+
+  // Save the table and move the chips in one commit
+  const cashOut = await ledger.runInTransaction(async (session) => {
+    await game.save({ session });
+    if (fold) {
+      await handHistory.recordAction(session, game._id, handNumber, fold);
+    }
+    await gameService.recordHandProgress(session, game, progress, nextHand);
+    if (tournamentResults) {
+      await gameService.payPrizes(session, game);
+    }
+    return cashOutPlayer(session, game, player);
+  });
+
+  // The turn may have moved on or the hand ended
+  turnTimer.schedule(game);
+
+  const io = req.app.get('io');
+  if (io) {
+    gameEvents.broadcast(io, gameId, 'player_left', {
+      gameId,
+      action: 'player_left',
+      userId: userId.toString(),
+      username: player.username,
+      game: game.toPublicObject(),
+      timestamp: new Date().toISOString()
+    });
+
+    gameService.emitHandProgress(io, game, handNumber, progress, nextHand);
+    if (progress) {
+      gameService.emitTurnChanged(io, game, -1);
+    }
+    if (tournamentResults) {
+      gameService.emitTournamentFinished(io, game, tournamentResults);
+    }
+  }
+
+  // The freed seat goes to the first player waiting for one
+  if (game.waitingList.length > 0) {
+    game = await seatWaitingPlayers(req, game);
+  }
+
+  // Someone else has to run the game once the host is gone
+  const newHost = await handOverTable(req, game, userId);
+
+  return res.status(200).json({
+    success: true,
+    message: `Left the game with ${cashOut.cashOut} chips`,
+    cashOut,
+    newHostId: newHost ? newHost.userId : undefined,
+    game: game.toPublicObject(userId)
+  });
+};
+
+// End a tournament early: abandon any unfinished hand, then refund every buy-in if it
+// never started, or pay out the pool on the current stacks. Returns the standings.
+const closeTournament = async (req, game, endedBy) => {
+  const cancelled = game.cancelHand();
+
+  const started = Boolean(game.tournament.startedAt);
+  const players = started ? [] : game.players.filter(player => !player.cashedOut);
+  if (started) {
+    game.finishTournament();
+  } else {
+    game.endGame();
+    players.forEach(player => {
+      player.cashedOut = true;
+    });
+  }
+
+  const results = await ledger.runInTransaction(async (session) => {
+    await game.save({ session });
+    await gameService.recordHandCancel(session, game, cancelled);
+    if (started) {
+      await gameService.payPrizes(session, game);
+      return [...game.tournament.results].sort((a, b) => a.position - b.position);
+    }
+
+    const refunds = [];
+    for (const player of players) {
+      refunds.push(await cashOutPlayer(session, game, player));
+    }
+    await GameId.release(game._id, { session });
+    return refunds;
+  });
+
+  turnTimer.cancel(game._id);
+  hostService.cancel(game._id);
+
+  const io = req.app.get('io');
+  if (io) {
+    gameService.emitTournamentFinished(io, game, results, endedBy);
+  }
+
+  return results;
+};
+
+// End a game: abandon any unfinished hand, settle every stack back into its owner's
+// wallet and tell the room. Returns the cash-out of each player.
+const closeGame = async (req, game, endedBy) => {
+  if (game.isTournament()) {
+    return closeTournament(req, game, endedBy);
+  }
+
+  // Abandon any unfinished hand and mark every stack as settled
+  const cancelled = game.cancelHand();
+  game.endGame();
+  const players = game.players.filter(player => !player.cashedOut);
+  players.forEach(player => {
+    player.cashedOut = true;
+  });
+
+  // Save the completed game, move the abandoned hand's chips back out of the pot and
+  // pay every remaining stack back into its owner's wallet
+  const results = await ledger.runInTransaction(async (session) => {
+    await game.save({ session });
+    await gameService.recordHandCancel(session, game, cancelled);
+
+    const cashOuts = [];
+    for (const player of players) {
+      cashOuts.push(await cashOutPlayer(session, game, player));
+    }
+    return cashOuts;
+  });
+
+  // Nobody has to act any more, and the game's code can be recycled after its grace period
+  turnTimer.cancel(game._id);
+  hostService.cancel(game._id);
+  await GameId.release(game._id).catch(error => {
+    console.error(`Error releasing code of game ${game._id}:`, error);
+  });
+
+  const io = req.app.get('io');
+  if (io) {
+    gameEvents.broadcast(io, game._id.toString(), 'game_ended', {
+      gameId: game._id.toString(),
+      action: 'game_ended',
+      endedBy,
+      results,
+      game: game.toPublicObject(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return results;
+};
+
+// Answer a write that lost the race against another update of the same game,
+// sending back the state that won so the client can retry from it
+const sendConflict = async (req, res) => {
+  const { gameId } = req.params;
+  const current = await findGameByIdOrCode(gameId);
+
+  return res.status(409).json({
+    success: false,
+    code: 'version-conflict',
+    message: 'The game was updated by another request, please try again',
+    game: current ? current.toPublicObject(req.userId) : null
+  });
+};
+
 // Create a new game with unique ID
 exports.createGame = async (req, res) => {
   try {
     console.log("Create game request received");
-    const { name, smallBlind, bigBlind } = req.body;
+    const { name, smallBlind, bigBlind, actionTimeout, timeBank, allowSpectators } = req.body;
     const hostId = req.userId;
 
     // Validate game data
@@ -19,6 +590,29 @@ exports.createGame = async (req, res) => {
       });
     }
 
+    // Turn clock settings are optional, the schema defaults apply when they are left out
+    if (actionTimeout !== undefined && !(parseInt(actionTimeout) >= 5)) {
+      return res.status(400).json({
+        success: false,
+        message: 'actionTimeout must be at least 5 seconds'
+      });
+    }
+    if (timeBank !== undefined && !(parseInt(timeBank) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timeBank cannot be negative'
+      });
+    }
+
+    // Currency and chip value default to the system settings
+    const { valuation, error: valuationError } = parseValuation(req.body);
+    if (valuationError) {
+      return res.status(400).json({
+        success: false,
+        message: valuationError
+      });
+    }
+
     // Get host user
     const hostUser = await User.findById(hostId);
     if (!hostUser) {
@@ -28,46 +622,114 @@ exports.createGame = async (req, res) => {
       });
     }
 
-    console.log("Creating game object");
+    const { settings, error: settingsError } = parseTableSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const gameType = req.body.gameType || 'cash';
+    if (!['cash', 'tournament'].includes(gameType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'gameType must be cash or tournament'
+      });
+    }
 
-    // Generate a temporary 6-character ID
-    const charset = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let shortId = '';
-    for (let i = 0; i < 6; i++) {
-      shortId += charset.charAt(Math.floor(Math.random() * charset.length));
+    let tournament = null;
+    if (gameType === 'tournament') {
+      const { settings: tournamentSettings, error: tournamentError } =
+        parseTournamentSettings(req.body, parseInt(smallBlind), parseInt(bigBlind));
+      if (tournamentError) {
+        return res.status(400).json({
+          success: false,
+          message: tournamentError
+        });
+      }
+      tournament = tournamentSettings;
     }
-    console.log(`Generated short ID: ${shortId}`);
 
-    // Store the short ID directly in the game document (as a temporary solution)
-    // Create game
+    // Create game (its short code is copied onto the document once it is reserved)
+    const gameObjectId = new mongoose.Types.ObjectId();
     const game = new Game({
+      _id: gameObjectId,
       name,
       hostId,
-      shortId, // Add shortId directly to the game document as a temporary solution
       smallBlind: parseInt(smallBlind),
       bigBlind: parseInt(bigBlind),
-      players: [{
-        userId: hostUser._id,
-        username: hostUser.username,
-        chipBalance: hostUser.chipBalance,
-        isActive: true,
-        position: 0
-      }]
+      actionTimeout: actionTimeout !== undefined ? parseInt(actionTimeout) : undefined,
+      timeBank: timeBank !== undefined ? parseInt(timeBank) : undefined,
+      allowSpectators: allowSpectators === true,
+      currency: valuation.currency,
+      chipValue: valuation.chipValue,
+      visibility: settings.visibility,
+      maxSeats: settings.maxSeats,
+      minBuyIn: settings.minBuyIn,
+      maxBuyIn: settings.maxBuyIn,
+      gameType,
+      tournament
+    });
+
+    // The host takes the first seat
+    const { buyIn, stack, error: buyInError } = parseSeatBuyIn(req.body, hostUser, game);
+    if (buyInError) {
+      return res.status(400).json({
+        success: false,
+        message: buyInError
+      });
+    }
+    game.addPlayer({
+      userId: hostUser._id,
+      username: hostUser.username,
+      chipBalance: stack,
+      buyIn,
+      timeBank: game.timeBank,
+      isActive: true,
+      position: 0
     });
+    if (game.isTournament()) {
+      game.tournament.prizePool += buyIn;
+    }
+    await game.setPassword(settings.password);
+
+    // Reserve a short code in the registry for the new game's ID once every check has
+    // passed. This happens outside the transaction below, because a duplicate key error
+    // would abort it.
+    const shortId = await GameId.allocate(gameObjectId);
+    game.shortId = shortId;
 
     console.log("Saving game to database");
-    // Save game
-    const savedGame = await game.save();
+    // Save game and move the host's buy-in onto the table in one commit
+    let savedGame;
+    try {
+      savedGame = await ledger.runInTransaction(async (session) => {
+        const saved = await game.save({ session });
+        await buyInPlayer(session, hostUser, saved, buyIn);
+        return saved;
+      });
+    } catch (error) {
+      // Nothing was saved, so the code can go back into the pool straight away
+      await GameId.discard(gameObjectId).catch(() => {});
+      throw error;
+    }
 
     // Return success response with the game and short ID
     return res.status(201).json({
       success: true,
-      message: 'Game created successfully (with temporary ID)',
-      game: savedGame,
+      message: 'Game created successfully',
+      game: savedGame.toPublicObject(hostId),
       shortId: shortId
     });
   } catch (error) {
     console.error('Create game error:', error);
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       message: 'Failed to create game',
@@ -84,18 +746,8 @@ exports.joinGame = async (req, res) => {
 
     console.log(`Attempting to join game with ID: ${gameId}`);
 
-    // Find game - could be full MongoDB ID or shortId
-    let game;
-
-    // First try to find by MongoDB ObjectId
-    if (mongoose.Types.ObjectId.isValid(gameId)) {
-      game = await Game.findById(gameId);
-    }
-
-    // If not found, try by shortId
-    if (!game && gameId.length === 6) {
-      game = await Game.findOne({ shortId: gameId.toUpperCase() });
-    }
+    // Find game - could be full MongoDB ID or short code
+    const game = await findGameByIdOrCode(gameId);
 
     if (!game) {
       return res.status(404).json({
@@ -104,11 +756,13 @@ exports.joinGame = async (req, res) => {
       });
     }
 
-    // Check if game is open for joining
-    if (game.status !== 'pending') {
+    // Cash tables take new players while running; tournaments only before their start
+    if (game.status === 'completed' || (game.status !== 'pending' && game.isTournament())) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot join a game that has already started or ended'
+        message: game.status === 'completed'
+          ? 'Cannot join a game that has ended'
+          : 'Cannot join a tournament that has already started'
       });
     }
 
@@ -130,30 +784,103 @@ exports.joinGame = async (req, res) => {
       return res.status(200).json({
         success: true,
         message: 'You are already in this game',
-        game,
+        game: game.toPublicObject(userId),
         alreadyJoined: true
       });
     }
 
-    // Add player to game
+    // Password-protected tables need the password, even with the code
+    if (!(await game.checkPassword(req.body.password))) {
+      return res.status(403).json({
+        success: false,
+        code: 'wrong-password',
+        message: req.body.password ? 'Incorrect table password' : 'This table requires a password'
+      });
+    }
+
+    if (game.getFreeSeats() === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'table-full',
+        message: 'This table is full, join the waiting list to get the next free seat'
+      });
+    }
+
+    // Optional seat number; the lowest open seat otherwise
+    const { seat, error: seatError } = pickSeat(game, req.body.seat);
+    if (seatError) {
+      return res.status(400).json({
+        success: false,
+        code: 'seat-unavailable',
+        message: seatError
+      });
+    }
+
+    const { buyIn, stack, error: buyInError } = parseSeatBuyIn(req.body, user, game);
+    if (buyInError) {
+      return res.status(400).json({
+        success: false,
+        message: buyInError
+      });
+    }
+
+    // Add player to game. Someone joining a running table sits out the hand in progress;
+    // at an idle one the next hand is dealt straight away.
     game.addPlayer({
       userId: user._id,
       username: user.username,
-      chipBalance: user.chipBalance,
+      chipBalance: stack,
+      buyIn,
+      timeBank: game.timeBank,
       isActive: true,
-      position: game.players.length
+      position: seat
+    });
+    const wasWaiting = game.removeFromWaitingList(userId);
+    if (game.isTournament()) {
+      game.tournament.prizePool += buyIn;
+    }
+    const hand = dealIfIdle(game);
+
+    // Save game and move the buy-in from the wallet onto the table in one commit
+    await ledger.runInTransaction(async (session) => {
+      await game.save({ session });
+      await buyInPlayer(session, user, game, buyIn);
+      await gameService.recordHandProgress(session, game, null, hand);
     });
 
-    // Save game
-    await game.save();
+    const io = req.app.get('io');
+    if (io) {
+      gameEvents.broadcast(io, game._id.toString(), 'player_joined', {
+        gameId: game._id.toString(),
+        action: 'player_joined',
+        userId: userId.toString(),
+        username: user.username,
+        seat,
+        game: game.toPublicObject(),
+        timestamp: new Date().toISOString()
+      });
+      if (wasWaiting) {
+        emitWaitingList(io, game);
+      }
+    }
+    emitDealtHand(io, game, hand);
 
     return res.status(200).json({
       success: true,
       message: 'Successfully joined the game',
-      game
+      game: game.toPublicObject(userId)
     });
   } catch (error) {
     console.error('Join game error:', error);
+    if (error instanceof mongoose.Error.VersionError) {
+      return sendConflict(req, res);
+    }
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       message: 'Failed to join game',
@@ -167,8 +894,8 @@ exports.getGame = async (req, res) => {
   try {
     const { gameId } = req.params;
 
-    // Find game
-    const game = await Game.findById(gameId);
+    // Find game - could be full MongoDB ID or short code
+    const game = await findGameByIdOrCode(gameId);
     if (!game) {
       return res.status(404).json({
         success: false,
@@ -176,12 +903,11 @@ exports.getGame = async (req, res) => {
       });
     }
 
-    // Find the short ID for this game
-    const gameIdRecord = await GameId.findOne({ fullId: game._id });
-    const shortId = gameIdRecord ? gameIdRecord.shortId : null;
+    // Find the short code this game holds (null once it has been released)
+    const shortId = await GameId.getCode(game._id);
 
     // Add the short ID to the response
-    const gameResponse = game.toObject();
+    const gameResponse = game.toPublicObject(req.userId);
     gameResponse.shortId = shortId;
 
     return res.status(200).json({
@@ -237,42 +963,62 @@ exports.startGame = async (req, res) => {
       });
     }
 
-    // Start game
+    // Start game and deal the first hand
     game.startGame();
+    const firstHand = gameService.beginHand(game);
+
+    // Save game with updated status together with the blinds posted
+    const savedGame = await ledger.runInTransaction(async (session) => {
+      const saved = await game.save({ session });
+      await gameService.recordHandProgress(session, saved, null, firstHand);
+      return saved;
+    });
 
-    // Save game with updated status
-    const savedGame = await game.save();
+    // Start the clock for the first player to act
+    turnTimer.schedule(savedGame);
 
     // Get the io instance to broadcast updates to all connected clients
     const io = req.app.get('io');
     if (io) {
       // Emit a specific game_started event to all clients in this game room
       console.log(`Broadcasting game_started event to room: ${gameId}`);
-      io.to(gameId).emit('game_started', {
+      gameEvents.broadcast(io, gameId, 'game_started', {
         gameId,
         action: 'game_started',
         message: 'Game has started!',
-        game: savedGame.toObject(),
+        game: savedGame.toPublicObject(),
         timestamp: new Date().toISOString()
       });
 
       // Also emit a general game_update event for clients that might not be listening to game_started
-      io.to(gameId).emit('game_update', {
+      gameEvents.broadcast(io, gameId, 'game_update', {
         gameId,
         action: 'game_update',
         message: 'Game has started!',
-        game: savedGame.toObject(),
+        game: savedGame.toPublicObject(),
         timestamp: new Date().toISOString()
       });
+
+      gameService.emitHandProgress(io, savedGame, savedGame.handNumber, null, firstHand);
+      gameService.emitTurnChanged(io, savedGame, -1);
     }
 
     return res.status(200).json({
       success: true,
       message: 'Game started successfully',
-      game: savedGame
+      game: savedGame.toPublicObject(userId)
     });
   } catch (error) {
     console.error('Start game error:', error);
+    if (error instanceof mongoose.Error.VersionError) {
+      return sendConflict(req, res);
+    }
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       message: 'Failed to start game',
@@ -281,169 +1027,60 @@ exports.startGame = async (req, res) => {
   }
 };
 
-// Game action (check, call, raise, fold)
+// Game action (check, call, bet, raise, allin, fold)
 exports.gameAction = async (req, res) => {
   try {
     const { gameId } = req.params;
     const { action, amount } = req.body;
     const userId = req.userId;
 
-    // Find game
-    const game = await Game.findById(gameId);
-    if (!game) {
-      return res.status(404).json({
-        success: false,
-        message: 'Game not found'
-      });
+    // Leaving the table is allowed at any time, not just on your turn
+    if (action === 'leave') {
+      const game = await Game.findById(gameId);
+      if (!game) {
+        return res.status(404).json({
+          success: false,
+          message: 'Game not found'
+        });
+      }
+      return leaveTable(req, res, game);
     }
 
-    // Check if game is active
-    if (game.status !== 'active') {
-      return res.status(400).json({
-        success: false,
-        message: 'Game is not active'
-      });
-    }
+    // Process game action
+    const result = await gameService.performAction(req.app.get('io'), {
+      gameId,
+      userId,
+      action,
+      amount
+    });
 
-    // Check if it's the user's turn
-    const currentPlayer = game.players[game.currentPlayerIndex];
-    if (currentPlayer.userId.toString() !== userId.toString()) {
-      return res.status(403).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: 'It\'s not your turn'
+        code: result.code,
+        message: result.message
       });
     }
 
-    // Process game action
-    let actionResult = false;
-    let actionMessage = '';
-
-    switch (action) {
-      case 'check':
-        // No chip changes for check
-        actionResult = true;
-        actionMessage = 'Check';
-        break;
-
-      case 'call':
-        // Deduct current bet amount from player's balance
-        if (currentPlayer.chipBalance >= game.currentBet) {
-          game.pot += game.currentBet;
-          actionResult = game.updatePlayerChips(userId, -game.currentBet);
-          actionMessage = `Call: ${game.currentBet} chips`;
-
-          // Create transaction record
-          await Transaction.createGameTransaction(
-            userId,
-            -game.currentBet,
-            gameId,
-            `Call in game: ${game.name}`
-          );
-        } else {
-          return res.status(400).json({
-            success: false,
-            message: 'Not enough chips to call'
-          });
-        }
-        break;
-
-      case 'raise':
-        // Validate raise amount
-        const raiseAmount = parseInt(amount);
-        if (!raiseAmount || raiseAmount < game.currentBet * 2) {
-          return res.status(400).json({
-            success: false,
-            message: `Raise must be at least ${game.currentBet * 2} chips`
-          });
-        }
-
-        // Check if player has enough chips
-        if (currentPlayer.chipBalance >= raiseAmount) {
-          game.pot += raiseAmount;
-          game.currentBet = raiseAmount;
-          actionResult = game.updatePlayerChips(userId, -raiseAmount);
-          actionMessage = `Raise: ${raiseAmount} chips`;
-
-          // Create transaction record
-          await Transaction.createGameTransaction(
-            userId,
-            -raiseAmount,
-            gameId,
-            `Raise in game: ${game.name}`
-          );
-        } else {
-          return res.status(400).json({
-            success: false,
-            message: 'Not enough chips to raise'
-          });
-        }
-        break;
+    // Restart the turn clock for whoever has to act next
+    turnTimer.schedule(result.game);
 
-      case 'fold':
-        // Mark player as inactive
-        currentPlayer.isActive = false;
-        actionResult = true;
-        actionMessage = 'Fold';
-        break;
-
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid action'
-        });
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      game: result.game.toPublicObject(userId)
+    });
+  } catch (error) {
+    console.error('Game action error:', error);
+    if (error instanceof mongoose.Error.VersionError) {
+      return sendConflict(req, res);
     }
-
-    if (actionResult) {
-      // Move to next player's turn
-      const oldPlayerIndex = game.currentPlayerIndex;
-      game.nextTurn();
-
-      // Log the player turn change
-      console.log(`Game ${gameId}: Player turn changed from index ${oldPlayerIndex} to ${game.currentPlayerIndex}`);
-
-      // Save game
-      await game.save();
-
-      // Get io instance from request
-      const io = req.app.get('io');
-      if (io) {
-        // Emit detailed action information
-        io.to(gameId).emit('game_action_performed', {
-          gameId,
-          action: 'game_action_performed',
-          actionType: action,
-          amount: action === 'raise' ? amount : game.currentBet,
-          player: currentPlayer.username,
-          previousPlayerIndex: oldPlayerIndex,
-          currentPlayerIndex: game.currentPlayerIndex,
-          game: game.toObject(),
-          timestamp: new Date().toISOString()
-        });
-
-        // Also emit a specific turn_changed event to update UI immediately
-        io.to(gameId).emit('turn_changed', {
-          gameId,
-          action: 'turn_changed',
-          previousPlayerIndex: oldPlayerIndex,
-          currentPlayerIndex: game.currentPlayerIndex,
-          game: game.toObject(),
-          timestamp: new Date().toISOString()
-        });
-      }
-
-      return res.status(200).json({
-        success: true,
-        message: actionMessage,
-        game: game.toObject()
-      });
-    } else {
-      return res.status(400).json({
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Failed to process action'
+        message: error.message
       });
     }
-  } catch (error) {
-    console.error('Game action error:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to process game action',
@@ -475,28 +1112,33 @@ exports.endGame = async (req, res) => {
       });
     }
 
-    // Check if game is active
-    if (game.status !== 'active') {
+    // Check if game has already ended
+    if (game.status === 'completed') {
       return res.status(400).json({
         success: false,
-        message: 'Game is not active'
+        message: 'Game has already ended'
       });
     }
 
-    // End game
-    game.endGame();
-
-    // We've removed the GameId model, so we don't need to mark it inactive
-    // Just save the game with the completed status
-    await game.save();
+    const results = await closeGame(req, game, 'host');
 
     return res.status(200).json({
       success: true,
       message: 'Game ended successfully',
-      game
+      results,
+      game: game.toPublicObject(userId)
     });
   } catch (error) {
     console.error('End game error:', error);
+    if (error instanceof mongoose.Error.VersionError) {
+      return sendConflict(req, res);
+    }
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       message: 'Failed to end game',
@@ -505,6 +1147,53 @@ exports.endGame = async (req, res) => {
   }
 };
 
+// Force-end any game that has not finished yet (admin route)
+exports.forceEndGame = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    if (game.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Game has already ended'
+      });
+    }
+
+    const results = await closeGame(req, game, 'admin');
+    console.log(`Game ${gameId} force-ended by admin ${req.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Game force-ended successfully',
+      results,
+      game: game.toPublicObject()
+    });
+  } catch (error) {
+    console.error('Force end game error:', error);
+    if (error instanceof mongoose.Error.VersionError) {
+      return sendConflict(req, res);
+    }
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to end game',
+      error: error.message
+    });
+  }
+};
 
 // Get active games
 exports.getActiveGames = async (req, res) => {
@@ -519,7 +1208,7 @@ exports.getActiveGames = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      games
+      games: games.map(game => game.toPublicObject(req.userId))
     });
   } catch (error) {
     console.error('Get active games error:', error);
@@ -548,7 +1237,7 @@ exports.getUserGames = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      games
+      games: games.map(game => game.toPublicObject(req.userId))
     });
   } catch (error) {
     console.error('Get user games error:', error);
@@ -578,12 +1267,18 @@ exports.getAllGames = async (req, res) => {
       query.status = status;
     }
 
+    // Admins see every game; everyone else sees public tables and games they play in
+    const user = await User.findById(req.userId).select('role');
+    if (!user || user.role !== 'admin') {
+      query.$or = [{ visibility: 'public' }, { 'players.userId': req.userId }, { hostId: req.userId }];
+    }
+
     // Find games based on query
     const games = await Game.find(query).sort({ updatedAt: -1 });
 
     return res.status(200).json({
       success: true,
-      games
+      games: games.map(game => game.toPublicObject(req.userId))
     });
   } catch (error) {
     console.error('Get all games error:', error);
@@ -595,12 +1290,82 @@ exports.getAllGames = async (req, res) => {
   }
 };
 
+// List the public tables that can be joined right now. Optional filters:
+// smallBlind, bigBlind (exact), minBigBlind, maxBigBlind and minFreeSeats.
+exports.getLobby = async (req, res) => {
+  try {
+    const filters = {};
+    for (const field of ['smallBlind', 'bigBlind', 'minBigBlind', 'maxBigBlind']) {
+      if (req.query[field] !== undefined) {
+        filters[field] = parseInt(req.query[field]);
+        if (Number.isNaN(filters[field])) {
+          return res.status(400).json({
+            success: false,
+            message: `${field} must be a number`,
+            games: []
+          });
+        }
+      }
+    }
+    const minFreeSeats = Math.max(parseInt(req.query.minFreeSeats) || 1, 1);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = {
+      visibility: 'public',
+      // Cash tables can be joined while running, tournaments only before they start
+      $or: [{ status: 'pending' }, { status: 'active', gameType: { $ne: 'tournament' } }],
+      'players.userId': { $ne: req.userId },
+      // Free seats = maxSeats - players seated
+      $expr: { $gte: [{ $subtract: ['$maxSeats', { $size: '$players' }] }, minFreeSeats] }
+    };
+
+    // Games from before tournaments have no gameType and are cash games
+    if (req.query.gameType === 'tournament') {
+      query.gameType = 'tournament';
+    } else if (req.query.gameType === 'cash') {
+      query.gameType = { $ne: 'tournament' };
+    }
+    if (filters.smallBlind !== undefined) {
+      query.smallBlind = filters.smallBlind;
+    }
+    if (filters.bigBlind !== undefined) {
+      query.bigBlind = filters.bigBlind;
+    } else if (filters.minBigBlind !== undefined || filters.maxBigBlind !== undefined) {
+      query.bigBlind = {};
+      if (filters.minBigBlind !== undefined) {
+        query.bigBlind.$gte = filters.minBigBlind;
+      }
+      if (filters.maxBigBlind !== undefined) {
+        query.bigBlind.$lte = filters.maxBigBlind;
+      }
+    }
+
+    const games = await Game.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      games: games.map(game => game.toPublicObject(req.userId))
+    });
+  } catch (error) {
+    console.error('Get lobby error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get lobby',
+      error: error.message
+    });
+  }
+};
+
 // Validate a short game ID
 exports.validateGameId = async (req, res) => {
   try {
     const { shortId } = req.params;
 
-    if (!shortId || shortId.length !== 6) {
+    if (!GameId.isCode(shortId)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid short ID format',
@@ -610,8 +1375,9 @@ exports.validateGameId = async (req, res) => {
 
     console.log(`Validating game ID: ${shortId}`);
 
-    // Find game directly using shortId
-    const game = await Game.findOne({ shortId: shortId.toUpperCase() });
+    // Look the code up in the registry; released codes no longer lead to their game
+    const fullId = await GameId.resolve(shortId);
+    const game = fullId ? await Game.findById(fullId) : null;
 
     if (!game) {
       console.log(`No game found with shortId: ${shortId}`);
@@ -647,7 +1413,7 @@ exports.removePlayer = async (req, res) => {
     const hostId = req.userId;
 
     // Find game
-    const game = await Game.findById(gameId);
+    let game = await Game.findById(gameId);
     if (!game) {
       return res.status(404).json({
         success: false,
@@ -675,22 +1441,420 @@ exports.removePlayer = async (req, res) => {
       });
     }
 
-    // Remove player
-    game.removePlayer(userId);
-    await game.save();
+    // Remove player, folding them out of any hand in progress
+    const { player, handNumber, fold, progress, nextHand, tournamentResults } = removeFromTable(game, userId);
+
+    // Save the table and cash the removed player's stack back to their wallet in one commit
+    const cashOut = await ledger.runInTransaction(async (session) => {
+      await game.save({ session });
+      if (fold) {
+        await handHistory.recordAction(session, game._id, handNumber, fold);
+      }
+      await gameService.recordHandProgress(session, game, progress, nextHand);
+      if (tournamentResults) {
+        await gameService.payPrizes(session, game);
+      }
+      return cashOutPlayer(session, game, player);
+    });
+
+    // The turn may have moved on or the hand ended
+    turnTimer.schedule(game);
+
+    const io = req.app.get('io');
+    if (io) {
+      gameEvents.broadcast(io, gameId, 'player_kicked', {
+        gameId,
+        action: 'player_kicked',
+        kickedUserId: userId,
+        username: player.username,
+        game: game.toPublicObject(),
+        timestamp: new Date().toISOString()
+      });
+      // The removed player's sockets stop getting the table's broadcasts
+      io.in(`user:${userId}`).socketsLeave(game._id.toString());
+
+      gameService.emitHandProgress(io, game, handNumber, progress, nextHand);
+      if (progress) {
+        gameService.emitTurnChanged(io, game, -1);
+      }
+      if (tournamentResults) {
+        gameService.emitTournamentFinished(io, game, tournamentResults);
+      }
+    }
+
+    // The freed seat goes to the first player waiting for one
+    if (game.waitingList.length > 0) {
+      game = await seatWaitingPlayers(req, game);
+    }
+
+    // A host who removed themselves hands the game on
+    const newHost = await handOverTable(req, game, userId);
 
     // Return updated game
     return res.status(200).json({
       success: true,
       message: 'Player removed successfully',
-      game
+      cashOut,
+      newHostId: newHost ? newHost.userId : undefined,
+      game: game.toPublicObject(hostId)
     });
   } catch (error) {
     console.error('Remove player error:', error);
+    if (error instanceof mongoose.Error.VersionError) {
+      return sendConflict(req, res);
+    }
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       message: 'Failed to remove player',
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Find a game for a seat or waiting-list request, answering with an error when there is none
+const findOpenGame = async (req, res) => {
+  const game = await findGameByIdOrCode(req.params.gameId);
+  if (!game) {
+    res.status(404).json({
+      success: false,
+      message: 'Game not found'
+    });
+    return null;
+  }
+
+  if (game.status === 'completed') {
+    res.status(400).json({
+      success: false,
+      message: 'Game has already ended'
+    });
+    return null;
+  }
+
+  return game;
+};
+
+// Answer errors shared by the seat and waiting-list endpoints
+const sendSeatError = (req, res, error, message) => {
+  console.error(`${message} error:`, error);
+  if (error instanceof mongoose.Error.VersionError) {
+    return sendConflict(req, res);
+  }
+  if (error instanceof ledger.LedgerError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: `Failed to ${message.toLowerCase()}`,
+    error: error.message
+  });
+};
+
+// Sit out: keep the seat and stack but be dealt out of hands (folding any hand in progress)
+exports.sitOut = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const game = await findOpenGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    // Tournament stacks have to keep paying their blinds
+    if (game.isTournament()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Players cannot sit out of a tournament'
+      });
+    }
+
+    const player = game.players.find(p => p.userId.toString() === userId.toString());
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a player in this game'
+      });
+    }
+    if (player.isSittingOut) {
+      return res.status(200).json({
+        success: true,
+        message: 'You are already sitting out',
+        game: game.toPublicObject(userId)
+      });
+    }
+
+    const { handNumber, fold, progress, nextHand } = removeFromTable(game, userId, { sitOut: true });
+
+    await ledger.runInTransaction(async (session) => {
+      await game.save({ session });
+      if (fold) {
+        await handHistory.recordAction(session, game._id, handNumber, fold);
+      }
+      await gameService.recordHandProgress(session, game, progress, nextHand);
+    });
+
+    // The turn may have moved on or the hand ended
+    turnTimer.schedule(game);
+
+    const io = req.app.get('io');
+    if (io) {
+      gameEvents.broadcast(io, game._id.toString(), 'player_sat_out', {
+        gameId: game._id.toString(),
+        action: 'player_sat_out',
+        userId: userId.toString(),
+        username: player.username,
+        game: game.toPublicObject(),
+        timestamp: new Date().toISOString()
+      });
+
+      gameService.emitHandProgress(io, game, handNumber, progress, nextHand);
+      if (progress) {
+        gameService.emitTurnChanged(io, game, -1);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'You are sitting out',
+      game: game.toPublicObject(userId)
+    });
+  } catch (error) {
+    return sendSeatError(req, res, error, 'Sit out');
+  }
+};
+
+// Sit back in; dealt in from the next hand, or straight away if the table was waiting for players
+exports.sitIn = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const game = await findOpenGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    const player = game.players.find(p => p.userId.toString() === userId.toString());
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a player in this game'
+      });
+    }
+    if (!player.isSittingOut) {
+      return res.status(200).json({
+        success: true,
+        message: 'You are already sitting in',
+        game: game.toPublicObject(userId)
+      });
+    }
+
+    game.sitIn(userId);
+    const hand = dealIfIdle(game);
+
+    await ledger.runInTransaction(async (session) => {
+      await game.save({ session });
+      await gameService.recordHandProgress(session, game, null, hand);
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      gameEvents.broadcast(io, game._id.toString(), 'player_sat_in', {
+        gameId: game._id.toString(),
+        action: 'player_sat_in',
+        userId: userId.toString(),
+        username: player.username,
+        game: game.toPublicObject(),
+        timestamp: new Date().toISOString()
+      });
+    }
+    emitDealtHand(io, game, hand);
+
+    return res.status(200).json({
+      success: true,
+      message: 'You are back in the game',
+      game: game.toPublicObject(userId)
+    });
+  } catch (error) {
+    return sendSeatError(req, res, error, 'Sit in');
+  }
+};
+
+// Join the waiting list of a full table ({ buyIn, password }); the player is seated
+// automatically when a seat frees up
+exports.joinWaitingList = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const game = await findOpenGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    if (game.isTournament()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tournaments have no waiting list'
+      });
+    }
+
+    if (game.players.some(player => player.userId.toString() === userId.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a seat in this game'
+      });
+    }
+
+    const position = game.waitingList.findIndex(entry => entry.userId.toString() === userId.toString());
+    if (position !== -1) {
+      return res.status(200).json({
+        success: true,
+        message: 'You are already on the waiting list',
+        position: position + 1,
+        waitingList: game.waitingList
+      });
+    }
+
+    if (!(await game.checkPassword(req.body.password))) {
+      return res.status(403).json({
+        success: false,
+        code: 'wrong-password',
+        message: req.body.password ? 'Incorrect table password' : 'This table requires a password'
+      });
+    }
+
+    if (game.getFreeSeats() > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This table has free seats, join the game instead'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Check the buy-in now; it is checked again against the wallet when a seat frees up
+    const { buyIn, error: buyInError } = parseBuyIn(req.body, user, game);
+    if (buyInError) {
+      return res.status(400).json({
+        success: false,
+        message: buyInError
+      });
+    }
+
+    game.waitingList.push({
+      userId: user._id,
+      username: user.username,
+      buyIn: req.body.buyIn !== undefined ? buyIn : null
+    });
+    await game.save();
+
+    emitWaitingList(req.app.get('io'), game);
+
+    return res.status(200).json({
+      success: true,
+      message: 'You are on the waiting list',
+      position: game.waitingList.length,
+      waitingList: game.waitingList
+    });
+  } catch (error) {
+    return sendSeatError(req, res, error, 'Join waiting list');
+  }
+};
+
+// Leave the waiting list of a game
+exports.leaveWaitingList = async (req, res) => {
+  try {
+    const game = await findOpenGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    if (!game.removeFromWaitingList(req.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waiting list'
+      });
+    }
+    await game.save();
+
+    emitWaitingList(req.app.get('io'), game);
+
+    return res.status(200).json({
+      success: true,
+      message: 'You left the waiting list',
+      waitingList: game.waitingList
+    });
+  } catch (error) {
+    return sendSeatError(req, res, error, 'Leave waiting list');
+  }
+};
+
+// Leave a game: cash out and give up the seat
+exports.leaveGame = async (req, res) => {
+  try {
+    const game = await findGameByIdOrCode(req.params.gameId);
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    return await leaveTable(req, res, game);
+  } catch (error) {
+    return sendSeatError(req, res, error, 'Leave game');
+  }
+};
+
+// Hand the host role to another seated player ({ userId })
+exports.transferHost = async (req, res) => {
+  try {
+    const game = await findOpenGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    if (game.hostId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host can transfer the host role'
+      });
+    }
+
+    const newHost = game.players.find(
+      player => req.body.userId && player.userId.toString() === req.body.userId.toString()
+    );
+    if (!newHost) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new host must be a player in this game'
+      });
+    }
+    if (newHost.userId.toString() === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already the host'
+      });
+    }
+
+    await hostService.changeHost(game, newHost, 'transfer');
+
+    return res.status(200).json({
+      success: true,
+      message: `${newHost.username} is now the host`,
+      game: game.toPublicObject(req.userId)
+    });
+  } catch (error) {
+    return sendSeatError(req, res, error, 'Transfer host');
+  }
+};
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Game = require('../models/game.model');
+const Hand = require('../models/hand.model');
+const { formatHands } = require('../utils/pokerstars_format');
+
+// Load a game whose hand history the user may read: the host, anyone seated now,
+// or anyone who was dealt into one of its hands
+const findViewableGame = async (gameId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(gameId)) {
+    return { status: 400, message: 'Invalid game ID' };
+  }
+
+  const game = await Game.findById(gameId);
+  if (!game) {
+    return { status: 404, message: 'Game not found' };
+  }
+
+  const isMember = game.hostId.toString() === userId.toString() ||
+    game.players.some(player => player.userId.toString() === userId.toString()) ||
+    await Hand.exists({ gameId: game._id, 'seats.userId': userId });
+
+  if (!isMember) {
+    return { status: 403, message: 'Only players of this game can view its hands' };
+  }
+
+  return { game };
+};
+
+// Get the hands played in a game
+exports.getGameHands = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const userId = req.userId;
+
+    const { game, status, message } = await findViewableGame(gameId, userId);
+    if (!game) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+
+    const hands = await Hand.getGameHands(game._id, limit, page);
+    const totalCount = await Hand.countDocuments({ gameId: game._id });
+
+    return res.status(200).json({
+      success: true,
+      hands: hands.map(hand => {
+        const { actions, ...summary } = hand.toPublicObject(userId);
+        return { ...summary, actionCount: actions.length };
+      }),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get game hands error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get hand history',
+      error: error.message
+    });
+  }
+};
+
+// Get one hand with its step-by-step replay
+exports.getHand = async (req, res) => {
+  try {
+    const { gameId, handNumber } = req.params;
+    const userId = req.userId;
+
+    const { game, status, message } = await findViewableGame(gameId, userId);
+    if (!game) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const hand = await Hand.findOne({ gameId: game._id, handNumber: parseInt(handNumber) });
+    if (!hand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hand not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      hand: hand.toPublicObject(userId),
+      replay: hand.toReplay(userId)
+    });
+  } catch (error) {
+    console.error('Get hand error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get hand',
+      error: error.message
+    });
+  }
+};
+
+// Export the finished hands of a game as PokerStars-style text (default) or JSON
+exports.exportHands = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const userId = req.userId;
+    const format = req.query.format || 'text';
+
+    if (!['text', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be text or json'
+      });
+    }
+
+    const { game, status, message } = await findViewableGame(gameId, userId);
+    if (!game) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Only finished hands have a result to export
+    const hands = await Hand.find({ gameId: game._id, status: 'completed' }).sort({ handNumber: 1 });
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        game: { _id: game._id, name: game.name, smallBlind: game.smallBlind, bigBlind: game.bigBlind },
+        hands: hands.map(hand => hand.toPublicObject(userId))
+      });
+    }
+
+    const filename = `${game.name.replace(/[^A-Za-z0-9_-]+/g, '_')}_hands.txt`;
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(hands.length > 0 ? formatHands(hands, game.name, userId) : '');
+  } catch (error) {
+    console.error('Export hands error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export hand history',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const Game = require('../models/game.model');
+const User = require('../models/user.model');
+const Settlement = require('../models/settlement.model');
+const Transaction = require('../models/transaction.model');
+const { computeSettlement } = require('../utils/settlement');
+const { valuationOf, toMoney } = require('../utils/valuation');
+
+// Net result of every player who bought into a game, from their wallet buy-in and
+// cash-out rows (players who left early are included)
+const getPlayerResults = async (game, valuation) => {
+  const rows = await Transaction.find({
+    gameId: game._id,
+    account: 'wallet',
+    type: { $in: ['buyIn', 'cashOut'] }
+  });
+
+  const results = new Map();
+  rows.forEach(row => {
+    const key = row.userId.toString();
+    const result = results.get(key) || { userId: row.userId, buyIn: 0, cashOut: 0 };
+    if (row.type === 'buyIn') {
+      result.buyIn += -row.amount;
+    } else {
+      result.cashOut += row.amount;
+    }
+    results.set(key, result);
+  });
+
+  const users = await User.find({ _id: { $in: [...results.values()].map(r => r.userId) } }).select('username');
+  const usernames = new Map(users.map(user => [user._id.toString(), user.username]));
+
+  return [...results.values()].map(result => {
+    const net = result.cashOut - result.buyIn;
+    return {
+      ...result,
+      username: usernames.get(result.userId.toString()) || 'unknown',
+      net,
+      netValue: toMoney(net, valuation)
+    };
+  });
+};
+
+// Build and store the settlement of a completed game
+const createSettlement = async (game) => {
+  const valuation = valuationOf(game);
+  const players = await getPlayerResults(game, valuation);
+  const byId = new Map(players.map(player => [player.userId.toString(), player]));
+
+  const payments = computeSettlement(
+    players.map(player => ({ id: player.userId.toString(), net: player.net }))
+  ).map(({ from, to, amount }) => ({
+    fromUserId: from,
+    fromUsername: byId.get(from).username,
+    toUserId: to,
+    toUsername: byId.get(to).username,
+    amount,
+    value: toMoney(amount, valuation)
+  }));
+
+  try {
+    return await Settlement.create({ gameId: game._id, players, payments, ...valuation });
+  } catch (error) {
+    // Another request built it first
+    if (error.code === 11000) {
+      return Settlement.findOne({ gameId: game._id });
+    }
+    throw error;
+  }
+};
+
+// Load a completed game the user took part in, answering with an error when there is none
+const findSettledGame = async (req, res) => {
+  const { gameId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(gameId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid game ID'
+    });
+    return null;
+  }
+
+  const game = await Game.findById(gameId);
+  if (!game) {
+    res.status(404).json({
+      success: false,
+      message: 'Game not found'
+    });
+    return null;
+  }
+
+  if (game.status !== 'completed') {
+    res.status(400).json({
+      success: false,
+      message: 'Settlement is only available once the game has ended'
+    });
+    return null;
+  }
+
+  return game;
+};
+
+// Check whether a user is the host or one of the players in the settlement
+const isParticipant = (game, settlement, userId) =>
+  game.hostId.toString() === userId.toString() ||
+  settlement.players.some(player => player.userId.toString() === userId.toString());
+
+// Get the settlement report of a completed game, creating it on first request
+exports.getSettlement = async (req, res) => {
+  try {
+    const game = await findSettledGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    const settlement = await Settlement.findOne({ gameId: game._id }) || await createSettlement(game);
+
+    if (!isParticipant(game, settlement, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only players of this game can view its settlement'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      settlement
+    });
+  } catch (error) {
+    console.error('Get settlement error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get settlement',
+      error: error.message
+    });
+  }
+};
+
+// Mark a settlement payment as settled (or back to unsettled with { settled: false }).
+// The payer, the receiver or the host may do this.
+exports.markPayment = async (req, res) => {
+  try {
+    const game = await findSettledGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    const settlement = await Settlement.findOne({ gameId: game._id });
+    const payment = settlement && settlement.payments.id(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const userId = req.userId.toString();
+    const mayMark = [payment.fromUserId.toString(), payment.toUserId.toString(), game.hostId.toString()]
+      .includes(userId);
+    if (!mayMark) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the payer, the receiver or the host can update this payment'
+      });
+    }
+
+    const settled = req.body.settled !== false;
+    payment.settled = settled;
+    payment.settledAt = settled ? new Date() : null;
+    payment.settledBy = settled ? req.userId : null;
+    await settlement.save();
+
+    return res.status(200).json({
+      success: true,
+      message: settled ? 'Payment marked as settled' : 'Payment marked as unsettled',
+      settlement
+    });
+  } catch (error) {
+    console.error('Mark payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update payment',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const TopUpRequest = require('../models/topup_request.model');
+const ledger = require('../services/ledger.service');
+const uploadReceipt = require('../middleware/upload.middleware');
+
+const PAYMENT_METHODS = TopUpRequest.schema.path('paymentMethod').enumValues;
+
+// Roles that may review top-up requests: admins and the club banker
+const BANKER_ROLES = ['admin', 'clubManager'];
+
+// Remove an uploaded receipt that won't be kept
+const discardUpload = (file) => {
+  if (file) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// Tell a user over their private socket room that their request was reviewed
+const notifyUser = (req, topUpRequest, chipBalance) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user:${topUpRequest.userId.toString()}`).emit('topup_request_updated', {
+      action: 'topup_request_updated',
+      topUpRequest,
+      chipBalance,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Load the request named in the route, answering 400/404 when there is none
+const findRequest = async (req, res) => {
+  const { requestId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid top-up request ID'
+    });
+    return null;
+  }
+
+  const topUpRequest = await TopUpRequest.findById(requestId);
+  if (!topUpRequest) {
+    res.status(404).json({
+      success: false,
+      message: 'Top-up request not found'
+    });
+    return null;
+  }
+
+  return topUpRequest;
+};
+
+// Ask for chips to be added to the wallet; nothing is credited until it is approved
+exports.createTopUpRequest = async (req, res) => {
+  try {
+    const { amount, paymentMethod, reference } = req.body;
+    const chipAmount = parseInt(amount);
+    const method = paymentMethod || 'other';
+
+    // Validate amount
+    if (!chipAmount || chipAmount <= 0) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid chip amount'
+      });
+    }
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const topUpRequest = await TopUpRequest.create({
+      userId: user._id,
+      amount: chipAmount,
+      paymentMethod: method,
+      reference: reference || null,
+      receipt: req.file
+        ? {
+          filename: req.file.filename,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size
+        }
+        : undefined
+    });
+
+    return res.status(201).json({
+      success: true,
+      pending: true,
+      message: `Top-up request for ${chipAmount} chips submitted, waiting for approval`,
+      topUpRequest,
+      chipBalance: user.chipBalance
+    });
+  } catch (error) {
+    console.error('Create top-up request error:', error);
+    discardUpload(req.file);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to submit top-up request',
+      error: error.message
+    });
+  }
+};
+
+// Get the current user's top-up requests
+exports.getMyTopUpRequests = async (req, res) => {
+  try {
+    const topUpRequests = await TopUpRequest.find({ userId: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 20);
+
+    return res.status(200).json({
+      success: true,
+      topUpRequests
+    });
+  } catch (error) {
+    console.error('Get my top-up requests error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get top-up requests',
+      error: error.message
+    });
+  }
+};
+
+// Get top-up requests for review, oldest first (pending only unless ?status= is given)
+exports.getTopUpRequests = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const query = status === 'all' ? {} : { status };
+
+    const topUpRequests = await TopUpRequest.find(query)
+      .sort({ createdAt: 1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .populate('userId', 'username email chipBalance');
+
+    return res.status(200).json({
+      success: true,
+      topUpRequests
+    });
+  } catch (error) {
+    console.error('Get top-up requests error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get top-up requests',
+      error: error.message
+    });
+  }
+};
+
+// Send the receipt image of a request to its owner or a reviewer
+exports.getReceipt = async (req, res) => {
+  try {
+    const topUpRequest = await findRequest(req, res);
+    if (!topUpRequest) {
+      return;
+    }
+
+    const isOwner = topUpRequest.userId.toString() === req.userId.toString();
+    if (!isOwner) {
+      const viewer = await User.findById(req.userId).select('role');
+      if (!viewer || !BANKER_ROLES.includes(viewer.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized: You can only view your own receipts'
+        });
+      }
+    }
+
+    if (!topUpRequest.receipt || !topUpRequest.receipt.filename) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt was uploaded for this request'
+      });
+    }
+
+    res.type(topUpRequest.receipt.mimeType);
+    return res.sendFile(path.join(uploadReceipt.RECEIPT_DIR, topUpRequest.receipt.filename));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get receipt',
+      error: error.message
+    });
+  }
+};
+
+// Approve a pending request and credit the chips to the user's wallet
+exports.approveTopUpRequest = async (req, res) => {
+  try {
+    const topUpRequest = await findRequest(req, res);
+    if (!topUpRequest) {
+      return;
+    }
+
+    // Reviewers cannot credit chips to themselves
+    if (topUpRequest.userId.toString() === req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve your own top-up request'
+      });
+    }
+
+    const user = await User.findById(topUpRequest.userId).select('username');
+
+    // Claim the request and credit the wallet in one commit, so it is only paid once
+    const { approved, walletBalance } = await ledger.runInTransaction(async (session) => {
+      const claimed = await TopUpRequest.findOneAndUpdate(
+        { _id: topUpRequest._id, status: 'pending' },
+        {
+          $set: {
+            status: 'approved',
+            reviewedBy: req.userId,
+            reviewedAt: new Date(),
+            reviewNote: req.body.note || null
+          }
+        },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new ledger.LedgerError('Top-up request has already been reviewed', 409);
+      }
+
+      const result = await ledger.transfer(session, {
+        from: ledger.bank(),
+        to: ledger.wallet(claimed.userId),
+        amount: claimed.amount,
+        type: 'topUp',
+        description: `Top-up - @${user ? user.username : 'unknown'}` +
+          (claimed.reference ? ` (ref ${claimed.reference})` : ''),
+        valuation: { currency: claimed.currency, chipValue: claimed.chipValue }
+      });
+
+      claimed.transactionId = result.transaction._id;
+      await claimed.save({ session });
+
+      return { approved: claimed, walletBalance: result.walletBalance };
+    });
+
+    notifyUser(req, approved, walletBalance);
+
+    return res.status(200).json({
+      success: true,
+      message: `Approved ${approved.amount} chips`,
+      topUpRequest: approved,
+      chipBalance: walletBalance
+    });
+  } catch (error) {
+    console.error('Approve top-up request error:', error);
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to approve top-up request',
+      error: error.message
+    });
+  }
+};
+
+// Reject a pending request with a reason
+exports.rejectTopUpRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a top-up request'
+      });
+    }
+
+    const topUpRequest = await findRequest(req, res);
+    if (!topUpRequest) {
+      return;
+    }
+
+    const rejected = await TopUpRequest.findOneAndUpdate(
+      { _id: topUpRequest._id, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          reviewedBy: req.userId,
+          reviewedAt: new Date(),
+          reviewNote: reason.trim()
+        }
+      },
+      { new: true }
+    );
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        message: 'Top-up request has already been reviewed'
+      });
+    }
+
+    const user = await User.findById(rejected.userId).select('chipBalance');
+    notifyUser(req, rejected, user ? user.chipBalance : null);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Top-up request rejected',
+      topUpRequest: rejected
+    });
+  } catch (error) {
+    console.error('Reject top-up request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reject top-up request',
+      error: error.message
+    });
+  }
+};
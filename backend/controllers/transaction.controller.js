@@ -1,25 +1,26 @@
 const Transaction = require('../models/transaction.model');
 const User = require('../models/user.model');
+const ledger = require('../services/ledger.service');
 
-// Create a new transaction (manual top-up for admin use)
+const TRANSACTION_TYPES = Transaction.schema.path('type').enumValues;
+
+// Create a new transaction (manual top-up for admin use; the route requires the admin role)
 exports.createTransaction = async (req, res) => {
   try {
     const { userId, type, amount, description, gameId } = req.body;
-    const adminId = req.userId;
 
-    // Check if request is from an admin (would need admin middleware in a real app)
-    if (!adminId) {
-      return res.status(403).json({
+    // Validate transaction data
+    if (!userId || !type || !amount) {
+      return res.status(400).json({
         success: false,
-        message: 'Unauthorized: Admin access required'
+        message: 'UserId, type, and amount are required'
       });
     }
 
-    // Validate transaction data
-    if (!userId || !type || !amount) {
+    if (!TRANSACTION_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'UserId, type, and amount are required'
+        message: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`
       });
     }
 
@@ -32,24 +33,27 @@ exports.createTransaction = async (req, res) => {
       });
     }
 
-    // Create transaction with improved description
-    const transaction = new Transaction({
-      userId,
-      type,
-      amount: parseInt(amount),
-      description: description || `${type === 'topUp' ? 'Top-up' : type} - @${user.username}`,
-      gameId: gameId || null
-    });
-
-    // Save transaction
-    await transaction.save();
-
-    // Update user chip balance if it's a top-up
-    if (type === 'topUp') {
-      user.chipBalance += parseInt(amount);
-      await user.save();
+    const chipAmount = parseInt(amount);
+    if (!chipAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a non-zero number of chips'
+      });
     }
 
+    // Positive amounts credit the wallet from the bank, negative amounts debit it back;
+    // the balance and the history row are written in one commit
+    const { transaction } = await ledger.runInTransaction(session =>
+      ledger.transfer(session, {
+        from: chipAmount > 0 ? ledger.bank() : ledger.wallet(user._id),
+        to: chipAmount > 0 ? ledger.wallet(user._id) : ledger.bank(),
+        amount: Math.abs(chipAmount),
+        type,
+        description: description || `${type === 'topUp' ? 'Top-up' : type} - @${user.username}`,
+        gameId: gameId || null
+      })
+    );
+
     return res.status(201).json({
       success: true,
       message: 'Transaction created successfully',
@@ -57,6 +61,12 @@ exports.createTransaction = async (req, res) => {
     });
   } catch (error) {
     console.error('Create transaction error:', error);
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       message: 'Failed to create transaction',
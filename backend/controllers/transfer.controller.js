@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const ChipTransfer = require('../models/chip_transfer.model');
+const ledger = require('../services/ledger.service');
+const { TRANSFER_CONFIRM_THRESHOLD } = require('../config/config');
+
+// Tell a user about a transfer over their private socket room
+const notifyUser = (req, userId, event, chipTransfer, extra = {}) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user:${userId.toString()}`).emit(event, {
+      action: event,
+      transfer: chipTransfer,
+      ...extra,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Move the chips of a transfer between the two wallets, writing a linked Transaction row
+// for each side, and mark it completed
+const settleTransfer = async (session, chipTransfer, sender, receiver) => {
+  const memo = chipTransfer.memo ? `: ${chipTransfer.memo}` : '';
+
+  const result = await ledger.transfer(session, {
+    from: ledger.wallet(sender._id),
+    to: ledger.wallet(receiver._id),
+    amount: chipTransfer.amount,
+    type: 'transfer',
+    description: `Transfer from @${sender.username} to @${receiver.username}${memo}`,
+    descriptions: {
+      from: `Transfer to @${receiver.username}${memo}`,
+      to: `Transfer from @${sender.username}${memo}`
+    }
+  });
+
+  chipTransfer.status = 'completed';
+  chipTransfer.transferId = result.transferId;
+  chipTransfer.completedAt = new Date();
+  await chipTransfer.save({ session });
+
+  return result;
+};
+
+// Load a transfer by ID, answering 400/404 when there is none
+const findTransfer = async (req, res) => {
+  const { transferId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(transferId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid transfer ID'
+    });
+    return null;
+  }
+
+  const chipTransfer = await ChipTransfer.findById(transferId);
+  if (!chipTransfer) {
+    res.status(404).json({
+      success: false,
+      message: 'Transfer not found'
+    });
+    return null;
+  }
+
+  return chipTransfer;
+};
+
+// Send chips to another user by username
+exports.createTransfer = async (req, res) => {
+  try {
+    const { toUsername, amount, memo } = req.body;
+    const chipAmount = parseInt(amount);
+
+    if (!toUsername || !chipAmount || chipAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Receiver username and a positive chip amount are required'
+      });
+    }
+
+    const sender = await User.findById(req.userId);
+    if (!sender) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const receiver = await User.findOne({ username: toUsername.trim() });
+    if (!receiver || !receiver.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receiver not found'
+      });
+    }
+
+    if (receiver._id.equals(sender._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot transfer chips to yourself'
+      });
+    }
+
+    if (sender.chipBalance < chipAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough chips in wallet'
+      });
+    }
+
+    const chipTransfer = new ChipTransfer({
+      fromUserId: sender._id,
+      toUserId: receiver._id,
+      amount: chipAmount,
+      memo: memo || null
+    });
+
+    // Large transfers wait for the receiver to accept them
+    if (TRANSFER_CONFIRM_THRESHOLD > 0 && chipAmount > TRANSFER_CONFIRM_THRESHOLD) {
+      await chipTransfer.save();
+      notifyUser(req, receiver._id, 'chip_transfer_requested', chipTransfer, { fromUsername: sender.username });
+
+      return res.status(201).json({
+        success: true,
+        pending: true,
+        message: `Transfer of ${chipAmount} chips to @${receiver.username} is waiting for them to accept`,
+        transfer: chipTransfer,
+        chipBalance: sender.chipBalance
+      });
+    }
+
+    const { fromBalance, toBalance } = await ledger.runInTransaction(session =>
+      settleTransfer(session, chipTransfer, sender, receiver)
+    );
+
+    notifyUser(req, receiver._id, 'chip_transfer_received', chipTransfer, {
+      fromUsername: sender.username,
+      chipBalance: toBalance
+    });
+
+    return res.status(201).json({
+      success: true,
+      pending: false,
+      message: `Sent ${chipAmount} chips to @${receiver.username}`,
+      transfer: chipTransfer,
+      chipBalance: fromBalance
+    });
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Transfer failed',
+      error: error.message
+    });
+  }
+};
+
+// Get the transfers the current user sent or received (?status=pending for open ones)
+exports.getTransfers = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const query = { $or: [{ fromUserId: userId }, { toUserId: userId }] };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const transfers = await ChipTransfer.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 20)
+      .populate('fromUserId', 'username')
+      .populate('toUserId', 'username');
+
+    return res.status(200).json({
+      success: true,
+      transfers
+    });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get transfers',
+      error: error.message
+    });
+  }
+};
+
+// Accept a transfer waiting for the current user, moving the chips now
+exports.acceptTransfer = async (req, res) => {
+  try {
+    const chipTransfer = await findTransfer(req, res);
+    if (!chipTransfer) {
+      return;
+    }
+
+    if (chipTransfer.toUserId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the receiver can accept this transfer'
+      });
+    }
+
+    const sender = await User.findById(chipTransfer.fromUserId);
+    const receiver = await User.findById(chipTransfer.toUserId);
+    if (!sender || !receiver) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Claim the pending transfer and move the chips in one commit, so it only settles once
+    const { settled, toBalance } = await ledger.runInTransaction(async (session) => {
+      const claimed = await ChipTransfer.findOne({ _id: chipTransfer._id, status: 'pending' }).session(session);
+      if (!claimed) {
+        throw new ledger.LedgerError('Transfer is no longer pending', 409);
+      }
+      const result = await settleTransfer(session, claimed, sender, receiver);
+      return { settled: claimed, toBalance: result.toBalance };
+    });
+
+    notifyUser(req, sender._id, 'chip_transfer_updated', settled);
+
+    return res.status(200).json({
+      success: true,
+      message: `Received ${settled.amount} chips from @${sender.username}`,
+      transfer: settled,
+      chipBalance: toBalance
+    });
+  } catch (error) {
+    console.error('Accept transfer error:', error);
+    if (error instanceof ledger.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.statusCode === 400 ? 'The sender no longer has enough chips for this transfer' : error.message
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to accept transfer',
+      error: error.message
+    });
+  }
+};
+
+// Close a pending transfer without moving chips: the receiver declines or the sender cancels
+const closePendingTransfer = (status) => async (req, res) => {
+  try {
+    const chipTransfer = await findTransfer(req, res);
+    if (!chipTransfer) {
+      return;
+    }
+
+    const side = status === 'declined' ? 'toUserId' : 'fromUserId';
+    if (chipTransfer[side].toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: status === 'declined'
+          ? 'Only the receiver can decline this transfer'
+          : 'Only the sender can cancel this transfer'
+      });
+    }
+
+    const closed = await ChipTransfer.findOneAndUpdate(
+      { _id: chipTransfer._id, status: 'pending' },
+      { $set: { status } },
+      { new: true }
+    );
+    if (!closed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer is no longer pending'
+      });
+    }
+
+    const otherUserId = status === 'declined' ? closed.fromUserId : closed.toUserId;
+    notifyUser(req, otherUserId, 'chip_transfer_updated', closed);
+
+    return res.status(200).json({
+      success: true,
+      message: `Transfer ${status}`,
+      transfer: closed
+    });
+  } catch (error) {
+    console.error('Close transfer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update transfer',
+      error: error.message
+    });
+  }
+};
+
+// Decline a transfer waiting for the current user
+exports.declineTransfer = closePendingTransfer('declined');
+
+// Cancel a transfer the current user sent that is still waiting
+exports.cancelTransfer = closePendingTransfer('cancelled');
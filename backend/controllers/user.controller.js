@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
 const Transaction = require('../models/transaction.model');
+const tokens = require('../services/token.service');
 
 // Register a new user
 exports.register = async (req, res) => {
@@ -31,14 +31,10 @@ exports.register = async (req, res) => {
     // Save user to database
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRATION }
-    );
+    // Generate an access token and a refresh token
+    const { token, refreshToken, refreshTokenExpiresAt } = await tokens.issueTokens(user._id);
 
-    // Return user data and token
+    // Return user data and tokens
     return res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -46,9 +42,12 @@ exports.register = async (req, res) => {
         _id: user._id,
         username: user.username,
         email: user.email,
-        chipBalance: user.chipBalance
+        chipBalance: user.chipBalance,
+        role: user.role
       },
-      token
+      token,
+      refreshToken,
+      refreshTokenExpiresAt
     });
   } catch (error) {
     console.error('Register error details:', error);
@@ -85,18 +84,21 @@ exports.login = async (req, res) => {
       });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
     // Update last login
     user.lastLogin = Date.now();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRATION }
-    );
+    // Generate an access token and a refresh token
+    const { token, refreshToken, refreshTokenExpiresAt } = await tokens.issueTokens(user._id);
 
-    // Return user data and token
+    // Return user data and tokens
     return res.status(200).json({
       success: true,
       message: 'Login successful',
@@ -104,9 +106,12 @@ exports.login = async (req, res) => {
         _id: user._id,
         username: user.username,
         email: user.email,
-        chipBalance: user.chipBalance
+        chipBalance: user.chipBalance,
+        role: user.role
       },
-      token
+      token,
+      refreshToken,
+      refreshTokenExpiresAt
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -138,6 +143,7 @@ exports.getCurrentUser = async (req, res) => {
         username: user.username,
         email: user.email,
         chipBalance: user.chipBalance,
+        role: user.role,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       }
@@ -152,58 +158,6 @@ exports.getCurrentUser = async (req, res) => {
   }
 };
 
-// Top up user's chip balance
-// Top up user's chip balance
-exports.topUp = async (req, res) => {
-  try {
-    const { amount } = req.body;
-    const chipAmount = parseInt(amount);
-    const userId = req.userId;
-
-    // Validate amount
-    if (!chipAmount || chipAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid chip amount'
-      });
-    }
-
-    // Find user
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Update chip balance
-    user.chipBalance += chipAmount;
-    await user.save();
-
-    // Create transaction record with improved description
-    await Transaction.createTopUp(
-      user._id,
-      chipAmount,
-      `Top-up - @${user.username}`
-    );
-
-    return res.status(200).json({
-      success: true,
-      message: `Successfully added ${chipAmount} chips`,
-      chipBalance: user.chipBalance
-    });
-  } catch (error) {
-    console.error('Top up error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Top up failed',
-      error: error.message
-    });
-  }
-};
-
 // Get user's transaction history
 exports.getTransactionHistory = async (req, res) => {
   try {
@@ -231,31 +185,61 @@ exports.getTransactionHistory = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token and refresh token
 exports.refreshToken = async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
-    // Validate refresh token
-    // If valid, issue new access token
-
-    // Generate new JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRATION }
-    );
+    // Swap the refresh token for a new pair; the old one can't be used again
+    const rotated = await tokens.rotateRefreshToken(refreshToken);
 
     return res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
-      token
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      refreshTokenExpiresAt: rotated.refreshTokenExpiresAt
     });
   } catch (error) {
     console.error('Refresh token error:', error);
-    return res.status(401).json({
+    if (error instanceof tokens.TokenError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    return res.status(500).json({
       success: false,
       message: 'Failed to refresh token',
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Log out: revoke the session the refresh token belongs to
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    await tokens.revokeRefreshToken(refreshToken);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: error.message
+    });
+  }
+};
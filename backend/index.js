@@ -7,7 +7,6 @@ console.log('MONGODB_URI:', process.env.MONGODB_URI);
 console.log('PORT:', process.env.PORT);
 console.log('NODE_ENV:', process.env.NODE_ENV);
 
-const jwt = require('jsonwebtoken');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -19,9 +18,22 @@ const socketIo = require('socket.io');
 const userRoutes = require('./routes/user.routes');
 const gameRoutes = require('./routes/game.routes');
 const transactionRoutes = require('./routes/transaction.routes');
+const adminRoutes = require('./routes/admin.routes');
+const topUpRoutes = require('./routes/topup.routes');
+const transferRoutes = require('./routes/transfer.routes');
+const configRoutes = require('./routes/config.routes');
 
 // Import models including the new GameId model
 const GameId = require('./models/game_id.model');
+const User = require('./models/user.model');
+const Game = require('./models/game.model');
+const Transaction = require('./models/transaction.model');
+const TopUpRequest = require('./models/topup_request.model');
+const { ADMIN_EMAILS } = require('./config/config');
+const { LEGACY_VALUATION } = require('./utils/valuation');
+const turnTimer = require('./services/turn_timer.service');
+const hostService = require('./services/host.service');
+const registerGameSocket = require('./sockets/game.socket');
 
 // Create Express app
 const app = express();
@@ -56,15 +68,63 @@ mongoose.connect(process.env.MONGODB_URI, {
   .then(() => {
     console.log('Connected to MongoDB');
 
-    // Initialize our unique game ID system
+    // Initialize our unique game ID system: open games created before codes went through
+    // the registry get their code registered, unless another game already holds it
     console.log('Initializing game ID system...');
-    GameId.countDocuments()
+    Game.find({ status: { $ne: 'completed' }, shortId: { $ne: null } }).select('shortId')
+      .then(games => Promise.all(games.map(game =>
+        GameId.updateOne(
+          { shortId: game.shortId },
+          { $setOnInsert: { fullId: game._id } },
+          { upsert: true }
+        ).catch(() => null)
+      )))
+      .then(() => GameId.countDocuments({ releasedAt: null }))
       .then(count => {
         console.log(`Found ${count} registered game IDs in the database`);
       })
       .catch(error => {
         console.error('Error checking game IDs:', error);
       });
+
+    // Give the configured accounts the admin role
+    if (ADMIN_EMAILS.length > 0) {
+      User.updateMany({ email: { $in: ADMIN_EMAILS } }, { $set: { role: 'admin' } })
+        .then(result => {
+          console.log(`Admin role ensured for ${result.matchedCount} configured accounts`);
+        })
+        .catch(error => {
+          console.error('Error promoting admin accounts:', error);
+        });
+    }
+
+    // Rows written before valuations were stored keep the rate they were made at. The
+    // server only starts listening once they are updated, since until then reads would
+    // give them the schema default.
+    const unvalued = { chipValue: { $exists: false } };
+    Promise.all([Transaction, TopUpRequest, Game].map(Model =>
+      Model.updateMany(unvalued, { $set: LEGACY_VALUATION })
+    ))
+      .then(results => {
+        const updated = results.reduce((sum, result) => sum + result.modifiedCount, 0);
+        if (updated > 0) {
+          console.log(`Stored the legacy chip valuation on ${updated} older records`);
+        }
+        startServer();
+      })
+      .catch(error => {
+        console.error('Error storing legacy chip valuation:', error);
+        process.exit(1);
+      });
+
+    // Pick up the turn clocks of games that were waiting on a player before a restart
+    turnTimer.restoreTimers()
+      .then(count => {
+        console.log(`Restored turn timers for ${count} games`);
+      })
+      .catch(error => {
+        console.error('Error restoring turn timers:', error);
+      });
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -75,117 +135,18 @@ mongoose.connect(process.env.MONGODB_URI, {
 app.use('/api/users', userRoutes);
 app.use('/api/games', gameRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/topup-requests', topUpRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/config', configRoutes);
 
-// Socket.io connection handler
-io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
-
-  // Store user info and game rooms
-  let currentUser = null;
-  const joinedRooms = new Set();
-
-  // Authenticate socket connection with token
-  socket.on('authenticate', (data) => {
-    try {
-      const token = data.token;
-      if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        currentUser = {
-          userId: decoded.id
-        };
-        console.log(`Socket ${socket.id} authenticated as user ${currentUser.userId}`);
-      }
-    } catch (error) {
-      console.error('Socket authentication error:', error);
-    }
-  });
-
-  // Handle joining a game room
-  socket.on('join_game', (gameId) => {
-    socket.join(gameId);
-    joinedRooms.add(gameId);
-    console.log(`Socket ${socket.id} joined game: ${gameId}`);
-
-    // Emit an event to all sockets in the room that a new socket joined
-    socket.to(gameId).emit('socket_joined', {
-      socketId: socket.id,
-      timestamp: new Date()
-    });
-  });
-
-  // Handle leaving a game room
-  socket.on('leave_game', (gameId) => {
-    socket.leave(gameId);
-    joinedRooms.delete(gameId);
-    console.log(`Socket ${socket.id} left game: ${gameId}`);
-
-    // Emit an event to all sockets in the room that a socket left
-    socket.to(gameId).emit('socket_left', {
-      socketId: socket.id,
-      timestamp: new Date()
-    });
-  });
-
-  // Handle game actions with improved logging and broadcasting
-  socket.on('game_action', (data) => {
-    // Add better timestamps and details to all logs
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Game action in ${data.gameId}: ${data.action}`);
-
-    // Enhanced action-specific logging
-    if (data.action === 'player_joined') {
-      console.log(`Player joined game ${data.gameId}`);
-      if (data.game && data.game.players) {
-        const newPlayer = data.game.players[data.game.players.length - 1];
-        console.log(`New player: ${newPlayer.username}`);
-      }
-    } else if (data.action === 'player_left') {
-      console.log(`Player left game ${data.gameId}`);
-      if (data.userId) {
-        console.log(`User ID that left: ${data.userId}`);
-      }
-    } else if (data.action === 'player_kicked') {
-      console.log(`Player kicked from game ${data.gameId}`);
-      if (data.kickedUserId) {
-        console.log(`Kicked user ID: ${data.kickedUserId}`);
-      }
-    } else if (data.action === 'game_started') {
-      console.log(`Game ${data.gameId} started`);
-    }
-
-    // Always add a timestamp if not present
-    if (!data.timestamp) {
-      data.timestamp = timestamp;
-    }
-
-    // Use io.to() to broadcast to ALL clients in the room including sender
-    // This ensures everyone has the same state
-    io.to(data.gameId).emit(data.action, data);
-
-    // Also emit general game_update event as a fallback
-    io.to(data.gameId).emit('game_update', data);
-
-    // Log confirmation of broadcast
-    console.log(`[${timestamp}] Broadcasted ${data.action} to all clients in game ${data.gameId}`);
-  });
-
-  // Handle disconnection with cleanup
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-
-    // Notify all rooms this socket was in
-    joinedRooms.forEach(gameId => {
-      socket.to(gameId).emit('socket_left', {
-        socketId: socket.id,
-        userId: currentUser?.userId,
-        timestamp: new Date()
-      });
-    });
-  });
-});
+// Socket.io handlers (authentication, game rooms, client relay)
+registerGameSocket(io);
 
 // Make io accessible to routes
 app.set('io', io);
+turnTimer.init(io);
+hostService.init(io);
 
 // Default route
 app.get('/', (req, res) => {
@@ -202,8 +163,10 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
+// Start server, once the database is ready
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+const startServer = () => {
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+};
\ No newline at end of file
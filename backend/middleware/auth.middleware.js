@@ -1,7 +1,8 @@
 const jwt = require('jsonwebtoken');
+const tokens = require('../services/token.service');
 
-// Middleware to verify JWT authentication token
-const verifyToken = (req, res, next) => {
+// Middleware to verify JWT authentication token and that the account is still active
+const verifyToken = async (req, res, next) => {
   // Get the token from the Authorization header
   const authHeader = req.headers.authorization;
 
@@ -22,14 +23,10 @@ const verifyToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
     // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Set user ID in request for later use
-    req.userId = decoded.id;
-
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     console.error('Token verification error:', error);
 
@@ -45,6 +42,27 @@ const verifyToken = (req, res, next) => {
       message: 'Invalid token'
     });
   }
+
+  try {
+    // A deactivated account loses access straight away, not when its token expires
+    if (!(await tokens.isAccountActive(decoded.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account not found or deactivated'
+      });
+    }
+  } catch (error) {
+    console.error('Account check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check account'
+    });
+  }
+
+  // Set user ID in request for later use
+  req.userId = decoded.id;
+
+  next();
 };
 
 module.exports = verifyToken;
\ No newline at end of file
@@ -0,0 +1,117 @@
+const IdempotencyKey = require('../models/idempotency_key.model');
+const { IDEMPOTENCY_KEY_TTL } = require('../config/config');
+
+// Middleware to make retried requests safe: the first request with a given
+// Idempotency-Key header is processed and its response stored, repeats of the key
+// get the stored response back without running the handler again.
+// Must run after verifyToken, keys are scoped to the authenticated user.
+const idempotency = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+
+  // Requests without a key are processed as usual
+  if (!key) {
+    return next();
+  }
+
+  const method = req.method;
+  const path = req.originalUrl.split('?')[0];
+
+  try {
+    // Claim the key; the unique index makes only one request win
+    const record = await claimKey(key, req.userId, method, path);
+
+    if (!record.claimed) {
+      const existing = record.existing;
+
+      if (existing.method !== method || existing.path !== path) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      // Replay the original response
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.response);
+    }
+
+    // Store the response as soon as the handler answers with res.json, even if the client
+    // has already gone, so a retry gets it replayed instead of running the handler again.
+    // A request that finishes without a res.json answer (an error sent another way)
+    // releases the key for a retry.
+    let stored = false;
+    const store = (captured) => {
+      if (!stored) {
+        stored = true;
+        storeResponse(record.claimed, captured);
+      }
+    };
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      store({ statusCode: res.statusCode, body });
+      return originalJson(body);
+    };
+    res.on('finish', () => store(null));
+
+    next();
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check idempotency key',
+      error: error.message
+    });
+  }
+};
+
+// Insert the key for this request, or return the record that already holds it
+const claimKey = async (key, userId, method, path) => {
+  try {
+    const claimed = await IdempotencyKey.create({
+      key,
+      userId,
+      method,
+      path,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL * 1000)
+    });
+    return { claimed };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, userId });
+
+    // An expired key that MongoDB has not cleaned up yet can be used again
+    if (!existing || existing.expiresAt < new Date()) {
+      await IdempotencyKey.deleteOne({ key, userId });
+      return claimKey(key, userId, method, path);
+    }
+
+    return { existing };
+  }
+};
+
+// Save the response for replays. Server errors and responses sent without res.json
+// release the key so the client can retry.
+const storeResponse = (record, captured) => {
+  const update = !captured || captured.statusCode >= 500
+    ? IdempotencyKey.deleteOne({ _id: record._id })
+    : IdempotencyKey.updateOne(
+      { _id: record._id },
+      { status: 'completed', statusCode: captured.statusCode, response: captured.body }
+    );
+
+  update.catch(error => {
+    console.error('Failed to store idempotent response:', error);
+  });
+};
+
+module.exports = idempotency;
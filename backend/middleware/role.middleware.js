@@ -0,0 +1,36 @@
+const User = require('../models/user.model');
+
+// Middleware factory allowing only active users with one of the given roles.
+// Use after verifyToken, e.g. router.use(verifyToken, requireRole('admin')).
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('role isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account not found or deactivated'
+      });
+    }
+
+    if (!roles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Insufficient permissions'
+      });
+    }
+
+    // Set user role in request for later use
+    req.userRole = user.role;
+
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check permissions'
+    });
+  }
+};
+
+module.exports = requireRole;
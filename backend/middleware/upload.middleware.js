@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { UPLOAD_DIR, RECEIPT_MAX_BYTES } = require('../config/config');
+
+const RECEIPT_DIR = path.join(UPLOAD_DIR, 'receipts');
+const RECEIPT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic'
+};
+
+fs.mkdirSync(RECEIPT_DIR, { recursive: true });
+
+// Store receipts under a random name so uploads can't overwrite each other
+const receiptUpload = multer({
+  storage: multer.diskStorage({
+    destination: RECEIPT_DIR,
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomBytes(16).toString('hex')}${RECEIPT_TYPES[file.mimetype]}`);
+    }
+  }),
+  limits: { fileSize: RECEIPT_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!RECEIPT_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).single('receipt');
+
+// Middleware accepting an optional receipt image in a multipart "receipt" field.
+// JSON requests pass straight through.
+const uploadReceipt = (req, res, next) => {
+  receiptUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Receipt image must be at most ${Math.floor(RECEIPT_MAX_BYTES / 1024 / 1024)} MB`
+          : 'Receipt must be a single JPEG, PNG, WebP or HEIC image in the "receipt" field'
+      });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+uploadReceipt.RECEIPT_DIR = RECEIPT_DIR;
+
+module.exports = uploadReceipt;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Chips sent from one player's wallet to another's. Small transfers complete at once;
+// transfers above the confirmation threshold wait for the receiver to accept them.
+const chipTransferSchema = new mongoose.Schema({
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Receiver is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Chip amount is required'],
+    min: [1, 'Chip amount must be positive']
+  },
+  memo: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Memo must be at most 200 characters'],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  // Ledger transfer that moved the chips, linking both users' Transaction rows
+  transferId: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+chipTransferSchema.index({ fromUserId: 1, createdAt: -1 });
+chipTransferSchema.index({ toUserId: 1, status: 1 });
+
+const ChipTransfer = mongoose.model('ChipTransfer', chipTransferSchema);
+
+module.exports = ChipTransfer;
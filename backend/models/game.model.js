@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const { createShuffledDeck } = require('../utils/deck');
+const { evaluateHand, findWinners } = require('../utils/hand_evaluator');
+const { DEFAULT_VALUATION } = require('../utils/valuation');
+
+// Betting rounds of a hand, in the order they are played
+const BETTING_ROUNDS = ['preFlop', 'flop', 'turn', 'river', 'showdown'];
+
+// Number of cards dealt to the board when each street opens
+const COMMUNITY_CARDS_PER_ROUND = { flop: 3, turn: 1, river: 1 };
+
+const cardSchema = new mongoose.Schema({
+  suit: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 3
+  },
+  rank: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 12
+  }
+}, { _id: false });
+
+const potSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  eligiblePlayers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
 
 const playerSchema = new mongoose.Schema({
   userId: {
@@ -19,9 +56,184 @@ const playerSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Chips moved from the user's wallet onto the table
+  buyIn: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cashedOut: {
+    type: Boolean,
+    default: false
+  },
+  // Seconds of extra thinking time left once the action timeout runs out
+  timeBank: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Seat number at the table; players are kept in seat order
   position: {
     type: Number,
     required: false
+  },
+  // Place a tournament player finished in once knocked out (null while still playing)
+  finishPosition: {
+    type: Number,
+    default: null
+  },
+  // Keeps the seat and stack but is dealt out of hands until sitting back in
+  isSittingOut: {
+    type: Boolean,
+    default: false
+  },
+  hasFolded: {
+    type: Boolean,
+    default: false
+  },
+  hasActed: {
+    type: Boolean,
+    default: false
+  },
+  // Chips put in during the current betting round
+  currentBet: {
+    type: Number,
+    default: 0
+  },
+  // Chips committed to the pot during the whole hand
+  totalBet: {
+    type: Number,
+    default: 0
+  },
+  isAllIn: {
+    type: Boolean,
+    default: false
+  },
+  // Private cards, only ever sent to the player who holds them
+  holeCards: {
+    type: [cardSchema],
+    default: []
+  }
+}, { _id: false });
+
+// One step of a tournament's blind schedule
+const blindLevelSchema = new mongoose.Schema({
+  smallBlind: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  bigBlind: {
+    type: Number,
+    required: true,
+    min: 2
+  },
+  ante: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Seconds the level lasts; the last level lasts until the end
+  duration: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// Where a tournament player finished and what they won
+const tournamentResultSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  position: {
+    type: Number,
+    required: true
+  },
+  prize: {
+    type: Number,
+    default: 0
+  },
+  eliminatedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Settings and progress of a tournament. Stacks are tournament chips; only the fixed
+// buy-ins (the prize pool) and the payouts move wallet chips.
+const tournamentSchema = new mongoose.Schema({
+  // Wallet chips each player pays to enter
+  buyIn: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Tournament chips each player starts with
+  startingStack: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  levels: {
+    type: [blindLevelSchema],
+    default: []
+  },
+  // Percentage of the prize pool for 1st, 2nd, ... place
+  payouts: {
+    type: [Number],
+    default: []
+  },
+  prizePool: {
+    type: Number,
+    default: 0
+  },
+  currentLevel: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  nextLevelAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  results: {
+    type: [tournamentResultSchema],
+    default: []
+  }
+}, { _id: false });
+
+// A user waiting for a seat at a full table. The buy-in only leaves their wallet once seated.
+const waitingPlayerSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  buyIn: {
+    type: Number,
+    default: null
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: false });
 
@@ -62,6 +274,22 @@ const gameSchema = new mongoose.Schema({
     enum: ['pending', 'active', 'completed'],
     default: 'pending'
   },
+  // Cash games play for wallet chips; tournaments for a prize pool
+  gameType: {
+    type: String,
+    enum: ['cash', 'tournament'],
+    default: 'cash'
+  },
+  tournament: {
+    type: tournamentSchema,
+    default: null
+  },
+  // Chips every dealt-in player posts before each hand (set by the tournament blind level)
+  ante: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   currentPlayerIndex: {
     type: Number,
     default: 0
@@ -74,6 +302,126 @@ const gameSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  minRaise: {
+    type: Number,
+    default: 0
+  },
+  // Side pots created by all-in players; the main pot is what remains of pot
+  sidePots: {
+    type: [potSchema],
+    default: []
+  },
+  bettingRound: {
+    type: String,
+    enum: BETTING_ROUNDS,
+    default: 'preFlop'
+  },
+  handNumber: {
+    type: Number,
+    default: 0
+  },
+  handInProgress: {
+    type: Boolean,
+    default: false
+  },
+  dealerPosition: {
+    type: Number,
+    default: -1
+  },
+  smallBlindPosition: {
+    type: Number,
+    default: -1
+  },
+  bigBlindPosition: {
+    type: Number,
+    default: -1
+  },
+  communityCards: {
+    type: [cardSchema],
+    default: []
+  },
+  // Seconds each player gets to act before the server acts for them
+  actionTimeout: {
+    type: Number,
+    default: 30,
+    min: [5, 'Action timeout must be at least 5 seconds']
+  },
+  // Seconds of time bank every player starts with
+  timeBank: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Sequence number of the last event broadcast to the game room
+  eventSeq: {
+    type: Number,
+    default: 0
+  },
+  // Currency the game's chips are valued in and the value of one chip
+  currency: {
+    type: String,
+    default: () => DEFAULT_VALUATION.currency
+  },
+  chipValue: {
+    type: Number,
+    default: () => DEFAULT_VALUATION.chipValue,
+    min: 0
+  },
+  // Public tables are listed in the lobby; private ones can only be joined by code
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'private'
+  },
+  // Hash of the table password; never selected unless asked for
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  isPasswordProtected: {
+    type: Boolean,
+    default: false
+  },
+  maxSeats: {
+    type: Number,
+    default: 9,
+    min: [2, 'A table needs at least 2 seats'],
+    max: [10, 'A table has at most 10 seats']
+  },
+  // Buy-in range in chips for taking a seat (null = no limit)
+  minBuyIn: {
+    type: Number,
+    default: null
+  },
+  maxBuyIn: {
+    type: Number,
+    default: null
+  },
+  // Users waiting for a seat, first come first served
+  waitingList: {
+    type: [waitingPlayerSchema],
+    default: []
+  },
+  // Whether users who are not seated may join the game's socket room to watch
+  allowSpectators: {
+    type: Boolean,
+    default: false
+  },
+  turnStartedAt: {
+    type: Date,
+    default: null
+  },
+  // When the current player runs out of time, including their time bank
+  turnDeadline: {
+    type: Date,
+    default: null
+  },
+  // Undealt cards of the current hand, never sent to clients
+  deck: {
+    type: [cardSchema],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -87,9 +435,56 @@ const gameSchema = new mongoose.Schema({
     default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save checks and bumps __v, so two requests that loaded the same version of a game
+  // cannot both write it: the slower one fails with a VersionError instead of overwriting
+  optimisticConcurrency: true
 });
 
+// Set or clear the table password
+gameSchema.methods.setPassword = async function(password) {
+  if (!password) {
+    this.passwordHash = null;
+    this.isPasswordProtected = false;
+    return this;
+  }
+  const salt = await bcrypt.genSalt(10);
+  this.passwordHash = await bcrypt.hash(password, salt);
+  this.isPasswordProtected = true;
+  return this;
+};
+
+// Check a password against the table's. The hash is not selected by default, so it
+// is loaded here when the document doesn't have it.
+gameSchema.methods.checkPassword = async function(candidatePassword) {
+  if (!this.isPasswordProtected) {
+    return true;
+  }
+  if (!candidatePassword) {
+    return false;
+  }
+  const hash = this.passwordHash ||
+    (await this.constructor.findById(this._id).select('+passwordHash')).passwordHash;
+  return bcrypt.compare(String(candidatePassword), hash);
+};
+
+// Number of seats still free at the table
+gameSchema.methods.getFreeSeats = function() {
+  return Math.max(this.maxSeats - this.players.length, 0);
+};
+
+// Seat numbers nobody is sitting in, lowest first
+gameSchema.methods.getOpenSeats = function() {
+  const taken = new Set(this.players.map(player => player.position));
+  const seats = [];
+  for (let seat = 0; seat < this.maxSeats; seat++) {
+    if (!taken.has(seat)) {
+      seats.push(seat);
+    }
+  }
+  return seats;
+};
+
 // Method to add a player to the game
 gameSchema.methods.addPlayer = function(player) {
   // Check if player already exists
@@ -98,7 +493,23 @@ gameSchema.methods.addPlayer = function(player) {
   );
 
   if (existingPlayerIndex === -1) {
-    this.players.push(player);
+    // Someone seated during a hand waits for the next one
+    if (this.handInProgress) {
+      player.hasFolded = true;
+    }
+
+    // Keep players in seat order, which is the order the button and turns go round,
+    // and keep seat pointers on the same players after the seats behind shift up
+    let index = this.players.findIndex(p => p.position > player.position);
+    if (index === -1) {
+      index = this.players.length;
+    }
+    this.players.splice(index, 0, player);
+    ['currentPlayerIndex', 'dealerPosition', 'smallBlindPosition', 'bigBlindPosition'].forEach(field => {
+      if (this[field] >= index && this.players.length > 1) {
+        this[field] += 1;
+      }
+    });
   } else {
     // Update existing player data
     this.players[existingPlayerIndex] = {
@@ -113,10 +524,99 @@ gameSchema.methods.addPlayer = function(player) {
 
 // Method to remove a player from the game
 gameSchema.methods.removePlayer = function(userId) {
+  const removedIndex = this.players.findIndex(
+    player => player.userId.toString() === userId.toString()
+  );
+  if (removedIndex === -1) {
+    return this;
+  }
+
   this.players = this.players.filter(player => player.userId.toString() !== userId.toString());
+
+  // Keep seat pointers on the same players after the seats shift down; a pointer to the
+  // removed seat moves back one so the next rotation lands on the following player
+  ['currentPlayerIndex', 'dealerPosition', 'smallBlindPosition', 'bigBlindPosition'].forEach(field => {
+    if (this[field] >= removedIndex) {
+      this[field] -= 1;
+      if (this[field] < 0) {
+        this[field] = Math.max(this.players.length - 1, 0);
+      }
+    }
+  });
+
   return this;
 };
 
+// Fold a player out of the hand in progress, e.g. before they leave the table.
+// Returns true when it was their turn, so the hand has to move on.
+gameSchema.methods.foldPlayer = function(userId) {
+  const playerIndex = this.players.findIndex(
+    player => player.userId.toString() === userId.toString()
+  );
+  const player = this.players[playerIndex];
+
+  if (!this.handInProgress || !player || player.hasFolded) {
+    return false;
+  }
+
+  player.hasFolded = true;
+  player.hasActed = true;
+  return playerIndex === this.currentPlayerIndex;
+};
+
+// Sit a player out: they keep their seat and stack but are dealt out of hands and skipped
+// for blinds until they sit back in. A player still in the hand folds.
+// Returns true when it was their turn, so the hand has to move on.
+gameSchema.methods.sitOut = function(userId) {
+  const player = this.players.find(p => p.userId.toString() === userId.toString());
+  if (!player) {
+    return false;
+  }
+
+  player.isSittingOut = true;
+  this.updatedAt = Date.now();
+  return this.foldPlayer(userId);
+};
+
+// Bring a sitting-out player back; they are dealt in from the next hand
+gameSchema.methods.sitIn = function(userId) {
+  const player = this.players.find(p => p.userId.toString() === userId.toString());
+  if (!player) {
+    return false;
+  }
+
+  player.isSittingOut = false;
+  this.updatedAt = Date.now();
+  return true;
+};
+
+// Player who should take over as host: the next seated player after the current host,
+// preferring players who are not sitting out. Returns undefined when nobody else is seated.
+gameSchema.methods.findNextHost = function() {
+  const hostIndex = this.players.findIndex(player => player.userId.toString() === this.hostId.toString());
+  const candidates = [];
+  // A host who already left the table is no longer in players, so start from the first seat
+  for (let step = 1; step <= this.players.length; step++) {
+    const player = this.players[(hostIndex + step) % this.players.length];
+    if (player.userId.toString() !== this.hostId.toString()) {
+      candidates.push(player);
+    }
+  }
+  return candidates.find(player => !player.isSittingOut) || candidates[0];
+};
+
+// Take a user off the waiting list; returns true if they were on it
+gameSchema.methods.removeFromWaitingList = function(userId) {
+  const before = this.waitingList.length;
+  this.waitingList = this.waitingList.filter(entry => entry.userId.toString() !== userId.toString());
+  return this.waitingList.length !== before;
+};
+
+// Whether a player takes part in the next hand
+gameSchema.methods.canBeDealtIn = function(player) {
+  return player.isActive && !player.isSittingOut && player.chipBalance > 0;
+};
+
 // Method to update a player's chip balance
 gameSchema.methods.updatePlayerChips = function(userId, chipAmount) {
   const playerIndex = this.players.findIndex(
@@ -142,6 +642,9 @@ gameSchema.methods.getActivePlayers = function() {
 // Method to start the game
 gameSchema.methods.startGame = function() {
   this.status = 'active';
+  if (this.isTournament()) {
+    this.startTournament();
+  }
   this.updatedAt = Date.now();
   return this;
 };
@@ -149,29 +652,759 @@ gameSchema.methods.startGame = function() {
 // Method to end the game
 gameSchema.methods.endGame = function() {
   this.status = 'completed';
+  this.clearTurnClock();
   this.endedAt = Date.now();
   this.updatedAt = Date.now();
   return this;
 };
 
+// Check if a player still has decisions to make in the current hand
+gameSchema.methods.canPlayerAct = function(player) {
+  return player.isActive && !player.isSittingOut && !player.hasFolded && player.chipBalance > 0;
+};
+
+// Get players who have not folded in the current hand
+gameSchema.methods.getPlayersInHand = function() {
+  return this.players.filter(player => player.isActive && !player.hasFolded);
+};
+
+// Find the next seat after fromIndex whose player matches the predicate
+gameSchema.methods.findNextIndex = function(fromIndex, predicate) {
+  for (let step = 1; step <= this.players.length; step++) {
+    const index = (fromIndex + step) % this.players.length;
+    if (predicate(this.players[index])) {
+      return index;
+    }
+  }
+  return -1;
+};
+
 // Move to the next player
 gameSchema.methods.nextTurn = function() {
-  const activePlayers = this.getActivePlayers();
+  const activePlayers = this.getPlayersInHand();
   if (activePlayers.length <= 1) {
-    return false; // Game should end if only one active player remains
+    return false; // Hand should end if only one active player remains
   }
 
-  // Find next active player
-  let nextIndex = this.currentPlayerIndex;
-  do {
-    nextIndex = (nextIndex + 1) % this.players.length;
-  } while (!this.players[nextIndex].isActive);
+  // Find next player who can still act
+  const nextIndex = this.findNextIndex(
+    this.currentPlayerIndex,
+    player => this.canPlayerAct(player)
+  );
+  if (nextIndex === -1) {
+    return false;
+  }
 
   this.currentPlayerIndex = nextIndex;
+  this.startTurnClock();
   this.updatedAt = Date.now();
   return true;
 };
 
+// Start the clock for the player whose turn it now is
+gameSchema.methods.startTurnClock = function() {
+  const player = this.players[this.currentPlayerIndex];
+  if (!this.handInProgress || !player) {
+    return this.clearTurnClock();
+  }
+
+  const now = Date.now();
+  this.turnStartedAt = new Date(now);
+  this.turnDeadline = new Date(now + (this.actionTimeout + player.timeBank) * 1000);
+  return this;
+};
+
+// Stop the clock when nobody has to act
+gameSchema.methods.clearTurnClock = function() {
+  this.turnStartedAt = null;
+  this.turnDeadline = null;
+  return this;
+};
+
+// Take the time a player used beyond the action timeout out of their time bank
+gameSchema.methods.chargeTimeBank = function(player) {
+  if (!this.turnStartedAt) {
+    return this;
+  }
+
+  const elapsed = (Date.now() - this.turnStartedAt.getTime()) / 1000;
+  const overtime = Math.ceil(elapsed - this.actionTimeout);
+  if (overtime > 0) {
+    player.timeBank = Math.max(player.timeBank - overtime, 0);
+  }
+  return this;
+};
+
+// Move chips from a player's stack into the pot
+gameSchema.methods.placeBet = function(playerIndex, amount) {
+  const player = this.players[playerIndex];
+  const chips = Math.min(amount, player.chipBalance);
+
+  player.chipBalance -= chips;
+  player.currentBet += chips;
+  player.totalBet += chips;
+  player.isAllIn = player.chipBalance === 0;
+  this.pot += chips;
+
+  return chips;
+};
+
+// Take the top card off the deck
+gameSchema.methods.dealCard = function() {
+  const card = this.deck.shift();
+  return { suit: card.suit, rank: card.rank };
+};
+
+// Burn a card and deal the board cards for the street that just opened
+gameSchema.methods.dealCommunityCards = function() {
+  const count = COMMUNITY_CARDS_PER_ROUND[this.bettingRound] || 0;
+  if (count === 0) {
+    return [];
+  }
+
+  this.dealCard();
+  const cards = [];
+  for (let i = 0; i < count; i++) {
+    cards.push(this.dealCard());
+  }
+  this.communityCards.push(...cards);
+  return cards;
+};
+
+// Start a new hand: rotate the dealer button, post blinds and set the first player to act
+gameSchema.methods.startHand = function() {
+  const canBeDealtIn = player => this.canBeDealtIn(player);
+
+  if (this.players.filter(canBeDealtIn).length < 2) {
+    this.handInProgress = false;
+    this.clearTurnClock();
+    return null;
+  }
+
+  // Tournament blinds and antes go up between hands as the level clock runs
+  const blindLevel = this.isTournament() ? this.updateBlindLevel() : null;
+
+  // Reset per-hand player state; players without chips or sitting out miss this hand
+  this.players.forEach(player => {
+    player.hasFolded = !canBeDealtIn(player);
+    player.hasActed = false;
+    player.currentBet = 0;
+    player.totalBet = 0;
+    player.isAllIn = false;
+    player.holeCards = [];
+  });
+
+  // The first hand starts with the button on the first seat, later hands move it on
+  this.dealerPosition = this.dealerPosition === -1 && canBeDealtIn(this.players[0])
+    ? 0
+    : this.findNextIndex(Math.max(this.dealerPosition, 0), canBeDealtIn);
+
+  const headsUp = this.getPlayersInHand().length === 2;
+  this.smallBlindPosition = headsUp
+    ? this.dealerPosition
+    : this.findNextIndex(this.dealerPosition, canBeDealtIn);
+  this.bigBlindPosition = this.findNextIndex(this.smallBlindPosition, canBeDealtIn);
+
+  this.handNumber += 1;
+  this.handInProgress = true;
+  this.bettingRound = 'preFlop';
+  this.pot = 0;
+  this.sidePots = [];
+  this.currentBet = 0;
+  this.minRaise = this.bigBlind;
+  this.communityCards = [];
+  this.deck = createShuffledDeck();
+
+  // Deal two hole cards, one at a time, starting left of the button
+  for (let round = 0; round < 2; round++) {
+    let seat = this.dealerPosition;
+    do {
+      seat = (seat + 1) % this.players.length;
+      if (!this.players[seat].hasFolded) {
+        this.players[seat].holeCards.push(this.dealCard());
+      }
+    } while (seat !== this.dealerPosition);
+  }
+
+  // Who was dealt in and with what stack, before the blinds go in
+  const seats = this.players
+    .map((player, seat) => ({
+      userId: player.userId,
+      username: player.username,
+      seat,
+      startingStack: player.chipBalance,
+      holeCards: player.holeCards.map(card => ({ suit: card.suit, rank: card.rank }))
+    }))
+    .filter(seat => seat.holeCards.length > 0);
+
+  // Antes go in first as dead money: into the pot, but not towards anyone's bet
+  const antes = this.ante > 0
+    ? this.players
+      .filter(player => !player.hasFolded)
+      .map(player => {
+        const amount = Math.min(this.ante, player.chipBalance);
+        player.chipBalance -= amount;
+        player.totalBet += amount;
+        player.isAllIn = player.chipBalance === 0;
+        this.pot += amount;
+        return { userId: player.userId, type: 'ante', amount, isAllIn: player.isAllIn };
+      })
+    : [];
+
+  const blinds = [
+    ...antes,
+    {
+      userId: this.players[this.smallBlindPosition].userId,
+      type: 'smallBlind',
+      amount: this.placeBet(this.smallBlindPosition, this.smallBlind)
+    },
+    {
+      userId: this.players[this.bigBlindPosition].userId,
+      type: 'bigBlind',
+      amount: this.placeBet(this.bigBlindPosition, this.bigBlind)
+    }
+  ];
+  this.currentBet = Math.max(
+    this.players[this.smallBlindPosition].currentBet,
+    this.players[this.bigBlindPosition].currentBet
+  );
+
+  // Action starts left of the big blind (the small blind/dealer when heads-up)
+  this.currentPlayerIndex = this.bigBlindPosition;
+  this.nextTurn();
+  this.updatedAt = Date.now();
+
+  return { handNumber: this.handNumber, seats, blinds, blindLevel };
+};
+
+// Apply a player's betting action to the current hand.
+// Returns { success, message, amount } where amount is the chips moved into the pot,
+// or { success: false, code, message } with a code clients can switch on.
+gameSchema.methods.applyAction = function(userId, action, amount) {
+  const playerIndex = this.players.findIndex(
+    player => player.userId.toString() === userId.toString()
+  );
+  const player = this.players[playerIndex];
+
+  if (!this.handInProgress || this.bettingRound === 'showdown') {
+    return { success: false, code: 'no-betting-round', message: 'No betting round in progress' };
+  }
+
+  if (playerIndex === -1 || playerIndex !== this.currentPlayerIndex) {
+    return { success: false, code: 'not-your-turn', message: 'It\'s not your turn' };
+  }
+
+  const toCall = this.currentBet - player.currentBet;
+
+  switch (action) {
+    case 'check':
+      if (toCall > 0) {
+        return { success: false, code: 'cannot-check', message: `Cannot check, ${toCall} chips to call` };
+      }
+      player.hasActed = true;
+      return { success: true, message: 'Check', amount: 0 };
+
+    case 'call': {
+      if (toCall <= 0) {
+        return { success: false, code: 'nothing-to-call', message: 'Nothing to call, check instead' };
+      }
+      // A short stack calls for whatever it has left
+      const chips = this.placeBet(playerIndex, toCall);
+      player.hasActed = true;
+      return {
+        success: true,
+        message: player.isAllIn ? `All-in call: ${chips} chips` : `Call: ${chips} chips`,
+        amount: chips
+      };
+    }
+
+    case 'bet':
+    case 'raise': {
+      // Amount is the total the player is raising to in this betting round
+      const raiseTo = parseInt(amount);
+      const minRaiseTo = this.currentBet + this.minRaise;
+
+      if (!raiseTo || raiseTo < minRaiseTo) {
+        return { success: false, code: 'raise-too-small', message: `Raise must be at least ${minRaiseTo} chips` };
+      }
+      if (player.chipBalance < raiseTo - player.currentBet) {
+        return { success: false, code: 'insufficient-chips', message: 'Not enough chips to raise, go all-in instead' };
+      }
+
+      const chips = this.placeBet(playerIndex, raiseTo - player.currentBet);
+      this.minRaise = raiseTo - this.currentBet;
+      this.currentBet = raiseTo;
+
+      // Everyone else gets to respond to the raise
+      this.players.forEach(other => {
+        other.hasActed = false;
+      });
+      player.hasActed = true;
+
+      return { success: true, message: `Raise to ${raiseTo} chips`, amount: chips };
+    }
+
+    case 'allin': {
+      if (player.chipBalance <= 0) {
+        return { success: false, code: 'insufficient-chips', message: 'No chips left to go all-in with' };
+      }
+
+      const chips = this.placeBet(playerIndex, player.chipBalance);
+      player.hasActed = true;
+
+      if (player.currentBet > this.currentBet) {
+        // Only a full raise changes the minimum raise, but everyone must respond to the extra chips
+        const raisedBy = player.currentBet - this.currentBet;
+        if (raisedBy >= this.minRaise) {
+          this.minRaise = raisedBy;
+        }
+        this.currentBet = player.currentBet;
+
+        this.players.forEach(other => {
+          other.hasActed = false;
+        });
+        player.hasActed = true;
+      }
+
+      return { success: true, message: `All-in: ${chips} chips`, amount: chips };
+    }
+
+    case 'fold':
+      player.hasFolded = true;
+      player.hasActed = true;
+      return { success: true, message: 'Fold', amount: 0 };
+
+    default:
+      return { success: false, code: 'invalid-action', message: 'Invalid action' };
+  }
+};
+
+// Check whether every player still in the hand has acted and matched the bet
+gameSchema.methods.isBettingRoundComplete = function() {
+  if (this.getPlayersInHand().length <= 1) {
+    return true;
+  }
+
+  return this.players
+    .filter(player => this.canPlayerAct(player))
+    .every(player => player.hasActed && player.currentBet === this.currentBet);
+};
+
+// Close the current betting round and move on to the next street
+gameSchema.methods.advanceBettingRound = function() {
+  this.players.forEach(player => {
+    player.currentBet = 0;
+    player.hasActed = false;
+  });
+  this.currentBet = 0;
+  this.minRaise = this.bigBlind;
+
+  const nextRound = BETTING_ROUNDS[BETTING_ROUNDS.indexOf(this.bettingRound) + 1];
+  this.bettingRound = nextRound || 'showdown';
+
+  const cards = this.dealCommunityCards();
+  this.sidePots = this.buildPots().slice(1);
+
+  if (this.bettingRound !== 'showdown') {
+    // Post-flop action starts with the first player left of the button
+    this.currentPlayerIndex = this.dealerPosition;
+    this.nextTurn();
+  }
+
+  this.updatedAt = Date.now();
+  return { bettingRound: this.bettingRound, cards };
+};
+
+// Seats ordered from the first player left of the button, used to hand out odd chips
+gameSchema.methods.orderFromButton = function(players) {
+  const seatOf = player => this.players.findIndex(
+    p => p.userId.toString() === player.userId.toString()
+  );
+  const distance = player => (seatOf(player) - this.dealerPosition - 1 + this.players.length) % this.players.length;
+  return [...players].sort((a, b) => distance(a) - distance(b));
+};
+
+// Split a pot between the best hands among the contenders, crediting their stacks.
+// Returns the amount each winner received.
+gameSchema.methods.awardPot = function(amount, contenders) {
+  let winners = contenders;
+  if (contenders.length > 1) {
+    const hands = contenders.map(player => evaluateHand([...player.holeCards, ...this.communityCards]));
+    winners = findWinners(hands).map(index => contenders[index]);
+  }
+
+  const share = Math.floor(amount / winners.length);
+  let oddChips = amount % winners.length;
+
+  return this.orderFromButton(winners).map(winner => {
+    const won = share + (oddChips > 0 ? 1 : 0);
+    oddChips = Math.max(oddChips - 1, 0);
+    this.updatePlayerChips(winner.userId, won);
+    return { userId: winner.userId, username: winner.username, amount: won };
+  });
+};
+
+// Abandon the hand in progress and give every player back what they committed to it.
+// Chips left behind by players who already left the table are shared by those still in the hand.
+// Returns { handNumber, refunds: [{ userId, username, amount }] } for the ledger, or null
+// when no hand was in progress.
+gameSchema.methods.cancelHand = function() {
+  if (!this.handInProgress) {
+    return null;
+  }
+
+  const refunds = new Map();
+  const refund = (player, amount) => {
+    if (amount > 0) {
+      player.chipBalance += amount;
+      this.pot -= amount;
+      const key = player.userId.toString();
+      const entry = refunds.get(key) || { userId: player.userId, username: player.username, amount: 0 };
+      entry.amount += amount;
+      refunds.set(key, entry);
+    }
+  };
+
+  this.players.forEach(player => {
+    refund(player, player.totalBet);
+    player.totalBet = 0;
+    player.currentBet = 0;
+  });
+
+  const contenders = this.orderFromButton(this.getPlayersInHand());
+  if (this.pot > 0 && contenders.length > 0) {
+    const share = Math.floor(this.pot / contenders.length);
+    let oddChips = this.pot % contenders.length;
+    contenders.forEach(player => {
+      refund(player, share + (oddChips > 0 ? 1 : 0));
+      oddChips = Math.max(oddChips - 1, 0);
+    });
+  }
+
+  const handNumber = this.handNumber;
+  this.pot = 0;
+  this.sidePots = [];
+  this.currentBet = 0;
+  this.handInProgress = false;
+  this.clearTurnClock();
+  this.updatedAt = Date.now();
+  return { handNumber, refunds: [...refunds.values()] };
+};
+
+// Give back the part of the largest bet that nobody else matched.
+// Returns { userId, amount } or null when every chip was called.
+gameSchema.methods.returnUncalledBet = function() {
+  const [top, second] = [...this.players].sort((a, b) => b.totalBet - a.totalBet);
+  const uncalled = top.totalBet - (second ? second.totalBet : 0);
+
+  if (uncalled <= 0) {
+    return null;
+  }
+
+  top.totalBet -= uncalled;
+  top.currentBet = Math.max(top.currentBet - uncalled, 0);
+  top.chipBalance += uncalled;
+  top.isAllIn = false;
+  this.pot -= uncalled;
+
+  return { userId: top.userId, username: top.username, amount: uncalled };
+};
+
+// Split the pot into the main pot and side pots from each player's committed chips.
+// Each pot can only be won by the players who have not folded and covered it.
+gameSchema.methods.buildPots = function() {
+  const contenders = this.getPlayersInHand();
+  const levels = [...new Set(contenders.map(player => player.totalBet))]
+    .filter(level => level > 0)
+    .sort((a, b) => a - b);
+
+  const pots = [];
+  let previousLevel = 0;
+
+  levels.forEach(level => {
+    const amount = this.players.reduce(
+      (sum, player) => sum + Math.min(player.totalBet, level) - Math.min(player.totalBet, previousLevel),
+      0
+    );
+    const eligiblePlayers = contenders
+      .filter(player => player.totalBet >= level)
+      .map(player => player.userId);
+
+    if (amount > 0) {
+      pots.push({ amount, eligiblePlayers });
+    }
+    previousLevel = level;
+  });
+
+  // Chips folded players put in above every contender's level belong to the last pot.
+  // When no contender has anything left in (their bet came back as uncalled), the chips
+  // of the players who folded or left make up a pot of their own.
+  const potted = pots.reduce((sum, pot) => sum + pot.amount, 0);
+  if (pots.length > 0 && this.pot > potted) {
+    pots[pots.length - 1].amount += this.pot - potted;
+  } else if (pots.length === 0 && this.pot > 0 && contenders.length > 0) {
+    pots.push({ amount: this.pot, eligiblePlayers: contenders.map(player => player.userId) });
+  }
+
+  return pots;
+};
+
+// Finish the hand: reveal the remaining hands if it went to showdown and pay out the pot
+gameSchema.methods.completeHand = function() {
+  const contenders = this.getPlayersInHand();
+  const wentToShowdown = contenders.length > 1;
+
+  const uncalledBet = this.returnUncalledBet();
+
+  const result = {
+    handNumber: this.handNumber,
+    pot: this.pot,
+    uncalledBet,
+    pots: [],
+    communityCards: this.communityCards.map(card => ({ suit: card.suit, rank: card.rank })),
+    showdown: [],
+    winners: []
+  };
+
+  if (wentToShowdown) {
+    result.showdown = contenders.map(player => {
+      const hand = evaluateHand([...player.holeCards, ...this.communityCards]);
+      return {
+        userId: player.userId,
+        username: player.username,
+        holeCards: player.holeCards.map(card => ({ suit: card.suit, rank: card.rank })),
+        hand: { rank: hand.rank, name: hand.name, cards: hand.cards }
+      };
+    });
+  }
+
+  // Settle the main pot and each side pot among the players eligible for it
+  const totals = new Map();
+  result.pots = this.buildPots().map(pot => {
+    const eligible = contenders.filter(player =>
+      pot.eligiblePlayers.some(userId => userId.toString() === player.userId.toString())
+    );
+    const winners = this.awardPot(pot.amount, eligible);
+
+    winners.forEach(winner => {
+      const key = winner.userId.toString();
+      const total = totals.get(key) || { userId: winner.userId, username: winner.username, amount: 0 };
+      total.amount += winner.amount;
+      totals.set(key, total);
+    });
+
+    return { ...pot, winners };
+  });
+
+  result.winners = [...totals.values()].map(winner => ({
+    ...winner,
+    handName: wentToShowdown
+      ? result.showdown.find(shown => shown.userId.toString() === winner.userId.toString()).hand.name
+      : null
+  }));
+
+  this.pot = 0;
+  this.sidePots = [];
+  this.handInProgress = false;
+  this.clearTurnClock();
+  this.updatedAt = Date.now();
+
+  // In a tournament, knock out whoever lost their last chip and stop at the last player
+  if (this.isTournament()) {
+    result.eliminated = this.recordEliminations();
+    result.tournamentResults = this.checkTournamentOver();
+  }
+
+  return result;
+};
+
+// Move the hand forward after an action: next player, next street or end of hand.
+// Returns { roundsAdvanced, handComplete, handResult }.
+gameSchema.methods.progressHand = function() {
+  const result = { roundsAdvanced: [], handComplete: false, handResult: null };
+
+  // Everyone else folded: the last player takes the pot uncontested
+  if (this.getPlayersInHand().length === 1) {
+    result.handResult = this.completeHand();
+    result.handComplete = true;
+    return result;
+  }
+
+  if (!this.isBettingRoundComplete()) {
+    this.nextTurn();
+    return result;
+  }
+
+  // Deal out the remaining streets while fewer than two players can still bet
+  do {
+    result.roundsAdvanced.push(this.advanceBettingRound());
+  } while (
+    this.bettingRound !== 'showdown' &&
+    this.players.filter(player => this.canPlayerAct(player)).length < 2
+  );
+
+  if (this.bettingRound === 'showdown') {
+    result.handResult = this.completeHand();
+    result.handComplete = true;
+  }
+
+  return result;
+};
+
+// Whether the game is a tournament
+gameSchema.methods.isTournament = function() {
+  return this.gameType === 'tournament' && Boolean(this.tournament);
+};
+
+// Tournament players not knocked out yet
+gameSchema.methods.getTournamentSurvivors = function() {
+  return this.players.filter(player => player.finishPosition === null || player.finishPosition === undefined);
+};
+
+// Start the tournament clock; the first hand dealt moves onto the first blind level
+gameSchema.methods.startTournament = function(now = new Date()) {
+  this.tournament.startedAt = now;
+  this.tournament.currentLevel = -1;
+  return this;
+};
+
+// Move to the blind level the tournament clock is on. Levels change between hands, so
+// this runs as each hand is dealt. Returns the new level, or null when it didn't change.
+gameSchema.methods.updateBlindLevel = function(now = new Date()) {
+  const { levels, startedAt } = this.tournament;
+  if (!startedAt || levels.length === 0) {
+    return null;
+  }
+
+  // Walk the schedule until the level that contains now; the last level never ends
+  let index = 0;
+  let levelEnd = startedAt.getTime() + levels[0].duration * 1000;
+  while (index < levels.length - 1 && now.getTime() >= levelEnd) {
+    index += 1;
+    levelEnd += levels[index].duration * 1000;
+  }
+
+  this.tournament.nextLevelAt = index < levels.length - 1 ? new Date(levelEnd) : null;
+  if (index === this.tournament.currentLevel) {
+    return null;
+  }
+
+  const level = levels[index];
+  this.tournament.currentLevel = index;
+  this.smallBlind = level.smallBlind;
+  this.bigBlind = level.bigBlind;
+  this.ante = level.ante;
+  return {
+    level: index + 1,
+    smallBlind: level.smallBlind,
+    bigBlind: level.bigBlind,
+    ante: level.ante,
+    nextLevelAt: this.tournament.nextLevelAt
+  };
+};
+
+// Add a finishing place to the tournament results and mark the player as out
+gameSchema.methods.addTournamentResult = function(player, position, eliminatedAt = new Date()) {
+  player.finishPosition = position;
+  this.tournament.results.push({
+    userId: player.userId,
+    username: player.username,
+    position,
+    eliminatedAt
+  });
+};
+
+// Knock out the tournament players who lost their last chip in the hand just completed.
+// Players busted in the same hand are ranked by the stack they started it with.
+// Returns [{ userId, username, position }].
+gameSchema.methods.recordEliminations = function() {
+  const busted = this.getTournamentSurvivors()
+    .filter(player => player.chipBalance === 0)
+    .sort((a, b) => a.totalBet - b.totalBet);
+
+  let position = this.getTournamentSurvivors().length;
+  return busted.map(player => {
+    this.addTournamentResult(player, position);
+    position -= 1;
+    return { userId: player.userId, username: player.username, position: player.finishPosition };
+  });
+};
+
+// Knock a tournament player out because they left or were removed; they take the worst
+// place still open
+gameSchema.methods.forfeitTournament = function(userId) {
+  const player = this.getTournamentSurvivors().find(p => p.userId.toString() === userId.toString());
+  if (!player) {
+    return null;
+  }
+  this.addTournamentResult(player, this.getTournamentSurvivors().length);
+  return { userId: player.userId, username: player.username, position: player.finishPosition };
+};
+
+// Finish the tournament once a single player has chips left; returns its results, or null
+// while it goes on
+gameSchema.methods.checkTournamentOver = function() {
+  if (!this.isTournament() || this.status !== 'active' || this.handInProgress) {
+    return null;
+  }
+  const withChips = this.getTournamentSurvivors().filter(player => player.chipBalance > 0);
+  return withChips.length <= 1 ? this.finishTournament() : null;
+};
+
+// End the tournament: rank the players still in by stack, split the prize pool by the
+// payout table and complete the game. Places beyond the number of finishers are folded
+// into the paid places pro rata, and rounding leftovers go to the winner.
+// Returns the results with prizes; payouts are moved by the caller through the ledger.
+gameSchema.methods.finishTournament = function() {
+  const now = new Date();
+  const survivors = this.getTournamentSurvivors().sort((a, b) => b.chipBalance - a.chipBalance);
+  survivors.forEach((player, index) => {
+    this.addTournamentResult(player, index + 1, index === 0 ? null : now);
+  });
+
+  const results = [...this.tournament.results].sort((a, b) => a.position - b.position);
+  const shares = this.tournament.payouts.slice(0, results.length);
+  const totalShare = shares.reduce((sum, share) => sum + share, 0);
+  const prizePool = this.tournament.prizePool;
+
+  let paid = 0;
+  this.tournament.results.forEach(result => {
+    const share = shares[result.position - 1] || 0;
+    result.prize = totalShare > 0 ? Math.floor(prizePool * share / totalShare) : 0;
+    paid += result.prize;
+  });
+  const winner = this.tournament.results.find(result => result.position === 1);
+  if (winner) {
+    winner.prize += prizePool - paid;
+  }
+
+  // The prizes settle every entry, so no stack is cashed out on its own
+  this.players.forEach(player => {
+    player.cashedOut = true;
+  });
+  this.tournament.finishedAt = now;
+  this.endGame();
+  return [...this.tournament.results].sort((a, b) => a.position - b.position);
+};
+
+// Plain copy of the game that is safe to send to a client: the deck is removed and
+// only the viewer's own hole cards are kept
+gameSchema.methods.toPublicObject = function(viewerId = null) {
+  const game = this.toObject();
+  delete game.deck;
+  delete game.passwordHash;
+  game.freeSeats = this.getFreeSeats();
+
+  game.players = game.players.map(player => {
+    const isViewer = viewerId && player.userId.toString() === viewerId.toString();
+    return isViewer ? player : { ...player, holeCards: [] };
+  });
+
+  return game;
+};
+
 const Game = mongoose.model('Game', gameSchema);
 
+Game.BETTING_ROUNDS = BETTING_ROUNDS;
+
 module.exports = Game;
\ No newline at end of file
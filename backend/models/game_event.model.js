@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A server broadcast to a game room, numbered so reconnecting clients can ask for
+// exactly the events they missed
+const gameEventSchema = new mongoose.Schema({
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: [true, 'Game ID is required']
+  },
+  seq: {
+    type: Number,
+    required: [true, 'Sequence number is required'],
+    min: 1
+  },
+  event: {
+    type: String,
+    required: [true, 'Event name is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One event per sequence number in a game
+gameEventSchema.index({ gameId: 1, seq: 1 }, { unique: true });
+
+// Let MongoDB remove old events; clients that missed them get a snapshot instead
+gameEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Get the events of a game after a sequence number, oldest first
+gameEventSchema.statics.getEventsSince = function(gameId, lastSeq, limit) {
+  return this.find({ gameId, seq: { $gt: lastSeq } })
+    .sort({ seq: 1 })
+    .limit(limit)
+    .lean();
+};
+
+const GameEvent = mongoose.model('GameEvent', gameEventSchema);
+
+module.exports = GameEvent;
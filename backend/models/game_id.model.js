@@ -1,6 +1,15 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { GAME_CODE_GRACE_PERIOD } = require('../config/config');
 
-// Very basic schema for game IDs
+// Characters used in game codes, leaving out look-alikes (0/O, 1/I)
+const CODE_CHARSET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_ATTEMPTS = 10;
+
+// Registry of the short codes players type to find a game. A code belongs to one game
+// while it is open; when the game completes the code is released and kept reserved for
+// a grace period, after which the record expires and the code can be handed out again.
 const gameIdSchema = new mongoose.Schema({
   shortId: {
     type: String,
@@ -13,12 +22,88 @@ const gameIdSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Game',
     required: true
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  // When the code may be reused; the record is removed after this
+  reusableAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+gameIdSchema.index({ fullId: 1 });
+gameIdSchema.index({ reusableAt: 1 }, { expireAfterSeconds: 0 });
+
+// Random code from the CSPRNG
+const generateCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_CHARSET.charAt(crypto.randomInt(CODE_CHARSET.length));
+  }
+  return code;
+};
+
+// Whether a string has the shape of a game code
+gameIdSchema.statics.isCode = function(value) {
+  return typeof value === 'string' && value.trim().length === CODE_LENGTH;
+};
+
+// Reserve a fresh code for a game, retrying on collisions. A code whose grace period
+// has passed but whose record the TTL monitor hasn't removed yet is taken over.
+gameIdSchema.statics.allocate = async function(gameId) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const shortId = generateCode();
+    await this.deleteOne({ shortId, reusableAt: { $lte: new Date() } });
+
+    try {
+      await this.create({ shortId, fullId: gameId });
+      return shortId;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not allocate a unique game code, please try again');
+};
+
+// Game ID that a code currently points to, or null when it is unknown or released
+gameIdSchema.statics.resolve = async function(code) {
+  if (!this.isCode(code)) {
+    return null;
+  }
+  const record = await this.findOne({ shortId: code.trim().toUpperCase(), releasedAt: null });
+  return record ? record.fullId : null;
+};
+
+// Code currently held by a game, or null
+gameIdSchema.statics.getCode = async function(gameId) {
+  const record = await this.findOne({ fullId: gameId, releasedAt: null });
+  return record ? record.shortId : null;
+};
+
+// Release a game's code; it stays reserved for the grace period before it can be reused
+gameIdSchema.statics.release = async function(gameId, options = {}) {
+  const now = new Date();
+  return this.updateMany(
+    { fullId: gameId, releasedAt: null },
+    { $set: { releasedAt: now, reusableAt: new Date(now.getTime() + GAME_CODE_GRACE_PERIOD * 1000) } },
+    { session: options.session }
+  );
+};
+
+// Drop a code straight away, for a game that was never saved
+gameIdSchema.statics.discard = async function(gameId) {
+  return this.deleteMany({ fullId: gameId });
+};
+
 // Create the model, checking if it already exists first
 const GameId = mongoose.models.GameId || mongoose.model('GameId', gameIdSchema);
 
-module.exports = GameId;
\ No newline at end of file
+module.exports = GameId;
@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+
+const cardSchema = new mongoose.Schema({
+  suit: { type: Number, required: true },
+  rank: { type: Number, required: true }
+}, { _id: false });
+
+// A player dealt into the hand
+const seatSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  // Index in the game's players list when the hand was dealt
+  seat: {
+    type: Number,
+    required: true
+  },
+  // Chips in front of the player before the blinds
+  startingStack: {
+    type: Number,
+    required: true
+  },
+  holeCards: {
+    type: [cardSchema],
+    default: []
+  }
+}, { _id: false });
+
+// One step of the hand, in the order it happened
+const handActionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['ante', 'smallBlind', 'bigBlind', 'check', 'call', 'bet', 'raise', 'allin', 'fold', 'deal'],
+    required: true
+  },
+  bettingRound: {
+    type: String,
+    enum: ['preFlop', 'flop', 'turn', 'river', 'showdown'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  username: {
+    type: String,
+    default: null
+  },
+  // Chips moved into the pot by this action
+  amount: {
+    type: Number,
+    default: 0
+  },
+  // Player's total bet in the betting round after the action
+  betTo: {
+    type: Number,
+    default: 0
+  },
+  isAllIn: {
+    type: Boolean,
+    default: false
+  },
+  // Taken by the server because the player ran out of time
+  auto: {
+    type: Boolean,
+    default: false
+  },
+  // Community cards dealt by a deal step
+  cards: {
+    type: [cardSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A single hand of a game, kept after the session so it can be reviewed and replayed
+const handSchema = new mongoose.Schema({
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: [true, 'Game ID is required']
+  },
+  handNumber: {
+    type: Number,
+    required: [true, 'Hand number is required']
+  },
+  status: {
+    type: String,
+    enum: ['inProgress', 'completed', 'cancelled'],
+    default: 'inProgress'
+  },
+  smallBlind: {
+    type: Number,
+    required: true
+  },
+  bigBlind: {
+    type: Number,
+    required: true
+  },
+  ante: {
+    type: Number,
+    default: 0
+  },
+  dealerPosition: {
+    type: Number,
+    required: true
+  },
+  smallBlindPosition: {
+    type: Number,
+    required: true
+  },
+  bigBlindPosition: {
+    type: Number,
+    required: true
+  },
+  seats: {
+    type: [seatSchema],
+    default: []
+  },
+  actions: {
+    type: [handActionSchema],
+    default: []
+  },
+  board: {
+    type: [cardSchema],
+    default: []
+  },
+  pot: {
+    type: Number,
+    default: 0
+  },
+  // Chips handed back to the player whose last bet nobody called
+  uncalledBet: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    amount: { type: Number, default: 0 }
+  },
+  pots: [{
+    _id: false,
+    amount: Number,
+    eligiblePlayers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    winners: [{
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      amount: Number
+    }]
+  }],
+  showdown: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    holeCards: [cardSchema],
+    handRank: String,
+    handName: String,
+    bestCards: [cardSchema]
+  }],
+  winners: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    amount: Number,
+    handName: String
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+handSchema.index({ gameId: 1, handNumber: 1 }, { unique: true });
+
+// Hole cards a viewer may see: their own and any shown down
+handSchema.methods.getVisibleHoleCards = function(viewerId = null) {
+  const shown = new Set(this.showdown.map(entry => entry.userId.toString()));
+  const visible = new Map();
+
+  this.seats.forEach(seat => {
+    const userId = seat.userId.toString();
+    const canSee = shown.has(userId) || (viewerId && userId === viewerId.toString());
+    visible.set(userId, canSee ? seat.holeCards.map(card => ({ suit: card.suit, rank: card.rank })) : []);
+  });
+
+  return visible;
+};
+
+// Plain copy of the hand with other players' unshown hole cards removed
+handSchema.methods.toPublicObject = function(viewerId = null) {
+  const hand = this.toObject();
+  const visible = this.getVisibleHoleCards(viewerId);
+
+  hand.seats = hand.seats.map(seat => ({
+    ...seat,
+    holeCards: visible.get(seat.userId.toString())
+  }));
+
+  return hand;
+};
+
+// Rebuild the hand as an ordered list of table states, one per step.
+// Each step has the action taken and the stacks, bets, pot and board after it.
+handSchema.methods.toReplay = function(viewerId = null) {
+  const visible = this.getVisibleHoleCards(viewerId);
+  const players = this.seats.map(seat => ({
+    userId: seat.userId.toString(),
+    username: seat.username,
+    seat: seat.seat,
+    stack: seat.startingStack,
+    bet: 0,
+    totalBet: 0,
+    hasFolded: false,
+    isAllIn: false,
+    holeCards: visible.get(seat.userId.toString())
+  }));
+  const findPlayer = userId => players.find(player => player.userId === userId.toString());
+
+  const table = { bettingRound: 'preFlop', board: [], pot: 0 };
+  const steps = [];
+  const snapshot = (action) => {
+    steps.push({
+      step: steps.length,
+      action,
+      bettingRound: table.bettingRound,
+      board: [...table.board],
+      pot: table.pot,
+      players: players.map(player => ({ ...player }))
+    });
+  };
+
+  snapshot({ type: 'start' });
+
+  this.actions.forEach(entry => {
+    const action = entry.toObject();
+
+    if (action.type === 'deal') {
+      table.bettingRound = action.bettingRound;
+      table.board.push(...action.cards.map(card => ({ suit: card.suit, rank: card.rank })));
+      players.forEach(player => {
+        player.bet = 0;
+      });
+    } else {
+      const player = findPlayer(action.userId);
+      if (player) {
+        if (action.type === 'fold') {
+          player.hasFolded = true;
+        }
+        player.stack -= action.amount;
+        // Antes are dead money and don't count towards the street's bet
+        if (action.type !== 'ante') {
+          player.bet += action.amount;
+        }
+        player.totalBet += action.amount;
+        player.isAllIn = action.isAllIn;
+        table.pot += action.amount;
+      }
+    }
+
+    snapshot(action);
+  });
+
+  if (this.status === 'cancelled') {
+    // Every bet went back to the player who made it
+    players.forEach(player => {
+      player.stack += player.totalBet;
+      player.bet = 0;
+    });
+    table.pot = 0;
+    snapshot({ type: 'cancelled' });
+    return steps;
+  }
+
+  if (this.status !== 'completed') {
+    return steps;
+  }
+
+  if (this.uncalledBet && this.uncalledBet.userId && this.uncalledBet.amount > 0) {
+    const player = findPlayer(this.uncalledBet.userId);
+    if (player) {
+      player.stack += this.uncalledBet.amount;
+      table.pot -= this.uncalledBet.amount;
+    }
+    snapshot({ type: 'uncalledBet', userId: this.uncalledBet.userId, amount: this.uncalledBet.amount });
+  }
+
+  if (this.showdown.length > 0) {
+    table.bettingRound = 'showdown';
+    snapshot({
+      type: 'showdown',
+      hands: this.showdown.map(entry => ({
+        userId: entry.userId,
+        username: entry.username,
+        handName: entry.handName
+      }))
+    });
+  }
+
+  this.winners.forEach(winner => {
+    const player = findPlayer(winner.userId);
+    if (player) {
+      player.stack += winner.amount;
+    }
+    table.pot -= winner.amount;
+  });
+  players.forEach(player => {
+    player.bet = 0;
+  });
+  snapshot({
+    type: 'result',
+    winners: this.winners.map(winner => ({
+      userId: winner.userId,
+      username: winner.username,
+      amount: winner.amount,
+      handName: winner.handName
+    }))
+  });
+
+  return steps;
+};
+
+// Get the hands of a game, newest first
+handSchema.statics.getGameHands = async function(gameId, limit = 20, page = 1) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ gameId })
+    .sort({ handNumber: -1 })
+    .skip(skip)
+    .limit(limit)
+    .exec();
+};
+
+const Hand = mongoose.model('Hand', handSchema);
+
+module.exports = Hand;
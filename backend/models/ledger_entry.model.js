@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One side of a double-entry chip movement. Every transfer writes a debit and a
+// credit with the same transferId, so the entries of a transfer always sum to zero.
+const ledgerEntrySchema = new mongoose.Schema({
+  transferId: {
+    type: String,
+    required: [true, 'Transfer ID is required']
+  },
+  account: {
+    type: String,
+    enum: ['wallet', 'table', 'pot', 'bank', 'prize'],
+    required: [true, 'Account is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  // Positive for a credit to the account, negative for a debit
+  amount: {
+    type: Number,
+    required: [true, 'Entry amount is required']
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for looking up a transfer and for summing an account
+ledgerEntrySchema.index({ transferId: 1 });
+ledgerEntrySchema.index({ account: 1, userId: 1, gameId: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A refresh token issued to a user. Only a hash of the token is stored. Every token
+// belongs to a family that starts at login; each refresh replaces the token with a new
+// one in the same family, so reuse of a replaced token can revoke the whole session.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the token was used to get a new one
+  replacedAt: {
+    type: Date,
+    default: null
+  },
+  // Set on logout or when reuse of the family was detected
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1 });
+
+// Let MongoDB remove expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke every token still usable in a family
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
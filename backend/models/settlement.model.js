@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// A payment one player owes another to settle a finished game
+const paymentSchema = new mongoose.Schema({
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromUsername: {
+    type: String,
+    required: true
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUsername: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Money value of the payment in the settlement's currency
+  value: {
+    type: Number,
+    required: true
+  },
+  settled: {
+    type: Boolean,
+    default: false
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
+
+// Who won and lost what in a completed game, and the payments that square it up
+const settlementSchema = new mongoose.Schema({
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: [true, 'Game ID is required'],
+    unique: true
+  },
+  players: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    buyIn: Number,
+    cashOut: Number,
+    net: Number,
+    netValue: Number
+  }],
+  payments: {
+    type: [paymentSchema],
+    default: []
+  },
+  // Valuation of the game's chips when the settlement was made
+  currency: {
+    type: String,
+    required: true
+  },
+  chipValue: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Whether every payment has been marked as settled
+settlementSchema.virtual('isSettled').get(function() {
+  return this.payments.every(payment => payment.settled);
+});
+
+settlementSchema.set('toJSON', { virtuals: true });
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+module.exports = Settlement;
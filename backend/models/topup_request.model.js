@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { DEFAULT_VALUATION, toMoney } = require('../utils/valuation');
+
+// A user's request to buy chips. The wallet is only credited once an admin or the club
+// banker has checked the payment and approved it.
+const topUpRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Chip amount is required'],
+    min: [1, 'Chip amount must be positive']
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['bankTransfer', 'eWallet', 'cash', 'other'],
+    required: [true, 'Payment method is required']
+  },
+  // Price of the chips when the request was made
+  currency: {
+    type: String,
+    default: () => DEFAULT_VALUATION.currency
+  },
+  chipValue: {
+    type: Number,
+    default: () => DEFAULT_VALUATION.chipValue
+  },
+  // Transfer or e-wallet reference given by the user
+  reference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Receipt image stored on the server's disk
+  receipt: {
+    filename: { type: String, default: null },
+    originalName: { type: String, default: null },
+    mimeType: { type: String, default: null },
+    size: { type: Number, default: null }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Reason given when rejecting, or a note when approving
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Wallet transaction created on approval
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+topUpRequestSchema.index({ status: 1, createdAt: 1 });
+topUpRequestSchema.index({ userId: 1, createdAt: -1 });
+
+// Money to be paid for the chips, at the price stored with the request
+topUpRequestSchema.virtual('value').get(function() {
+  return toMoney(this.amount, this);
+});
+
+// Rupiah to be paid for the chips (null for requests priced in another currency)
+topUpRequestSchema.virtual('rupiahAmount').get(function() {
+  return this.currency === 'IDR' ? toMoney(this.amount, this) : null;
+});
+
+const TopUpRequest = mongoose.model('TopUpRequest', topUpRequestSchema);
+
+module.exports = TopUpRequest;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_VALUATION, toMoney } = require('../utils/valuation');
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -8,7 +9,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['topUp', 'gameTransaction'],
+    enum: ['topUp', 'gameTransaction', 'buyIn', 'cashOut', 'adjustment', 'transfer'],
     required: [true, 'Transaction type is required']
   },
   amount: {
@@ -24,30 +25,74 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Game',
     default: null
   },
+  // Which of the user's balances moved: the wallet (User.chipBalance) or a game table stack
+  account: {
+    type: String,
+    enum: ['wallet', 'table'],
+    default: 'wallet'
+  },
+  // Ledger transfer this row belongs to
+  transferId: {
+    type: String,
+    default: null
+  },
+  // Balance of the account once this row was applied
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  // Currency and chip value that applied when the row was written
+  currency: {
+    type: String,
+    default: () => DEFAULT_VALUATION.currency
+  },
+  chipValue: {
+    type: Number,
+    default: () => DEFAULT_VALUATION.chipValue
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for efficient querying
 transactionSchema.index({ userId: 1, timestamp: -1 });
 
-// Virtual property to get rupiah amount
+// Money value of the row at the chip value it was written with
+transactionSchema.virtual('value').get(function() {
+  return toMoney(this.amount, this);
+});
+
+// Virtual property to get rupiah amount (null for rows in another currency)
 transactionSchema.virtual('rupiahAmount').get(function() {
-  return this.amount * 500; // 1 chip = 500 rupiah
+  return this.currency === 'IDR' ? toMoney(this.amount, this) : null;
 });
 
+// Write a history row, inside the ledger's session when one is given
+transactionSchema.statics.createEntry = async function(fields, options = {}) {
+  const [transaction] = await this.create([{
+    ...fields,
+    account: options.account || 'wallet',
+    transferId: options.transferId || null,
+    balanceAfter: options.balanceAfter ?? null,
+    ...(options.valuation || DEFAULT_VALUATION)
+  }], { session: options.session });
+  return transaction;
+};
+
 // Method to create a top-up transaction
-transactionSchema.statics.createTopUp = async function(userId, chipAmount, description = 'Top-up') {
-  return this.create({
+transactionSchema.statics.createTopUp = async function(userId, chipAmount, description = 'Top-up', options = {}) {
+  return this.createEntry({
     userId,
     type: 'topUp',
     amount: chipAmount,
     description: description,
-  });
+  }, options);
 };
 
 // Method to create a game transaction
@@ -55,15 +100,16 @@ transactionSchema.statics.createGameTransaction = async function(
   userId,
   chipAmount,
   gameId,
-  description = 'Game transaction'
+  description = 'Game transaction',
+  options = {}
 ) {
-  return this.create({
+  return this.createEntry({
     userId,
     type: 'gameTransaction',
     amount: chipAmount,
     description: description,
     gameId: gameId
-  });
+  }, options);
 };
 
 // Method to get user's transaction history
@@ -26,6 +26,13 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // What the user may do beyond playing: hosts and club managers run games for a group,
+  // admins manage accounts and balances
+  role: {
+    type: String,
+    enum: ['player', 'host', 'clubManager', 'admin'],
+    default: 'player'
+  },
   isActive: {
     type: Boolean,
     default: true
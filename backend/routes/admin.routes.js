@@ -0,0 +1,36 @@
+const express = require('express');
+const adminController = require('../controllers/admin.controller');
+const gameController = require('../controllers/game.controller');
+const verifyToken = require('../middleware/auth.middleware');
+const requireRole = require('../middleware/role.middleware');
+const idempotency = require('../middleware/idempotency.middleware');
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(verifyToken, requireRole('admin'));
+
+// Search users (?search=, role, isActive, page, limit)
+router.get('/users', adminController.searchUsers);
+
+// Get a user with their latest transactions
+router.get('/users/:userId', adminController.getUser);
+
+// Adjust a user's wallet balance with a reason
+router.post('/users/:userId/adjust-balance', idempotency, adminController.adjustBalance);
+
+// Deactivate or reactivate an account
+router.put('/users/:userId/deactivate', adminController.deactivateUser);
+router.put('/users/:userId/activate', adminController.activateUser);
+
+// Change a user's role
+router.put('/users/:userId/role', adminController.setUserRole);
+
+// List and inspect any game
+router.get('/games', adminController.getGames);
+router.get('/games/:gameId', adminController.getGame);
+
+// Force-end any game, cashing out every stack
+router.put('/games/:gameId/end', gameController.forceEndGame);
+
+module.exports = router;
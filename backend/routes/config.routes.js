@@ -0,0 +1,9 @@
+const express = require('express');
+const configController = require('../controllers/config.controller');
+
+const router = express.Router();
+
+// Get the settings clients need before signing in (public)
+router.get('/', configController.getConfig);
+
+module.exports = router;
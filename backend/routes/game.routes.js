@@ -1,6 +1,9 @@
 const express = require('express');
 const gameController = require('../controllers/game.controller');
+const handController = require('../controllers/hand.controller');
+const settlementController = require('../controllers/settlement.controller');
 const verifyToken = require('../middleware/auth.middleware');
+const idempotency = require('../middleware/idempotency.middleware');
 
 const router = express.Router();
 
@@ -13,6 +16,9 @@ router.get('/', gameController.getAllGames);
 // Create a new game
 router.post('/', gameController.createGame);
 
+// Public tables open to join (filters: gameType, smallBlind, bigBlind, minBigBlind, maxBigBlind, minFreeSeats)
+router.get('/lobby', gameController.getLobby);
+
 // Get active games
 router.get('/active', gameController.getActiveGames);
 
@@ -34,9 +40,36 @@ router.put('/:gameId/start', gameController.startGame);
 // End a game
 router.put('/:gameId/end', gameController.endGame);
 
-// Game action (check, call, raise, fold)
-router.post('/:gameId/action', gameController.gameAction);
+// Game action (check, call, bet, raise, allin, fold)
+router.post('/:gameId/action', idempotency, gameController.gameAction);
 
 router.delete('/:gameId/players/:userId', gameController.removePlayer);
 
+// Leave the game, cashing the stack back to the wallet
+router.post('/:gameId/leave', idempotency, gameController.leaveGame);
+
+// Hand the host role to another player ({ userId })
+router.put('/:gameId/host', gameController.transferHost);
+
+// Sit out of hands while keeping the seat, and sit back in
+router.put('/:gameId/sit-out', gameController.sitOut);
+router.put('/:gameId/sit-in', gameController.sitIn);
+
+// Waiting list of a full table ({ buyIn, password } to join)
+router.post('/:gameId/waiting-list', gameController.joinWaitingList);
+router.delete('/:gameId/waiting-list', gameController.leaveWaitingList);
+
+// Settlement report of a completed game and marking its payments as settled
+router.get('/:gameId/settlement', settlementController.getSettlement);
+router.put('/:gameId/settlement/payments/:paymentId', settlementController.markPayment);
+
+// Hand history of a game
+router.get('/:gameId/hands', handController.getGameHands);
+
+// Export the hand history as PokerStars-style text or JSON (?format=json)
+router.get('/:gameId/hands/export', handController.exportHands);
+
+// One hand with its replay
+router.get('/:gameId/hands/:handNumber', handController.getHand);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const topUpController = require('../controllers/topup.controller');
+const verifyToken = require('../middleware/auth.middleware');
+const requireRole = require('../middleware/role.middleware');
+
+const router = express.Router();
+
+// All top-up request routes require authentication
+router.use(verifyToken);
+
+// Get the current user's requests (new requests go through POST /api/users/topup)
+router.get('/mine', topUpController.getMyTopUpRequests);
+
+// Get requests waiting for review (admins and the club banker)
+router.get('/', requireRole('admin', 'clubManager'), topUpController.getTopUpRequests);
+
+// Get the receipt image of a request (owner or reviewer)
+router.get('/:requestId/receipt', topUpController.getReceipt);
+
+// Approve or reject a request (admins and the club banker)
+router.put('/:requestId/approve', requireRole('admin', 'clubManager'), topUpController.approveTopUpRequest);
+router.put('/:requestId/reject', requireRole('admin', 'clubManager'), topUpController.rejectTopUpRequest);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const transactionController = require('../controllers/transaction.controller');
 const verifyToken = require('../middleware/auth.middleware');
+const requireRole = require('../middleware/role.middleware');
+const idempotency = require('../middleware/idempotency.middleware');
 
 const router = express.Router();
 
@@ -8,7 +10,7 @@ const router = express.Router();
 router.use(verifyToken);
 
 // Create a new transaction (admin route)
-router.post('/', transactionController.createTransaction);
+router.post('/', requireRole('admin'), idempotency, transactionController.createTransaction);
 
 // Get user's transaction history
 router.get('/user/:userId', transactionController.getUserTransactions);
@@ -0,0 +1,24 @@
+const express = require('express');
+const transferController = require('../controllers/transfer.controller');
+const verifyToken = require('../middleware/auth.middleware');
+const idempotency = require('../middleware/idempotency.middleware');
+
+const router = express.Router();
+
+// All transfer routes require authentication
+router.use(verifyToken);
+
+// Send chips to another user ({ toUsername, amount, memo })
+router.post('/', idempotency, transferController.createTransfer);
+
+// Get transfers sent or received by the current user
+router.get('/', transferController.getTransfers);
+
+// Accept or decline a transfer waiting for the current user
+router.put('/:transferId/accept', idempotency, transferController.acceptTransfer);
+router.put('/:transferId/decline', transferController.declineTransfer);
+
+// Cancel a transfer the current user sent
+router.put('/:transferId/cancel', transferController.cancelTransfer);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const userController = require('../controllers/user.controller');
+const topUpController = require('../controllers/topup.controller');
 const verifyToken = require('../middleware/auth.middleware');
+const idempotency = require('../middleware/idempotency.middleware');
+const uploadReceipt = require('../middleware/upload.middleware');
 
 const router = express.Router();
 
@@ -8,11 +11,15 @@ const router = express.Router();
 router.post('/register', userController.register);
 router.post('/login', userController.login);
 
+// Session routes authenticate with the refresh token in the body, so they keep working
+// after the access token has expired
+router.post('/refresh-token', userController.refreshToken);
+router.post('/logout', userController.logout);
+
 // Protected routes (require authentication)
 router.get('/me', verifyToken, userController.getCurrentUser);
-router.post('/topup', verifyToken, userController.topUp);
+// Top-up creates a request for approval (JSON, or multipart with a "receipt" image)
+router.post('/topup', verifyToken, idempotency, uploadReceipt, topUpController.createTopUpRequest);
 router.get('/transactions', verifyToken, userController.getTransactionHistory);
 
-router.post('/refresh-token', userController.refreshToken);
-
 module.exports = router;
@@ -0,0 +1,424 @@
+const Game = require('../models/game.model');
+const GameId = require('../models/game_id.model');
+const Transaction = require('../models/transaction.model');
+const ledger = require('./ledger.service');
+const gameEvents = require('./game_events.service');
+const handHistory = require('./hand_history.service');
+const { valuationOf } = require('../utils/valuation');
+
+// Hand flow shared by the REST controller and the server-side turn timer: applying an
+// action, dealing the next hand, recording the chips it moved and broadcasting the result.
+
+// Labels used in transaction descriptions for actions that put chips in the pot
+const ACTION_LABELS = {
+  call: 'Call',
+  bet: 'Bet',
+  raise: 'Raise',
+  allin: 'All-in'
+};
+
+// Labels used in transaction descriptions for chips posted before the cards are dealt
+const BLIND_LABELS = {
+  ante: 'Ante',
+  smallBlind: 'Small blind',
+  bigBlind: 'Big blind'
+};
+
+// Deal the next hand, running it out straight away if nobody is left to bet
+const beginHand = (game) => {
+  const hand = game.startHand();
+  if (hand && game.isBettingRoundComplete()) {
+    const progress = game.progressHand();
+    hand.roundsAdvanced = progress.roundsAdvanced;
+    hand.handResult = progress.handResult;
+  }
+  return hand;
+};
+
+// Record uncalled chips handed back and what each winner collected at the end of a hand.
+// Tournament stacks are not wallet chips, so only cash games move chips in the ledger.
+const recordHandResult = async (session, game, handResult) => {
+  if (game.isTournament()) {
+    return;
+  }
+
+  if (handResult.uncalledBet) {
+    await ledger.transfer(session, {
+      from: ledger.pot(game._id),
+      to: ledger.table(handResult.uncalledBet.userId, game._id),
+      amount: handResult.uncalledBet.amount,
+      type: 'gameTransaction',
+      description: `Uncalled bet returned in game: ${game.name}`,
+      valuation: valuationOf(game)
+    });
+  }
+
+  for (const winner of handResult.winners) {
+    if (winner.amount > 0) {
+      await ledger.transfer(session, {
+        from: ledger.pot(game._id),
+        to: ledger.table(winner.userId, game._id),
+        amount: winner.amount,
+        type: 'gameTransaction',
+        description: `Won hand #${handResult.handNumber} in game: ${game.name}`,
+        valuation: valuationOf(game)
+      });
+    }
+  }
+};
+
+// Broadcast the winners and any hands shown down to everyone in the game room
+const emitHandCompleted = (io, game, handResult) => {
+  gameEvents.broadcast(io, game._id.toString(), 'hand_completed', {
+    gameId: game._id.toString(),
+    action: 'hand_completed',
+    ...handResult,
+    game: game.toPublicObject(),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Record the antes and blinds posted at the start of a hand
+const recordBlinds = async (session, game, hand) => {
+  for (const blind of hand.blinds) {
+    if (blind.amount > 0) {
+      await recordBet(session, game, blind.userId, blind.amount, BLIND_LABELS[blind.type]);
+    }
+  }
+};
+
+// Record chips moving from a player's stack into the pot (cash games only)
+const recordBet = async (session, game, userId, amount, label) => {
+  if (game.isTournament()) {
+    return;
+  }
+
+  await ledger.transfer(session, {
+    from: ledger.table(userId, game._id),
+    to: ledger.pot(game._id),
+    amount,
+    type: 'gameTransaction',
+    description: `${label} in game: ${game.name}`,
+    valuation: valuationOf(game)
+  });
+};
+
+// Record a hand abandoned by Game.cancelHand: mark it cancelled in the history and move
+// the chips handed back out of the pot (cash games only, like recordBet)
+const recordHandCancel = async (session, game, cancelled) => {
+  if (!cancelled) {
+    return;
+  }
+
+  await handHistory.recordCancel(session, game._id, cancelled.handNumber);
+  if (game.isTournament()) {
+    return;
+  }
+
+  for (const refund of cancelled.refunds) {
+    await ledger.transfer(session, {
+      from: ledger.pot(game._id),
+      to: ledger.table(refund.userId, game._id),
+      amount: refund.amount,
+      type: 'gameTransaction',
+      description: `Hand #${cancelled.handNumber} cancelled in game: ${game.name}`,
+      valuation: valuationOf(game)
+    });
+  }
+};
+
+// Pay a finished tournament's prizes from its prize pool into the winners' wallets, record
+// every player's net result and release the game's code
+const payPrizes = async (session, game) => {
+  const valuation = valuationOf(game);
+  const results = [...game.tournament.results].sort((a, b) => a.position - b.position);
+
+  for (const result of results) {
+    if (result.prize > 0) {
+      await ledger.transfer(session, {
+        from: ledger.prize(game._id),
+        to: ledger.wallet(result.userId),
+        amount: result.prize,
+        type: 'cashOut',
+        description: `Tournament prize for place #${result.position} in game: ${game.name}`,
+        gameId: game._id,
+        valuation
+      });
+    }
+
+    // Summary row for the tournament; it moves no chips, so it sits on the table account
+    await Transaction.createGameTransaction(
+      result.userId,
+      result.prize - game.tournament.buyIn,
+      game._id,
+      `Finished #${result.position} in tournament: ${game.name}`,
+      { session, account: 'table', valuation }
+    );
+  }
+
+  await GameId.release(game._id, { session });
+};
+
+// Broadcast the end of a tournament with its final standings
+const emitTournamentFinished = (io, game, results, endedBy = null) => {
+  gameEvents.broadcast(io, game._id.toString(), 'game_ended', {
+    gameId: game._id.toString(),
+    action: 'game_ended',
+    endedBy,
+    results,
+    game: game.toPublicObject(),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Broadcast the tournament players knocked out in a hand
+const emitEliminations = (io, game, eliminated) => {
+  eliminated.forEach(player => {
+    gameEvents.broadcast(io, game._id.toString(), 'player_eliminated', {
+      gameId: game._id.toString(),
+      action: 'player_eliminated',
+      userId: player.userId.toString(),
+      username: player.username,
+      position: player.position,
+      game: game.toPublicObject(),
+      timestamp: new Date().toISOString()
+    });
+  });
+};
+
+// Broadcast the new blinds when a tournament moves up a level
+const emitBlindLevel = (io, game, blindLevel) => {
+  gameEvents.broadcast(io, game._id.toString(), 'blind_level_changed', {
+    gameId: game._id.toString(),
+    action: 'blind_level_changed',
+    ...blindLevel,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Broadcast the start of a new hand to everyone in the game room
+const emitHandStarted = (io, game, hand) => {
+  gameEvents.broadcast(io, game._id.toString(), 'hand_started', {
+    gameId: game._id.toString(),
+    action: 'hand_started',
+    handNumber: hand.handNumber,
+    dealerPosition: game.dealerPosition,
+    smallBlindPosition: game.smallBlindPosition,
+    bigBlindPosition: game.bigBlindPosition,
+    currentPlayerIndex: game.currentPlayerIndex,
+    game: game.toPublicObject(),
+    timestamp: new Date().toISOString()
+  });
+
+  emitHoleCards(io, game);
+};
+
+// Send each dealt-in player their own hole cards on their private user room
+const emitHoleCards = (io, game) => {
+  game.players.forEach(player => {
+    if (player.holeCards.length > 0) {
+      io.to(`user:${player.userId.toString()}`).emit('hole_cards', {
+        gameId: game._id.toString(),
+        action: 'hole_cards',
+        handNumber: game.handNumber,
+        holeCards: player.holeCards.map(card => ({ suit: card.suit, rank: card.rank })),
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+};
+
+// Record the chips moved and the hand history written when a hand moves on, ends and the
+// next one is dealt
+const recordHandProgress = async (session, game, progress, nextHand) => {
+  if (progress) {
+    const handNumber = progress.handResult ? progress.handResult.handNumber : game.handNumber;
+    await handHistory.recordProgress(session, game._id, handNumber, progress);
+  }
+  if (progress && progress.handResult) {
+    await recordHandResult(session, game, progress.handResult);
+    if (progress.handResult.tournamentResults) {
+      await payPrizes(session, game);
+    }
+  }
+  if (nextHand) {
+    await handHistory.recordHandStart(session, game, nextHand);
+    await recordBlinds(session, game, nextHand);
+    if (nextHand.handResult) {
+      await recordHandResult(session, game, nextHand.handResult);
+      if (nextHand.handResult.tournamentResults) {
+        await payPrizes(session, game);
+      }
+    }
+  }
+};
+
+// Broadcast what the end of a hand meant for a tournament: knockouts and the final standings
+const emitTournamentProgress = (io, game, handResult) => {
+  if (!handResult || !game.isTournament()) {
+    return;
+  }
+  emitEliminations(io, game, handResult.eliminated || []);
+  if (handResult.tournamentResults) {
+    emitTournamentFinished(io, game, handResult.tournamentResults);
+  }
+};
+
+// Broadcast the streets opened, the hand completed and the next hand dealt by a state change
+const emitHandProgress = (io, game, handNumber, progress, nextHand) => {
+  const gameId = game._id.toString();
+
+  if (progress) {
+    progress.roundsAdvanced.forEach(({ bettingRound, cards }) => {
+      gameEvents.broadcast(io, gameId, 'betting_round_changed', {
+        gameId,
+        action: 'betting_round_changed',
+        handNumber,
+        bettingRound,
+        communityCards: cards,
+        game: game.toPublicObject(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    if (progress.handResult) {
+      emitHandCompleted(io, game, progress.handResult);
+      emitTournamentProgress(io, game, progress.handResult);
+    }
+  }
+
+  if (nextHand) {
+    if (nextHand.blindLevel) {
+      emitBlindLevel(io, game, nextHand.blindLevel);
+    }
+    emitHandStarted(io, game, nextHand);
+    if (nextHand.handResult) {
+      emitHandCompleted(io, game, nextHand.handResult);
+      emitTournamentProgress(io, game, nextHand.handResult);
+    }
+  }
+};
+
+// Apply a betting action for a player, save it with its chip movements and broadcast it.
+// Returns { success, message, game } or { success: false, statusCode, code, message }.
+// auto marks actions taken by the server for a player who ran out of time.
+const performAction = async (io, { gameId, userId, action, amount, auto = false }) => {
+  // Find game
+  const game = await Game.findById(gameId);
+  if (!game) {
+    return { success: false, statusCode: 404, code: 'game-not-found', message: 'Game not found' };
+  }
+
+  // Check if game is active
+  if (game.status !== 'active') {
+    return { success: false, statusCode: 400, code: 'game-not-active', message: 'Game is not active' };
+  }
+
+  // Check if it's the user's turn
+  const currentPlayer = game.players[game.currentPlayerIndex];
+  if (!currentPlayer || currentPlayer.userId.toString() !== userId.toString()) {
+    return { success: false, statusCode: 403, code: 'not-your-turn', message: 'It\'s not your turn' };
+  }
+
+  // Process game action
+  const handNumber = game.handNumber;
+  const oldPlayerIndex = game.currentPlayerIndex;
+  const actionResult = game.applyAction(userId, action, amount);
+
+  if (!actionResult.success) {
+    return { success: false, statusCode: 400, code: actionResult.code, message: actionResult.message };
+  }
+
+  // Kept for the hand history before the hand moves on
+  const handAction = {
+    type: action,
+    bettingRound: game.bettingRound,
+    userId: currentPlayer.userId,
+    username: currentPlayer.username,
+    amount: actionResult.amount,
+    betTo: currentPlayer.currentBet,
+    isAllIn: currentPlayer.isAllIn,
+    auto
+  };
+
+  // Time spent past the action timeout comes out of the player's time bank
+  game.chargeTimeBank(currentPlayer);
+
+  // Move on to the next player, street or hand
+  const progress = game.progressHand();
+  const nextHand = progress.handComplete ? beginHand(game) : null;
+
+  // Save game together with the chips put into the pot and any pots paid out
+  await ledger.runInTransaction(async (session) => {
+    await game.save({ session });
+    if (actionResult.amount > 0) {
+      await recordBet(session, game, userId, actionResult.amount, ACTION_LABELS[action]);
+    }
+    await handHistory.recordAction(session, game._id, handNumber, handAction);
+    await recordHandProgress(session, game, progress, nextHand);
+  });
+
+  if (io) {
+    // Emit detailed action information
+    gameEvents.broadcast(io, gameId, 'game_action_performed', {
+      gameId,
+      action: 'game_action_performed',
+      actionType: action,
+      amount: actionResult.amount,
+      player: currentPlayer.username,
+      auto,
+      handNumber,
+      previousPlayerIndex: oldPlayerIndex,
+      currentPlayerIndex: game.currentPlayerIndex,
+      game: game.toPublicObject(),
+      timestamp: new Date().toISOString()
+    });
+
+    // Announce the streets, results and new hand this action led to
+    emitHandProgress(io, game, handNumber, progress, nextHand);
+
+    // Also emit a specific turn_changed event to update UI immediately
+    const seq = await emitTurnChanged(io, game, oldPlayerIndex);
+
+    // Report the sequence number of the last event sent. eventSeq is only ever changed by
+    // the broadcast's $inc, so the in-memory copy is not marked for saving.
+    if (seq !== null) {
+      game.eventSeq = seq;
+      game.unmarkModified('eventSeq');
+    }
+  }
+
+  return { success: true, message: actionResult.message, game };
+};
+
+// Broadcast whose turn it is and when their time runs out; resolves to the event's sequence number
+const emitTurnChanged = (io, game, previousPlayerIndex) => {
+  const gameId = game._id.toString();
+  const currentPlayer = game.handInProgress ? game.players[game.currentPlayerIndex] : null;
+
+  return gameEvents.broadcast(io, gameId, 'turn_changed', {
+    gameId,
+    action: 'turn_changed',
+    previousPlayerIndex,
+    currentPlayerIndex: game.currentPlayerIndex,
+    turnStartedAt: game.turnStartedAt,
+    turnDeadline: game.turnDeadline,
+    actionTimeout: game.actionTimeout,
+    timeBank: currentPlayer ? currentPlayer.timeBank : 0,
+    game: game.toPublicObject(),
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  ACTION_LABELS,
+  beginHand,
+  recordBet,
+  recordHandProgress,
+  recordHandCancel,
+  payPrizes,
+  emitHandProgress,
+  emitTournamentFinished,
+  emitTurnChanged,
+  performAction
+};
@@ -0,0 +1,78 @@
+const Game = require('../models/game.model');
+const GameEvent = require('../models/game_event.model');
+const { GAME_EVENT_TTL, GAME_EVENT_MAX_REPLAY } = require('../config/config');
+
+// Pending broadcasts per game, chained so events go out in the order they were numbered
+const queues = new Map();
+
+// Number an event, store it in the game's event log and emit it to the game room.
+// Callers do not need to wait: broadcasts for one game are sent in call order.
+// Resolves to the sequence number given to the event, or null when it was not sent.
+const broadcast = (io, gameId, event, payload) => {
+  const key = gameId.toString();
+  const previous = queues.get(key) || Promise.resolve();
+
+  const next = previous.then(async () => {
+    const game = await Game.findByIdAndUpdate(
+      key,
+      { $inc: { eventSeq: 1 } },
+      { new: true, projection: { eventSeq: 1 } }
+    );
+    if (!game) {
+      return null;
+    }
+
+    const data = { ...payload, seq: game.eventSeq };
+    await GameEvent.create({
+      gameId: key,
+      seq: game.eventSeq,
+      event,
+      payload: data,
+      expiresAt: new Date(Date.now() + GAME_EVENT_TTL * 1000)
+    });
+
+    io.to(key).emit(event, data);
+    return game.eventSeq;
+  }).catch(error => {
+    console.error(`Failed to broadcast ${event} in game ${key}:`, error);
+    return null;
+  });
+
+  queues.set(key, next);
+  next.then(() => {
+    if (queues.get(key) === next) {
+      queues.delete(key);
+    }
+  });
+
+  return next;
+};
+
+// Work out what a client that last saw lastSeq needs to catch up: the missed events,
+// or a redacted snapshot when too many were missed or some have already expired.
+const getResync = async (game, lastSeq, viewerId) => {
+  const seq = game.eventSeq;
+  const from = Number.isInteger(lastSeq) && lastSeq >= 0 ? lastSeq : -1;
+
+  if (from === seq) {
+    return { seq, events: [] };
+  }
+
+  if (from !== -1 && from < seq && seq - from <= GAME_EVENT_MAX_REPLAY) {
+    const events = await GameEvent.getEventsSince(game._id, from, GAME_EVENT_MAX_REPLAY);
+    const complete = events.length === seq - from && events[0].seq === from + 1;
+    if (complete) {
+      return {
+        seq,
+        events: events.map(({ seq: eventSeq, event, payload }) => ({ seq: eventSeq, event, payload }))
+      };
+    }
+  }
+
+  return { seq, snapshot: game.toPublicObject(viewerId) };
+};
+
+module.exports = {
+  broadcast,
+  getResync
+};
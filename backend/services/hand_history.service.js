@@ -0,0 +1,119 @@
+const Hand = require('../models/hand.model');
+
+// Writes each hand's seats, actions, board and result to the Hand collection as it is
+// played. Every call takes the session of the transaction that saves the game.
+
+const plainCards = cards => cards.map(card => ({ suit: card.suit, rank: card.rank }));
+
+// Record a newly dealt hand with its antes and blinds, plus the rest of it if it was run out at once
+const recordHandStart = async (session, game, hand) => {
+  const actions = hand.blinds.map(blind => {
+    const seat = hand.seats.find(s => s.userId.toString() === blind.userId.toString());
+    return {
+      type: blind.type,
+      bettingRound: 'preFlop',
+      userId: blind.userId,
+      username: seat ? seat.username : null,
+      amount: blind.amount,
+      betTo: blind.type === 'ante' ? 0 : blind.amount,
+      isAllIn: blind.isAllIn !== undefined ? blind.isAllIn : (seat ? seat.startingStack === blind.amount : false)
+    };
+  });
+
+  await Hand.create([{
+    gameId: game._id,
+    handNumber: hand.handNumber,
+    smallBlind: game.smallBlind,
+    bigBlind: game.bigBlind,
+    ante: game.ante || 0,
+    dealerPosition: game.dealerPosition,
+    smallBlindPosition: game.smallBlindPosition,
+    bigBlindPosition: game.bigBlindPosition,
+    seats: hand.seats,
+    actions
+  }], { session });
+
+  if (hand.roundsAdvanced || hand.handResult) {
+    await recordProgress(session, game._id, hand.handNumber, {
+      roundsAdvanced: hand.roundsAdvanced || [],
+      handResult: hand.handResult
+    });
+  }
+};
+
+// Record a player's action in the hand
+const recordAction = async (session, gameId, handNumber, action) => {
+  await Hand.updateOne(
+    { gameId, handNumber },
+    { $push: { actions: action } },
+    { session }
+  );
+};
+
+// Record the streets dealt and, when the hand is over, the showdown and winners
+const recordProgress = async (session, gameId, handNumber, progress) => {
+  const deals = progress.roundsAdvanced
+    .filter(({ cards }) => cards.length > 0)
+    .map(({ bettingRound, cards }) => ({
+      type: 'deal',
+      bettingRound,
+      cards: plainCards(cards)
+    }));
+
+  const update = {};
+  if (deals.length > 0) {
+    update.$push = {
+      actions: { $each: deals },
+      board: { $each: deals.flatMap(deal => deal.cards) }
+    };
+  }
+
+  const result = progress.handResult;
+  if (result) {
+    // The final board replaces the one built from the deals
+    if (update.$push) {
+      delete update.$push.board;
+    }
+    update.$set = {
+      status: 'completed',
+      board: plainCards(result.communityCards),
+      pot: result.pot,
+      uncalledBet: result.uncalledBet || { userId: null, amount: 0 },
+      pots: result.pots.map(pot => ({
+        amount: pot.amount,
+        eligiblePlayers: pot.eligiblePlayers,
+        winners: pot.winners.map(winner => ({ userId: winner.userId, amount: winner.amount }))
+      })),
+      showdown: result.showdown.map(entry => ({
+        userId: entry.userId,
+        username: entry.username,
+        holeCards: plainCards(entry.holeCards),
+        handRank: entry.hand.rank,
+        handName: entry.hand.name,
+        bestCards: plainCards(entry.hand.cards)
+      })),
+      winners: result.winners,
+      completedAt: new Date()
+    };
+  }
+
+  if (Object.keys(update).length > 0) {
+    await Hand.updateOne({ gameId, handNumber }, update, { session });
+  }
+};
+
+// Mark a hand that was stopped before it finished, with every bet returned
+const recordCancel = async (session, gameId, handNumber) => {
+  await Hand.updateOne(
+    { gameId, handNumber, status: 'inProgress' },
+    { $set: { status: 'cancelled', completedAt: new Date() } },
+    { session }
+  );
+};
+
+module.exports = {
+  recordHandStart,
+  recordAction,
+  recordProgress,
+  recordCancel
+};
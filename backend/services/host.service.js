@@ -0,0 +1,137 @@
+const Game = require('../models/game.model');
+const gameEvents = require('./game_events.service');
+const { HOST_DISCONNECT_TIMEOUT } = require('../config/config');
+
+// Host changes: transfers by the host, and automatic promotion of another player when the
+// host leaves the table or stays disconnected for HOST_DISCONNECT_TIMEOUT seconds.
+// Disconnect timers are kept in memory, one per game, and only run while nobody else
+// has taken over the game.
+
+const timers = new Map();
+let io = null;
+
+// Keep the Socket.IO server for host_changed broadcasts and presence checks
+const init = (socketServer) => {
+  io = socketServer;
+};
+
+// Make another seated player the host, save and tell the room.
+// reason is 'transfer', 'left' or 'disconnected'.
+const changeHost = async (game, newHost, reason) => {
+  const previousHostId = game.hostId.toString();
+  game.hostId = newHost.userId;
+  game.updatedAt = Date.now();
+  await game.save();
+
+  cancel(game._id);
+
+  if (io) {
+    gameEvents.broadcast(io, game._id.toString(), 'host_changed', {
+      gameId: game._id.toString(),
+      action: 'host_changed',
+      previousHostId,
+      hostId: newHost.userId.toString(),
+      hostUsername: newHost.username,
+      reason,
+      game: game.toPublicObject(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return game;
+};
+
+// Promote the next seated player when the host is gone; returns the new host, or null
+// when nobody else is seated or the game has ended
+const promoteNextHost = async (game, reason) => {
+  if (game.status === 'completed') {
+    return null;
+  }
+
+  const newHost = game.findNextHost();
+  if (!newHost) {
+    return null;
+  }
+
+  await changeHost(game, newHost, reason);
+  return newHost;
+};
+
+// Stop the disconnect timer of a game
+const cancel = (gameId) => {
+  const key = gameId.toString();
+  if (timers.has(key)) {
+    clearTimeout(timers.get(key).timer);
+    timers.delete(key);
+  }
+};
+
+// Whether a user still has a socket connected
+const isConnected = async (userId) => {
+  if (!io) {
+    return false;
+  }
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  return sockets.length > 0;
+};
+
+// Replace the host of a game if they are still away once their time is up
+const handleTimeout = async (gameId, hostId) => {
+  timers.delete(gameId);
+
+  const game = await Game.findById(gameId);
+  if (!game || game.status === 'completed' || game.hostId.toString() !== hostId) {
+    return;
+  }
+  if (await isConnected(hostId)) {
+    return;
+  }
+
+  const newHost = await promoteNextHost(game, 'disconnected');
+  if (newHost) {
+    console.log(`Game ${gameId}: host ${hostId} stayed disconnected, ${newHost.username} is now host`);
+  }
+};
+
+// Called when one of a user's sockets drops. Starts the clock on every game in gameIds
+// they host once their last socket is gone.
+const userDisconnected = async (userId, gameIds) => {
+  if (gameIds.length === 0 || await isConnected(userId)) {
+    return;
+  }
+
+  const games = await Game.find({
+    _id: { $in: gameIds },
+    hostId: userId,
+    status: { $ne: 'completed' }
+  }).select('_id');
+
+  games.forEach(game => {
+    const gameId = game._id.toString();
+    cancel(gameId);
+    const timer = setTimeout(() => {
+      handleTimeout(gameId, userId.toString()).catch(error => {
+        console.error(`Host timeout error in game ${gameId}:`, error);
+      });
+    }, HOST_DISCONNECT_TIMEOUT * 1000);
+    timers.set(gameId, { hostId: userId.toString(), timer });
+  });
+};
+
+// Called when a user connects again; stops the clocks on the games they host
+const userConnected = (userId) => {
+  for (const [gameId, { hostId }] of timers) {
+    if (hostId === userId.toString()) {
+      cancel(gameId);
+    }
+  }
+};
+
+module.exports = {
+  init,
+  changeHost,
+  promoteNextHost,
+  cancel,
+  userDisconnected,
+  userConnected
+};
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/user.model');
+const LedgerEntry = require('../models/ledger_entry.model');
+const Transaction = require('../models/transaction.model');
+
+// Every chip movement goes through this service. A transfer debits one account and
+// credits another inside a MongoDB transaction:
+//   bank   - chips entering or leaving the system (top-ups, admin adjustments)
+//   wallet - a user's User.chipBalance
+//   table  - a user's stack in a game (players[].chipBalance on the Game document)
+//   pot    - chips committed to the current hand of a game
+//   prize  - the prize pool of a tournament, filled by buy-ins and emptied by payouts
+// Wallet balances are updated here. Table and pot balances live on the Game document,
+// which callers save with the same session so the game and the ledger commit together.
+
+// Error raised when a transfer cannot be made, e.g. not enough chips in the wallet
+class LedgerError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Account helpers
+const wallet = (userId) => ({ account: 'wallet', userId });
+const table = (userId, gameId) => ({ account: 'table', userId, gameId });
+const pot = (gameId) => ({ account: 'pot', gameId });
+const bank = () => ({ account: 'bank' });
+const prize = (gameId) => ({ account: 'prize', gameId });
+
+// Run work(session) in a MongoDB transaction and return its result.
+// Transactions need MongoDB running as a replica set.
+const runInTransaction = async (work) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
+// Apply a wallet change and return the new balance, refusing to go below zero
+const moveWalletChips = async (session, userId, amount) => {
+  const filter = amount < 0
+    ? { _id: userId, chipBalance: { $gte: -amount } }
+    : { _id: userId };
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { chipBalance: amount } },
+    { new: true, session }
+  );
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId }).session(session);
+    throw exists
+      ? new LedgerError('Not enough chips in wallet')
+      : new LedgerError('User not found', 404);
+  }
+
+  return user.chipBalance;
+};
+
+// Move chips from one account to another.
+// Writes the balanced ledger entries, updates the wallet balance if a wallet is involved and
+// records one Transaction row in the user's history. Wallet rows always add up to User.chipBalance;
+// table rows are the in-game history of a stack. Between two wallets both users get a row,
+// described by descriptions.from/descriptions.to when given. History rows keep the valuation
+// ({ currency, chipValue }) they were written with, the system default unless one is given.
+const transfer = async (session, {
+  from, to, amount, type, description, descriptions = {}, gameId = null, valuation = null
+}) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new LedgerError('Transfer amount must be a positive whole number of chips');
+  }
+
+  const transferId = uuidv4();
+  const gameOf = side => side.gameId || gameId || null;
+
+  const balances = new Map();
+  if (from.account === 'wallet') {
+    balances.set(from, await moveWalletChips(session, from.userId, -amount));
+  }
+  if (to.account === 'wallet') {
+    balances.set(to, await moveWalletChips(session, to.userId, amount));
+  }
+  const walletBalance = balances.size > 0 ? [...balances.values()].pop() : null;
+
+  await LedgerEntry.create([
+    {
+      transferId,
+      account: from.account,
+      userId: from.userId || null,
+      gameId: gameOf(from),
+      amount: -amount,
+      description
+    },
+    {
+      transferId,
+      account: to.account,
+      userId: to.userId || null,
+      gameId: gameOf(to),
+      amount,
+      description
+    }
+  ], { session, ordered: true });
+
+  // The history row belongs to the user side of the transfer, preferring the wallet;
+  // a wallet-to-wallet transfer shows up in both users' histories
+  const holders = from.account === 'wallet' && to.account === 'wallet'
+    ? [from, to]
+    : [[from, to].find(side => side.account === 'wallet') ||
+      [from, to].find(side => side.account === 'table')].filter(Boolean);
+
+  const transactions = [];
+  for (const holder of holders) {
+    transactions.push(await Transaction.createEntry({
+      userId: holder.userId,
+      type,
+      amount: holder === to ? amount : -amount,
+      description: (holder === to ? descriptions.to : descriptions.from) || description,
+      gameId: gameOf(holder)
+    }, {
+      session,
+      account: holder.account,
+      transferId,
+      balanceAfter: holder.account === 'wallet' ? balances.get(holder) : null,
+      valuation
+    }));
+  }
+
+  return {
+    transferId,
+    transaction: transactions[0] || null,
+    transactions,
+    walletBalance,
+    fromBalance: balances.has(from) ? balances.get(from) : null,
+    toBalance: balances.has(to) ? balances.get(to) : null
+  };
+};
+
+module.exports = {
+  LedgerError,
+  wallet,
+  table,
+  pot,
+  bank,
+  prize,
+  runInTransaction,
+  transfer
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refresh_token.model');
+const User = require('../models/user.model');
+const { JWT_SECRET, JWT_EXPIRATION, REFRESH_TOKEN_TTL } = require('../config/config');
+
+// Access tokens are short-lived JWTs; refresh tokens are random strings that are
+// rotated on every use and stored hashed.
+
+class TokenError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign an access token for a user
+const signAccessToken = (userId) => jwt.sign(
+  { id: userId },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRATION }
+);
+
+// Store a new refresh token for a user, continuing a family or starting one
+const createRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL * 1000);
+
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt
+  });
+
+  return { refreshToken, refreshTokenExpiresAt: expiresAt };
+};
+
+// Issue an access token and a refresh token starting a new session
+const issueTokens = async (userId) => {
+  const token = signAccessToken(userId);
+  const refresh = await createRefreshToken(userId);
+  return { token, ...refresh };
+};
+
+// Swap a refresh token for a new access token and refresh token.
+// Presenting a token that was already replaced revokes its whole family, since either
+// the client or an attacker is holding a stolen copy.
+const rotateRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new TokenError('Refresh token is required', 400);
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.expiresAt <= new Date()) {
+    throw new TokenError('Invalid or expired refresh token');
+  }
+  if (stored.revokedAt) {
+    throw new TokenError('Refresh token has been revoked');
+  }
+
+  // Deactivated accounts can't renew their sessions
+  const user = await User.findById(stored.userId).select('isActive');
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(stored.family);
+    throw new TokenError('Account has been deactivated', 403);
+  }
+
+  // Mark the token replaced only if nobody else did first
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, replacedAt: null, revokedAt: null },
+    { $set: { replacedAt: new Date() } }
+  );
+  if (!claimed) {
+    await RefreshToken.revokeFamily(stored.family);
+    console.warn(`Refresh token reuse detected for user ${stored.userId}, session revoked`);
+    throw new TokenError('Refresh token reuse detected, please log in again');
+  }
+
+  const token = signAccessToken(stored.userId);
+  const refresh = await createRefreshToken(stored.userId, stored.family);
+  return { userId: stored.userId, token, ...refresh };
+};
+
+// Revoke the session a refresh token belongs to. Unknown tokens are ignored.
+const revokeRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return false;
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) {
+    return false;
+  }
+
+  await RefreshToken.revokeFamily(stored.family);
+  return true;
+};
+
+// Revoke every session of a user, e.g. when the account is deactivated
+const revokeUserTokens = async (userId) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Whether an account may still use the API. Access tokens stay valid until they expire,
+// so every request checks that the account has not been deactivated since.
+const isAccountActive = async (userId) => {
+  const user = await User.findById(userId).select('isActive');
+  return Boolean(user && user.isActive);
+};
+
+module.exports = {
+  TokenError,
+  isAccountActive,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens
+};
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Game = require('../models/game.model');
+const gameService = require('./game.service');
+
+// Server-side turn clock. One timer per game fires at the stored turnDeadline and acts for
+// the player who ran out of time: check when there is nothing to call, otherwise fold.
+// Deadlines live on the Game document, so timers can be rebuilt after a restart.
+
+const timers = new Map();
+let io = null;
+
+// Milliseconds to wait before trying again when an automatic action did not go through
+const RETRY_DELAY = 5000;
+
+// Keep the Socket.IO server for the broadcasts sent by automatic actions
+const init = (socketServer) => {
+  io = socketServer;
+};
+
+// Stop the timer of a game
+const cancel = (gameId) => {
+  const key = gameId.toString();
+  if (timers.has(key)) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+};
+
+// (Re)start the timer of a game from its current deadline, firing no sooner than minDelay ms
+const schedule = (game, minDelay = 0) => {
+  const gameId = game._id.toString();
+  cancel(gameId);
+
+  if (game.status !== 'active' || !game.handInProgress || !game.turnDeadline) {
+    return;
+  }
+
+  const deadline = game.turnDeadline.getTime();
+  const timer = setTimeout(() => {
+    handleExpiry(gameId, deadline).catch(error => {
+      console.error(`Turn timer error in game ${gameId}:`, error);
+    });
+  }, Math.max(deadline - Date.now(), minDelay));
+
+  timers.set(gameId, timer);
+};
+
+// Pick the clock back up from the stored game after an automatic action did not go through.
+// A deadline that has already passed is retried after RETRY_DELAY rather than at once, so a
+// write that keeps failing doesn't spin, and a game that can't even be loaded is tried again.
+const resume = async (gameId) => {
+  let current;
+  try {
+    current = await Game.findById(gameId);
+  } catch (error) {
+    console.error(`Turn timer could not reload game ${gameId}:`, error);
+    cancel(gameId);
+    timers.set(gameId, setTimeout(() => {
+      timers.delete(gameId);
+      resume(gameId).catch(retryError => {
+        console.error(`Turn timer error in game ${gameId}:`, retryError);
+      });
+    }, RETRY_DELAY));
+    return;
+  }
+
+  if (current) {
+    schedule(current, RETRY_DELAY);
+  }
+};
+
+// Act for the current player once their time has run out
+const handleExpiry = async (gameId, deadline) => {
+  timers.delete(gameId);
+
+  let game;
+  try {
+    game = await Game.findById(gameId);
+  } catch (error) {
+    console.error(`Turn timer could not load game ${gameId}:`, error);
+    await resume(gameId);
+    return;
+  }
+  if (!game || !game.turnDeadline || game.turnDeadline.getTime() !== deadline) {
+    // The turn moved on in the meantime; follow the current deadline instead
+    if (game) {
+      schedule(game);
+    }
+    return;
+  }
+
+  const player = game.players[game.currentPlayerIndex];
+  const action = game.currentBet - player.currentBet <= 0 ? 'check' : 'fold';
+  console.log(`Game ${gameId}: ${player.username} ran out of time, auto-${action}`);
+
+  try {
+    let result = await gameService.performAction(io, {
+      gameId,
+      userId: player.userId,
+      action,
+      auto: true
+    });
+    // A check that is no longer allowed still ends the turn, as a fold
+    if (!result.success && action === 'check') {
+      result = await gameService.performAction(io, {
+        gameId,
+        userId: player.userId,
+        action: 'fold',
+        auto: true
+      });
+    }
+
+    if (result.success) {
+      schedule(result.game);
+      return;
+    }
+    console.warn(`Game ${gameId}: auto-${action} for ${player.username} was refused: ${result.message}`);
+  } catch (error) {
+    // A VersionError means someone acted at the same moment; anything else is a real failure
+    if (!(error instanceof mongoose.Error.VersionError)) {
+      console.error(`Turn timer could not act in game ${gameId}:`, error);
+    }
+  }
+
+  // Follow whatever state the game is in now, so the table never waits without a clock
+  await resume(gameId);
+};
+
+// Rebuild the timers of every game waiting on a player, e.g. after a server restart
+const restoreTimers = async () => {
+  const games = await Game.find({
+    status: 'active',
+    handInProgress: true,
+    turnDeadline: { $ne: null }
+  });
+
+  games.forEach(game => schedule(game));
+  return games.length;
+};
+
+module.exports = {
+  init,
+  schedule,
+  cancel,
+  restoreTimers
+};
@@ -0,0 +1,327 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Game = require('../models/game.model');
+const GameId = require('../models/game_id.model');
+const ledger = require('../services/ledger.service');
+const gameService = require('../services/game.service');
+const gameEvents = require('../services/game_events.service');
+const turnTimer = require('../services/turn_timer.service');
+const hostService = require('../services/host.service');
+const tokens = require('../services/token.service');
+
+// Events clients may relay to the rest of their game room. They carry no game state;
+// everything that changes a game (game_started, player_kicked, turn_changed, ...) is
+// emitted by the backend only, after the change has been saved.
+const CLIENT_RELAYED_ACTIONS = ['request_refresh', 'force_ui_refresh', 'status_check'];
+
+// Read the user ID from a JWT, or null when it is missing or invalid or the account
+// has been deactivated
+const verifySocketToken = async (token) => {
+  if (!token) {
+    return null;
+  }
+  let userId;
+  try {
+    userId = jwt.verify(token, process.env.JWT_SECRET).id;
+  } catch (error) {
+    // Expired and malformed tokens are routine on reconnects
+    return null;
+  }
+  try {
+    return (await tokens.isAccountActive(userId)) ? userId : null;
+  } catch (error) {
+    console.error('Socket account check error:', error);
+    return null;
+  }
+};
+
+// Game ID for a MongoDB ID or a short code from the GameId registry, or null.
+// Rooms are always named after the full game ID.
+const resolveGameId = async (gameId) => {
+  if (typeof gameId !== 'string') {
+    return null;
+  }
+  if (mongoose.Types.ObjectId.isValid(gameId)) {
+    return gameId;
+  }
+  const fullId = await GameId.resolve(gameId);
+  return fullId ? fullId.toString() : null;
+};
+
+// Check whether a user may watch a game room: seated players always, others only
+// when the host allows spectators. Answers with the room to join.
+const canJoinRoom = async (gameId, userId) => {
+  const roomId = await resolveGameId(gameId);
+  if (!roomId) {
+    return { allowed: false, message: 'Game not found' };
+  }
+
+  const game = await Game.findById(roomId).select('players.userId allowSpectators');
+  if (!game) {
+    return { allowed: false, message: 'Game not found' };
+  }
+
+  const isPlayer = game.players.some(player => player.userId.toString() === userId.toString());
+  if (!isPlayer && !game.allowSpectators) {
+    return { allowed: false, message: 'You are not a player in this game' };
+  }
+
+  return { allowed: true, isPlayer, roomId };
+};
+
+// Answer through the acknowledgement callback when the client passed one
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  }
+};
+
+// Register the Socket.IO handlers for game rooms
+const registerGameSocket = (io) => {
+  // Accept a token in the connection auth, e.g. io(url, { auth: { token } })
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    socket.data.userId = await verifySocketToken(token);
+    next();
+  });
+
+  io.on('connection', (socket) => {
+    // Store user info and game rooms
+    let currentUser = null;
+    const joinedRooms = new Set();
+    // Room joined for each game ID or code the client used
+    const roomAliases = new Map();
+    const roomOf = (gameId) => roomAliases.get(gameId) || gameId;
+
+    // Mark the socket as belonging to a user and give it its private room
+    const setUser = (userId) => {
+      // Signing in as someone else drops the previous user's private room, and the game
+      // rooms that user was let into
+      if (currentUser && currentUser.userId !== userId.toString()) {
+        socket.leave(`user:${currentUser.userId}`);
+        joinedRooms.forEach(roomId => socket.leave(roomId));
+        hostService.userDisconnected(currentUser.userId, [...joinedRooms]).catch(error => {
+          console.error('Host disconnect handling error:', error);
+        });
+        joinedRooms.clear();
+        roomAliases.clear();
+      }
+
+      currentUser = { userId: userId.toString() };
+      socket.join(`user:${currentUser.userId}`);
+      // A host who comes back in time keeps their games
+      hostService.userConnected(currentUser.userId);
+    };
+
+    if (socket.data.userId) {
+      setUser(socket.data.userId);
+    }
+
+    // Authenticate socket connection with token
+    socket.on('authenticate', async (data, ack) => {
+      const userId = await verifySocketToken(data && data.token);
+      if (!userId) {
+        socket.emit('authentication_error', { message: 'Invalid or missing token' });
+        return reply(ack, { success: false, message: 'Invalid or missing token' });
+      }
+
+      setUser(userId);
+      reply(ack, { success: true, userId: currentUser.userId });
+    });
+
+    // Handle joining a game room; only players and allowed spectators get in
+    socket.on('join_game', async (gameId, ack) => {
+      try {
+        if (!currentUser) {
+          socket.emit('join_game_error', { gameId, message: 'Authenticate before joining a game' });
+          return reply(ack, { success: false, message: 'Authenticate before joining a game' });
+        }
+
+        const { allowed, isPlayer, roomId, message } = await canJoinRoom(gameId, currentUser.userId);
+        if (!allowed) {
+          socket.emit('join_game_error', { gameId, message });
+          return reply(ack, { success: false, message });
+        }
+
+        socket.join(roomId);
+        joinedRooms.add(roomId);
+        roomAliases.set(gameId, roomId);
+
+        // Emit an event to all sockets in the room that a new socket joined
+        socket.to(roomId).emit('socket_joined', {
+          socketId: socket.id,
+          userId: currentUser.userId,
+          spectator: !isPlayer,
+          timestamp: new Date()
+        });
+
+        reply(ack, { success: true, gameId: roomId, spectator: !isPlayer });
+      } catch (error) {
+        console.error('Join game room error:', error);
+        reply(ack, { success: false, message: 'Failed to join game room' });
+      }
+    });
+
+    // Handle leaving a game room
+    socket.on('leave_game', (gameId) => {
+      const roomId = roomOf(gameId);
+      socket.leave(roomId);
+      joinedRooms.delete(roomId);
+      roomAliases.delete(gameId);
+
+      // Emit an event to all sockets in the room that a socket left
+      socket.to(roomId).emit('socket_left', {
+        socketId: socket.id,
+        timestamp: new Date()
+      });
+    });
+
+    // Submit a betting action (check, call, bet, raise, allin, fold) and answer through the ack
+    // with the new state or a { code, message } error. Broadcasts match the REST action route.
+    socket.on('game:act', async (data, ack) => {
+      let gameId = data && typeof data.gameId === 'string' ? data.gameId : null;
+
+      try {
+        if (!currentUser) {
+          return reply(ack, { success: false, code: 'unauthenticated', message: 'Authenticate before acting' });
+        }
+        gameId = await resolveGameId(roomOf(gameId));
+        if (!gameId) {
+          return reply(ack, { success: false, code: 'invalid-game', message: 'Invalid game ID' });
+        }
+        // Leaving cashes out the stack, which stays a REST call
+        if (data.action === 'leave') {
+          return reply(ack, {
+            success: false,
+            code: 'invalid-action',
+            message: 'Leave the game through POST /api/games/:gameId/action'
+          });
+        }
+
+        const result = await gameService.performAction(io, {
+          gameId,
+          userId: currentUser.userId,
+          action: data.action,
+          amount: data.amount
+        });
+
+        if (!result.success) {
+          return reply(ack, { success: false, code: result.code, message: result.message });
+        }
+
+        // Restart the turn clock for whoever has to act next
+        turnTimer.schedule(result.game);
+
+        reply(ack, {
+          success: true,
+          message: result.message,
+          game: result.game.toPublicObject(currentUser.userId)
+        });
+      } catch (error) {
+        // Another request saved the game first; the client retries with the current state
+        if (error instanceof mongoose.Error.VersionError) {
+          const current = await Game.findById(gameId).catch(() => null);
+          return reply(ack, {
+            success: false,
+            code: 'version-conflict',
+            message: 'The game was updated by another request, please try again',
+            game: current ? current.toPublicObject(currentUser.userId) : null
+          });
+        }
+        console.error('Socket game action error:', error);
+        if (error instanceof ledger.LedgerError) {
+          return reply(ack, { success: false, code: 'ledger-error', message: error.message });
+        }
+        reply(ack, { success: false, code: 'server-error', message: 'Failed to process game action' });
+      }
+    });
+
+    // Catch up after a reconnect: the client sends the last sequence number it saw and gets
+    // the events it missed, or a full snapshot when the gap is too large
+    socket.on('sync', async (data, ack) => {
+      const gameId = data && typeof data.gameId === 'string' ? data.gameId : null;
+
+      try {
+        if (!currentUser) {
+          return reply(ack, { success: false, code: 'unauthenticated', message: 'Authenticate before syncing' });
+        }
+
+        const { allowed, roomId, message } = await canJoinRoom(gameId, currentUser.userId);
+        if (!allowed) {
+          return reply(ack, { success: false, code: 'not-allowed', message });
+        }
+
+        // Resyncing also puts the socket back in the game room
+        if (!joinedRooms.has(roomId)) {
+          socket.join(roomId);
+          joinedRooms.add(roomId);
+          roomAliases.set(gameId, roomId);
+        }
+
+        const game = await Game.findById(roomId);
+        const resync = await gameEvents.getResync(game, data.lastSeq, currentUser.userId);
+
+        // Hole cards go out privately and are not in the event log
+        const player = game.players.find(p => p.userId.toString() === currentUser.userId);
+        const holeCards = player && game.handInProgress
+          ? player.holeCards.map(card => ({ suit: card.suit, rank: card.rank }))
+          : [];
+
+        reply(ack, { success: true, gameId: roomId, ...resync, holeCards });
+      } catch (error) {
+        console.error('Socket sync error:', error);
+        reply(ack, { success: false, code: 'server-error', message: 'Failed to sync game' });
+      }
+    });
+
+    // Relay whitelisted client events to the room. The payload is rebuilt on the server,
+    // so a client cannot pass off game state or another user's identity.
+    socket.on('game_action', (data) => {
+      const timestamp = new Date().toISOString();
+      const gameId = data && typeof data.gameId === 'string' ? roomOf(data.gameId) : null;
+      const action = data && data.action;
+
+      // A player removed from the table has been taken out of the room by the server
+      if (!currentUser || !gameId || !joinedRooms.has(gameId) || !socket.rooms.has(gameId)) {
+        socket.emit('game_action_error', { gameId, action, message: 'Join the game room before sending actions' });
+        return;
+      }
+
+      if (!CLIENT_RELAYED_ACTIONS.includes(action)) {
+        socket.emit('game_action_error', { gameId, action, message: `Clients cannot send ${action} events` });
+        return;
+      }
+
+      const payload = {
+        gameId,
+        action,
+        userId: currentUser.userId,
+        timestamp
+      };
+
+      // Use io.to() to broadcast to ALL clients in the room including sender
+      io.to(gameId).emit(action, payload);
+    });
+
+    // Handle disconnection with cleanup
+    socket.on('disconnect', () => {
+      // Notify all rooms this socket was in
+      joinedRooms.forEach(gameId => {
+        socket.to(gameId).emit('socket_left', {
+          socketId: socket.id,
+          userId: currentUser?.userId,
+          timestamp: new Date()
+        });
+      });
+
+      // Start the host clock on the games this user hosts if this was their last connection
+      if (currentUser) {
+        hostService.userDisconnected(currentUser.userId, [...joinedRooms]).catch(error => {
+          console.error('Host disconnect handling error:', error);
+        });
+      }
+    });
+  });
+};
+
+module.exports = registerGameSocket;
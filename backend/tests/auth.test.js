@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const verifyToken = require('../middleware/auth.middleware');
+const requireRole = require('../middleware/role.middleware');
+const adminController = require('../controllers/admin.controller');
+const transactionController = require('../controllers/transaction.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  store = install();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+// Run verifyToken for a bearer token and report whether it let the request through
+const authenticate = async (userId) => {
+  const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  const req = request({ headers: { authorization: `Bearer ${token}` } });
+  const res = response();
+  let passed = false;
+  await verifyToken(req, res, () => {
+    passed = true;
+  });
+  return { passed, req, res };
+};
+
+test('an active account gets through with a valid token', async () => {
+  const user = store.addUser('alice', 0);
+
+  const { passed, req } = await authenticate(user._id.toString());
+
+  assert.ok(passed);
+  assert.equal(req.userId, user._id.toString());
+});
+
+test('a deactivated account is refused even though its token has not expired', async () => {
+  const user = store.addUser('alice', 0);
+  user.isActive = false;
+
+  const { passed, res } = await authenticate(user._id.toString());
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test('a transaction with an unknown type is rejected before anything is written', async () => {
+  const user = store.addUser('alice', 0);
+  const res = response();
+
+  await transactionController.createTransaction(request({
+    body: { userId: user._id.toString(), type: 'gift', amount: 100 }
+  }), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(user.chipBalance, 0);
+  assert.equal(store.entries.length, 0);
+});
+
+test('admin routes let admins through and refuse everyone else', async () => {
+  const admin = store.addUser('alice', 0);
+  admin.role = 'admin';
+  const player = store.addUser('bobby', 0);
+  const requireAdmin = requireRole('admin');
+
+  const check = async (user) => {
+    const res = response();
+    let passed = false;
+    await requireAdmin(request({ userId: user._id }), res, () => {
+      passed = true;
+    });
+    return { passed, status: res.statusCode };
+  };
+
+  assert.deepEqual(await check(admin), { passed: true, status: 200 });
+  assert.deepEqual(await check(player), { passed: false, status: 403 });
+  admin.isActive = false;
+  assert.deepEqual(await check(admin), { passed: false, status: 401 });
+});
+
+test('an admin balance adjustment moves chips through the bank and cannot overdraw a wallet', async () => {
+  const admin = store.addUser('alice', 0);
+  admin.role = 'admin';
+  const player = store.addUser('bobby', 100);
+  const adjust = async (amount, reason = 'Cash received') => {
+    const res = response();
+    await adminController.adjustBalance(request({
+      userId: admin._id,
+      params: { userId: player._id.toString() },
+      body: { amount, reason }
+    }), res);
+    return res;
+  };
+
+  assert.equal((await adjust(250)).statusCode, 200);
+  assert.equal(player.chipBalance, 350);
+  assert.equal(store.balance('bank'), -250);
+  assert.equal(store.transactions[0].description, 'Adjustment by @alice: Cash received');
+
+  assert.equal((await adjust(-400)).statusCode, 400);
+  assert.equal((await adjust(50, '  ')).statusCode, 400);
+  assert.equal(player.chipBalance, 350);
+});
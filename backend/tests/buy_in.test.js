@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const gameController = require('../controllers/game.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  store = install();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+// Call a game controller action for a user and return the response
+const call = async (action, user, gameId, body = {}) => {
+  const res = response();
+  await gameController[action](request({ userId: user._id, params: { gameId }, body }), res);
+  return res;
+};
+
+// A new cash game hosted by the user, who buys in for 500
+const createGame = async (host, settings = {}) => {
+  const res = response();
+  await gameController.createGame(request({
+    userId: host._id,
+    body: { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500, ...settings }
+  }), res);
+  assert.equal(res.statusCode, 201, res.body.message);
+  return res.body.game._id.toString();
+};
+
+test('a buy-in is held on the table account until the player cashes out', async () => {
+  const [alice, bobby] = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const gameId = await createGame(alice);
+
+  assert.equal((await call('joinGame', bobby, gameId, { buyIn: 300 })).statusCode, 200);
+
+  assert.equal(bobby.chipBalance, 700);
+  assert.equal(store.balance('table', { userId: bobby._id, gameId }), 300);
+  assert.equal(store.balance('table', { userId: alice._id, gameId }), 500);
+
+  assert.equal((await call('leaveGame', bobby, gameId)).statusCode, 200);
+
+  assert.equal(bobby.chipBalance, 1000);
+  assert.equal(store.balance('table', { userId: bobby._id, gameId }), 0);
+  const net = store.transactions.find(row => row.userId.equals(bobby._id) && row.type === 'gameTransaction');
+  assert.equal(net.amount, 0);
+  assert.equal(net.account, 'table');
+});
+
+test('a buy-in the wallet cannot cover or outside the table range moves no chips', async () => {
+  const alice = store.addUser('alice', 1000);
+  const bobby = store.addUser('bobby', 250);
+  const gameId = await createGame(alice, { minBuyIn: 200, maxBuyIn: 600 });
+
+  for (const buyIn of [300, 100, 700, -5]) {
+    const res = await call('joinGame', bobby, gameId, { buyIn });
+    assert.equal(res.statusCode, 400, `buy-in of ${buyIn}`);
+  }
+
+  assert.equal(bobby.chipBalance, 250);
+  assert.equal(store.balance('table', { userId: bobby._id, gameId }), 0);
+  assert.equal(store.game(gameId).players.length, 1);
+});
+
+test('ending a game pays every stack back and records each player\'s net result', async () => {
+  const [alice, bobby] = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const gameId = await createGame(alice);
+  await call('joinGame', bobby, gameId, { buyIn: 400 });
+
+  // Move 100 chips from alice's stack to bobby's, as a hand would
+  const game = store.game(gameId);
+  game.players[0].chipBalance -= 100;
+  game.players[1].chipBalance += 100;
+  await game.save();
+  store.entries.push(
+    { transferId: 'hand', account: 'table', userId: alice._id, gameId, amount: -100 },
+    { transferId: 'hand', account: 'table', userId: bobby._id, gameId, amount: 100 }
+  );
+
+  const res = await call('endGame', alice, gameId);
+
+  assert.equal(res.statusCode, 200, res.body.message);
+  assert.equal(alice.chipBalance, 900);
+  assert.equal(bobby.chipBalance, 1100);
+  assert.equal(store.balance('table', { gameId }), 0);
+  const nets = store.transactions
+    .filter(row => row.type === 'gameTransaction')
+    .map(row => [row.userId.toString(), row.amount]);
+  assert.deepEqual(nets.sort(), [[alice._id.toString(), -100], [bobby._id.toString(), 100]].sort());
+});
@@ -0,0 +1,60 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const gameController = require('../controllers/game.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  store = install();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+const call = async (action, user, gameId, body = {}) => {
+  const res = response();
+  await gameController[action](request({ userId: user._id, params: { gameId }, body }), res);
+  assert.equal(res.statusCode, action === 'createGame' ? 201 : 200, res.body.message);
+  return res;
+};
+
+// Seat each user at a new cash game with a 500-chip buy-in and deal the first hand
+const startCashGame = async (users) => {
+  const created = await call('createGame', users[0], undefined, { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500 });
+  const gameId = created.body.game._id.toString();
+  for (const user of users.slice(1)) {
+    await call('joinGame', user, gameId, { buyIn: 500 });
+  }
+  await call('startGame', users[0], gameId);
+  return gameId;
+};
+
+test('ending a game mid-hand moves the abandoned pot back through the ledger', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const gameId = await startCashGame(users);
+  assert.equal(store.balance('pot', { gameId }), 30);
+
+  await call('endGame', users[0], gameId);
+
+  assert.equal(store.balance('pot', { gameId }), 0);
+  users.forEach(user => {
+    assert.equal(store.balance('table', { userId: user._id, gameId }), 0);
+    assert.equal(user.chipBalance, 1000);
+  });
+});
+
+test('chips left in the pot by a player who left are shared out through the ledger', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const gameId = await startCashGame(users);
+  const leaver = store.game(gameId).players.find(player => player.totalBet > 0 && !player.userId.equals(users[0]._id));
+  const abandoned = leaver.totalBet;
+  await call('gameAction', store.users.get(leaver.userId.toString()), gameId, { action: 'leave' });
+
+  const res = await call('endGame', users[0], gameId);
+
+  assert.equal(store.balance('pot', { gameId }), 0);
+  const refunded = res.body.results.reduce((sum, result) => sum + result.cashOut, 0);
+  assert.equal(refunded, 1000 + abandoned);
+});
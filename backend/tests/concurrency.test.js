@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Game = require('../models/game.model');
+const gameController = require('../controllers/game.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+let game;
+
+beforeEach(async () => {
+  store = install();
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  game = new Game({ name: 'Race', hostId: users[0]._id, shortId: 'ABC234', smallBlind: 10, bigBlind: 20 });
+  users.forEach((user, position) => {
+    game.addPlayer({ userId: user._id, username: user.username, chipBalance: 500, buyIn: 500, isActive: true, position });
+  });
+  game.startGame();
+  game.startHand();
+  await game.save();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+const act = async (userId, action) => {
+  const res = response();
+  await gameController.gameAction(request({ userId, params: { gameId: game._id.toString() }, body: { action } }), res);
+  return res;
+};
+
+test('an action that loses the race to another update is refused with the winning state', async () => {
+  const actor = game.players[game.currentPlayerIndex];
+  const entriesBefore = store.entries.length;
+
+  // Another request saves the game between this one loading and saving it
+  store.beforeSave = () => {
+    store.beforeSave = null;
+    const other = store.game(game._id);
+    other.name = 'Renamed';
+    return other.save();
+  };
+  const res = await act(actor.userId, 'call');
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, 'version-conflict');
+  assert.equal(res.body.game.name, 'Renamed');
+  assert.equal(res.body.game.currentPlayerIndex, game.currentPlayerIndex);
+  assert.equal(store.entries.length, entriesBefore);
+  assert.equal(store.game(game._id).players[game.currentPlayerIndex].currentBet, 0);
+});
+
+test('the retry after a conflict goes through', async () => {
+  const actor = game.players[game.currentPlayerIndex];
+  store.beforeSave = () => {
+    store.beforeSave = null;
+    return store.game(game._id).save();
+  };
+  assert.equal((await act(actor.userId, 'call')).statusCode, 409);
+
+  const res = await act(actor.userId, 'call');
+
+  assert.equal(res.statusCode, 200, res.body.message);
+  assert.notEqual(store.game(game._id).currentPlayerIndex, game.currentPlayerIndex);
+});
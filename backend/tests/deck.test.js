@@ -0,0 +1,84 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Game = require('../models/game.model');
+const gameController = require('../controllers/game.controller');
+const { createDeck, createShuffledDeck, shuffle, cardToString } = require('../utils/deck');
+const { install, request, response } = require('./helpers/memory_store');
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const cardKey = card => `${card.rank}:${card.suit}`;
+
+test('a deck has each of the 52 cards once', () => {
+  const deck = createShuffledDeck();
+
+  assert.equal(deck.length, 52);
+  assert.equal(new Set(deck.map(cardKey)).size, 52);
+  assert.ok(deck.every(card => card.rank >= 0 && card.rank < 13 && card.suit >= 0 && card.suit < 4));
+  assert.equal(cardToString({ rank: 12, suit: 3 }), 'As');
+  assert.equal(cardToString({ rank: 8, suit: 1 }), 'Td');
+});
+
+test('the shuffle draws every swap from the CSPRNG', () => {
+  const randomInt = mock.method(crypto, 'randomInt', () => 0);
+
+  const shuffled = shuffle(createDeck());
+
+  assert.equal(randomInt.mock.callCount(), 51);
+  assert.deepEqual(randomInt.mock.calls.map(call => call.arguments[0]), Array.from({ length: 51 }, (_, i) => 52 - i));
+  assert.notDeepEqual(shuffled, createDeck());
+  assert.equal(new Set(shuffled.map(cardKey)).size, 52);
+});
+
+test('clients never see the deck or other players\' hole cards', () => {
+  const game = new Game({ name: 'Deck', hostId: new mongoose.Types.ObjectId(), shortId: 'ABC234', smallBlind: 10, bigBlind: 20 });
+  ['alice', 'bobby'].forEach((name, position) => {
+    game.addPlayer({ userId: new mongoose.Types.ObjectId(), username: name, chipBalance: 500, buyIn: 500, isActive: true, position });
+  });
+  game.startGame();
+  game.startHand();
+
+  const seen = game.toPublicObject(game.players[0].userId);
+
+  assert.equal(seen.deck, undefined);
+  assert.equal(seen.players[0].holeCards.length, 2);
+  assert.deepEqual(seen.players[1].holeCards, []);
+  assert.ok(game.toPublicObject().players.every(player => player.holeCards.length === 0));
+});
+
+test('hole cards are sent only to each player\'s private room', async () => {
+  const store = install();
+  try {
+    const users = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+    const game = new Game({ name: 'Deck', hostId: users[0]._id, shortId: 'ABC234', smallBlind: 10, bigBlind: 20 });
+    users.forEach((user, position) => {
+      game.addPlayer({ userId: user._id, username: user.username, chipBalance: 500, buyIn: 500, isActive: true, position });
+    });
+    await game.save();
+
+    const emitted = [];
+    const io = { to: room => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+    const res = response();
+    await gameController.startGame(request({ userId: users[0]._id, params: { gameId: game._id.toString() }, io }), res);
+    assert.equal(res.body.success, true, res.body.message);
+    await new Promise(resolve => setImmediate(resolve));
+    const dealt = store.game(game._id);
+
+    const holeCards = emitted.filter(({ event }) => event === 'hole_cards');
+    assert.deepEqual(holeCards.map(({ room }) => room), users.map(user => `user:${user._id}`));
+    holeCards.forEach(({ data }, index) => {
+      assert.deepEqual(data.holeCards.map(cardKey), dealt.players[index].holeCards.map(cardKey));
+    });
+
+    const started = emitted.find(({ event }) => event === 'hand_started');
+    assert.equal(started.room, game._id.toString());
+    assert.ok(started.data.game.players.every(player => player.holeCards.length === 0));
+    assert.equal(started.data.game.deck, undefined);
+  } finally {
+    store.restore();
+  }
+});
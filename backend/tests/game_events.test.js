@@ -0,0 +1,88 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Game = require('../models/game.model');
+const gameService = require('../services/game.service');
+const gameEvents = require('../services/game_events.service');
+const { install } = require('./helpers/memory_store');
+
+let store;
+let game;
+
+// A Socket.IO server that records what it emits
+const emitted = [];
+const io = {
+  to: () => ({ emit: (event, data) => emitted.push({ event, seq: data.seq }) })
+};
+
+beforeEach(async () => {
+  store = install();
+  emitted.length = 0;
+
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  game = new Game({ name: 'Events', hostId: users[0]._id, shortId: 'ABC234', smallBlind: 10, bigBlind: 20 });
+  users.forEach((user, position) => {
+    game.addPlayer({ userId: user._id, username: user.username, chipBalance: 500, buyIn: 500, isActive: true, position });
+  });
+  game.startGame();
+  game.startHand();
+  await game.save();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+test('an action reports the sequence number of the last event it broadcast', async () => {
+  const result = await gameService.performAction(io, {
+    gameId: game._id.toString(),
+    userId: game.players[game.currentPlayerIndex].userId,
+    action: 'call'
+  });
+
+  assert.equal(result.success, true, result.message);
+  const lastSeq = emitted[emitted.length - 1].seq;
+  assert.ok(lastSeq > 0);
+  assert.equal(result.game.toPublicObject().eventSeq, lastSeq);
+  assert.deepEqual(emitted.map(event => event.seq), store.events.map(event => event.seq));
+  assert.equal(result.game.isModified('eventSeq'), false);
+});
+
+// Play actions until the game has sent the given number of events
+const playUntil = async (count) => {
+  while (store.events.length < count) {
+    const current = store.game(game._id);
+    const player = current.players[current.currentPlayerIndex];
+    const action = current.currentBet > player.currentBet ? 'call' : 'check';
+    await gameService.performAction(io, { gameId: game._id.toString(), userId: player.userId, action });
+  }
+  return store.game(game._id);
+};
+
+test('a client that missed a few events gets exactly those events back', async () => {
+  const current = await playUntil(4);
+  const seq = current.eventSeq;
+
+  const resync = await gameEvents.getResync(current, 1, null);
+
+  assert.equal(resync.seq, seq);
+  assert.equal(resync.snapshot, undefined);
+  assert.deepEqual(resync.events.map(event => event.seq), Array.from({ length: seq - 1 }, (_, i) => i + 2));
+  assert.deepEqual(resync.events.map(event => event.event), store.events.slice(1).map(event => event.event));
+});
+
+test('a client that is up to date gets nothing and one with a gap gets a snapshot', async () => {
+  const current = await playUntil(4);
+  const viewer = current.players[0];
+
+  assert.deepEqual(await gameEvents.getResync(current, current.eventSeq, null), { seq: current.eventSeq, events: [] });
+
+  // An expired event leaves a gap, so the log can no longer be replayed
+  store.events.splice(1, 1);
+  const resync = await gameEvents.getResync(current, 0, viewer.userId);
+  assert.equal(resync.events, undefined);
+  assert.equal(resync.snapshot.players[0].holeCards.length, 2);
+  assert.deepEqual(resync.snapshot.players[1].holeCards, []);
+
+  // A client that never saw anything starts from a snapshot too
+  assert.ok((await gameEvents.getResync(current, undefined, null)).snapshot);
+});
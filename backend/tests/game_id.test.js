@@ -0,0 +1,64 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GameId = require('../models/game_id.model');
+const { install } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  store = install();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  store.restore();
+});
+
+// Make the code generator draw the given characters, one code after another
+const drawCodes = (...codes) => {
+  const charset = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const draws = codes.join('').split('').map(char => charset.indexOf(char));
+  mock.method(crypto, 'randomInt', () => draws.shift() ?? 0);
+};
+
+test('an allocated code resolves to its game whatever case it is typed in', async () => {
+  const gameId = new mongoose.Types.ObjectId();
+
+  const code = await GameId.allocate(gameId);
+
+  assert.match(code, /^[A-HJ-NP-Z2-9]{6}$/);
+  assert.ok((await GameId.resolve(code.toLowerCase())).equals(gameId));
+  assert.equal(await GameId.getCode(gameId), code);
+  assert.equal(await GameId.resolve('TOOLONGCODE'), null);
+});
+
+test('a code held by another game is never handed out twice', async () => {
+  const first = new mongoose.Types.ObjectId();
+  const second = new mongoose.Types.ObjectId();
+  drawCodes('ABC234', 'ABC234', 'XYZ789');
+
+  assert.equal(await GameId.allocate(first), 'ABC234');
+  assert.equal(await GameId.allocate(second), 'XYZ789');
+  assert.ok((await GameId.resolve('ABC234')).equals(first));
+});
+
+test('a released code stops resolving and is reserved until its grace period ends', async () => {
+  const first = new mongoose.Types.ObjectId();
+  const second = new mongoose.Types.ObjectId();
+  // Every draw comes out as AAAAAA
+  drawCodes();
+  await GameId.allocate(first);
+
+  await GameId.release(first);
+
+  assert.equal(await GameId.resolve('AAAAAA'), null);
+  assert.equal(await GameId.getCode(first), null);
+  await assert.rejects(GameId.allocate(second), /unique game code/);
+
+  // Once the grace period has passed the code can go to a new game
+  store.codes[0].reusableAt = new Date(Date.now() - 1000);
+  assert.equal(await GameId.allocate(second), 'AAAAAA');
+  assert.ok((await GameId.resolve('AAAAAA')).equals(second));
+});
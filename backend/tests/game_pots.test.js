@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Game = require('../models/game.model');
+const { RANKS } = require('../utils/deck');
+
+// A game in the middle of a hand where each player has committed the given chips
+const gameWithBets = (bets) => {
+  const game = new Game({ name: 'Pots', hostId: new mongoose.Types.ObjectId(), shortId: 'ABC234', smallBlind: 10, bigBlind: 20 });
+  bets.forEach(({ name, totalBet, chipBalance = 0, hasFolded = false }, position) => {
+    game.addPlayer({
+      userId: new mongoose.Types.ObjectId(),
+      username: name,
+      chipBalance,
+      totalBet,
+      currentBet: totalBet,
+      hasFolded,
+      isActive: true,
+      position
+    });
+  });
+  game.pot = bets.reduce((sum, bet) => sum + bet.totalBet, 0);
+  game.status = 'active';
+  game.handInProgress = true;
+  return game;
+};
+
+// Cards from their short text form, e.g. cards('As Kd')
+const cards = (text) => text.split(' ').map(card => ({
+  rank: RANKS.indexOf(card[0]),
+  suit: ['h', 'd', 'c', 's'].indexOf(card[1])
+}));
+
+// Deal the given hole cards and a full board for a showdown
+const showdown = (game, holeCards, board) => {
+  game.players.forEach((player, index) => {
+    player.holeCards = cards(holeCards[index]);
+  });
+  game.communityCards = cards(board);
+  game.bettingRound = 'river';
+};
+
+const namesOf = (game, userIds) => userIds.map(userId =>
+  game.players.find(player => player.userId.toString() === userId.toString()).username);
+
+test('all-in players of different sizes get a main pot and side pots', () => {
+  const game = gameWithBets([
+    { name: 'short', totalBet: 100 },
+    { name: 'middle', totalBet: 300 },
+    { name: 'deep', totalBet: 300, chipBalance: 700 },
+    { name: 'folder', totalBet: 50, hasFolded: true }
+  ]);
+
+  const pots = game.buildPots();
+
+  assert.deepEqual(pots.map(pot => pot.amount), [350, 400]);
+  assert.deepEqual(namesOf(game, pots[0].eligiblePlayers), ['short', 'middle', 'deep']);
+  assert.deepEqual(namesOf(game, pots[1].eligiblePlayers), ['middle', 'deep']);
+  assert.equal(pots.reduce((sum, pot) => sum + pot.amount, 0), game.pot);
+});
+
+test('chips a folded player put in above every contender go into the last pot', () => {
+  const game = gameWithBets([
+    { name: 'raiser', totalBet: 400, hasFolded: true },
+    { name: 'caller', totalBet: 200 },
+    { name: 'allin', totalBet: 200 }
+  ]);
+
+  const pots = game.buildPots();
+
+  assert.deepEqual(pots.map(pot => pot.amount), [800]);
+});
+
+test('the part of the largest bet nobody matched is handed back', () => {
+  const game = gameWithBets([
+    { name: 'shover', totalBet: 500, chipBalance: 0 },
+    { name: 'caller', totalBet: 200, chipBalance: 0 }
+  ]);
+  game.players[0].isAllIn = true;
+
+  const returned = game.returnUncalledBet();
+
+  assert.equal(returned.username, 'shover');
+  assert.equal(returned.amount, 300);
+  assert.equal(game.players[0].totalBet, 200);
+  assert.equal(game.players[0].chipBalance, 300);
+  assert.equal(game.players[0].isAllIn, false);
+  assert.equal(game.pot, 400);
+  assert.equal(game.returnUncalledBet(), null);
+});
+
+test('a hand won because the other player left pays out every chip in the pot', () => {
+  const game = gameWithBets([
+    { name: 'stays', totalBet: 10, chipBalance: 490 },
+    { name: 'leaves', totalBet: 20, chipBalance: 480 }
+  ]);
+  const leaver = game.players[1];
+  game.foldPlayer(leaver.userId);
+  game.removePlayer(leaver.userId);
+
+  const result = game.completeHand();
+
+  const paid = (result.uncalledBet ? result.uncalledBet.amount : 0) +
+    result.winners.reduce((sum, winner) => sum + winner.amount, 0);
+  assert.equal(paid, 30);
+  assert.equal(game.players[0].chipBalance, 520);
+});
+
+test('at showdown the short stack with the best hand wins only the main pot', () => {
+  const game = gameWithBets([
+    { name: 'short', totalBet: 100 },
+    { name: 'middle', totalBet: 300 },
+    { name: 'deep', totalBet: 300, chipBalance: 700 }
+  ]);
+  showdown(game, ['As Ad', 'Ks Kd', 'Qs Qd'], '2c 7h 9d Jc 3s');
+
+  const result = game.completeHand();
+
+  assert.deepEqual(result.pots.map(pot => namesOf(game, pot.winners.map(winner => winner.userId))), [['short'], ['middle']]);
+  assert.deepEqual(game.players.map(player => player.chipBalance), [300, 400, 700]);
+  assert.equal(result.winners.find(winner => winner.username === 'short').handName, 'One Pair');
+  assert.equal(game.pot, 0);
+});
+
+test('a split pot gives the odd chip to the first winner left of the button', () => {
+  const game = gameWithBets([
+    { name: 'button', totalBet: 25 },
+    { name: 'small', totalBet: 25 },
+    { name: 'big', totalBet: 25 }
+  ]);
+  game.dealerPosition = 0;
+  showdown(game, ['Ah 4d', 'Ac 5d', '2h 3c'], 'Kc Kd Qs Js 9h');
+
+  const result = game.completeHand();
+
+  // Button and small blind both play A-K-K-Q-J
+  assert.deepEqual(result.winners.map(winner => [winner.username, winner.amount]), [['small', 38], ['button', 37]]);
+  assert.equal(game.players[2].chipBalance, 0);
+});
@@ -0,0 +1,204 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const Game = require('../models/game.model');
+const gameController = require('../controllers/game.controller');
+const registerGameSocket = require('../sockets/game.socket');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  store = install();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  store.restore();
+});
+
+// A Socket.IO server with one connected client, enough to drive the handlers directly
+const connect = async (user) => {
+  let middleware;
+  let onConnection;
+  // Events broadcast to a room, and events sent back to this client
+  const broadcasts = [];
+  const emitted = [];
+  const io = {
+    use: (fn) => { middleware = fn; },
+    on: (event, fn) => { onConnection = fn; },
+    to: (room) => ({ emit: (event) => broadcasts.push([room, event]) }),
+    in: (room) => ({
+      emit: () => {},
+      socketsLeave: (left) => {
+        if (socket.rooms.has(room)) {
+          socket.leave(left);
+        }
+      }
+    })
+  };
+  registerGameSocket(io);
+
+  const handlers = {};
+  const socket = {
+    id: 'socket-1',
+    handshake: { auth: { token: jwt.sign({ id: user._id.toString() }, process.env.JWT_SECRET) } },
+    data: {},
+    rooms: new Set(),
+    join: (room) => socket.rooms.add(room),
+    leave: (room) => socket.rooms.delete(room),
+    to: () => ({ emit: () => {} }),
+    emit: (event) => emitted.push(event),
+    on: (event, fn) => { handlers[event] = fn; }
+  };
+  await new Promise(resolve => middleware(socket, resolve));
+  onConnection(socket);
+
+  // Send an event and wait for its acknowledgement
+  const send = (event, data) => new Promise(resolve => handlers[event](data, resolve));
+  return { io, socket, send, handlers, broadcasts, emitted };
+};
+
+const createGame = async (host) => {
+  const res = response();
+  await gameController.createGame(request({
+    userId: host._id,
+    body: { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500 }
+  }), res);
+  assert.equal(res.statusCode, 201, res.body.message);
+  return res.body.game;
+};
+
+test('a client can join a game room by its short code', async () => {
+  const host = store.addUser('alice', 1000);
+  const game = await createGame(host);
+  const { socket, send } = await connect(host);
+
+  const ack = await send('join_game', game.shortId.toLowerCase());
+
+  assert.equal(ack.success, true, ack.message);
+  assert.equal(ack.gameId, game._id.toString());
+  assert.ok(socket.rooms.has(game._id.toString()));
+});
+
+test('leaving by the short code leaves the room that was joined', async () => {
+  const host = store.addUser('alice', 1000);
+  const game = await createGame(host);
+  const { socket, send, handlers } = await connect(host);
+  await send('join_game', game.shortId);
+  assert.ok(socket.rooms.has(game._id.toString()));
+
+  handlers.leave_game(game.shortId);
+
+  assert.equal(socket.rooms.has(game._id.toString()), false);
+});
+
+test('an unknown code is refused', async () => {
+  const host = store.addUser('alice', 1000);
+  await createGame(host);
+  const { socket, send } = await connect(host);
+
+  const ack = await send('join_game', 'ZZZZZZ');
+
+  assert.equal(ack.success, false);
+  assert.deepEqual([...socket.rooms], [`user:${host._id}`]);
+});
+
+test('only players can join the room of a game without spectators', async () => {
+  const host = store.addUser('alice', 1000);
+  const stranger = store.addUser('bobby', 1000);
+  const game = await createGame(host);
+  const { socket, send } = await connect(stranger);
+
+  const ack = await send('join_game', game._id.toString());
+
+  assert.equal(ack.success, false);
+  assert.equal(socket.rooms.has(game._id.toString()), false);
+});
+
+test('only whitelisted actions are relayed, and only to a room the client joined', async () => {
+  const host = store.addUser('alice', 1000);
+  const game = await createGame(host);
+  const gameId = game._id.toString();
+  const { send, handlers, broadcasts, emitted } = await connect(host);
+
+  handlers.game_action({ gameId, action: 'status_check' });
+  assert.deepEqual(broadcasts, []);
+
+  await send('join_game', gameId);
+  handlers.game_action({ gameId, action: 'player_action' });
+  handlers.game_action({ gameId, action: 'status_check' });
+
+  assert.deepEqual(emitted.filter(event => event === 'game_action_error'), ['game_action_error', 'game_action_error']);
+  assert.deepEqual(broadcasts.filter(([, event]) => event === 'status_check'), [[gameId, 'status_check']]);
+});
+
+test('signing in again as another user leaves the previous user\'s rooms', async () => {
+  const host = store.addUser('alice', 1000);
+  const other = store.addUser('bobby', 1000);
+  const game = await createGame(host);
+  mock.method(Game, 'find', () => ({ select: async () => [] }));
+  const { socket, send } = await connect(host);
+  await send('join_game', game._id.toString());
+
+  const ack = await send('authenticate', { token: jwt.sign({ id: other._id.toString() }, process.env.JWT_SECRET) });
+
+  assert.equal(ack.success, true, ack.message);
+  assert.deepEqual([...socket.rooms], [`user:${other._id}`]);
+});
+
+test('a player removed from the table stops getting its broadcasts and cannot relay to it', async () => {
+  const host = store.addUser('alice', 1000);
+  const guest = store.addUser('bobby', 1000);
+  const game = await createGame(host);
+  const gameId = game._id.toString();
+  await gameController.joinGame(request({ userId: guest._id, params: { gameId }, body: { buyIn: 500 } }), response());
+  const { io, socket, send, handlers, broadcasts } = await connect(guest);
+  await send('join_game', gameId);
+
+  const res = response();
+  await gameController.removePlayer(request({ userId: host._id, params: { gameId, userId: guest._id.toString() }, io }), res);
+  assert.equal(res.statusCode, 200, res.body.message);
+  handlers.game_action({ gameId, action: 'status_check' });
+
+  assert.equal(socket.rooms.has(gameId), false);
+  assert.deepEqual(broadcasts.filter(([, event]) => event === 'status_check'), []);
+});
+
+// A running game between the two users, created and started through the controller
+const startGame = async (host, guest) => {
+  const game = await createGame(host);
+  const gameId = game._id.toString();
+  await gameController.joinGame(request({ userId: guest._id, params: { gameId }, body: { buyIn: 500 } }), response());
+  await gameController.startGame(request({ userId: host._id, params: { gameId } }), response());
+  return store.game(gameId);
+};
+
+test('an action sent over the socket is answered with the new state', async () => {
+  const users = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const game = await startGame(...users);
+  const actor = users.find(user => user._id.equals(game.players[game.currentPlayerIndex].userId));
+  const { send } = await connect(actor);
+
+  const ack = await send('game:act', { gameId: game.shortId, action: 'call' });
+
+  assert.equal(ack.success, true, ack.message);
+  assert.equal(ack.game.pot, 40);
+  assert.notEqual(ack.game.currentPlayerIndex, game.currentPlayerIndex);
+  assert.equal(store.game(game._id).pot, 40);
+});
+
+test('a refused socket action is answered with a code and changes nothing', async () => {
+  const users = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const game = await startGame(...users);
+  const waiting = users.find(user => !user._id.equals(game.players[game.currentPlayerIndex].userId));
+  const { send } = await connect(waiting);
+
+  const outOfTurn = await send('game:act', { gameId: game._id.toString(), action: 'call' });
+  const leave = await send('game:act', { gameId: game._id.toString(), action: 'leave' });
+  const unknown = await send('game:act', { gameId: 'ZZZZZZ', action: 'call' });
+
+  assert.deepEqual([outOfTurn.code, leave.code, unknown.code], ['not-your-turn', 'invalid-action', 'invalid-game']);
+  assert.equal(store.game(game._id).pot, 30);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RANKS } = require('../utils/deck');
+const { evaluateHand, compareHands, findWinners } = require('../utils/hand_evaluator');
+
+const SUIT_LETTERS = ['h', 'd', 'c', 's'];
+
+// Cards from their short text form, e.g. cards('As Kd Tc')
+const cards = (text) => text.split(' ').map(card => ({
+  rank: RANKS.indexOf(card[0]),
+  suit: SUIT_LETTERS.indexOf(card[1])
+}));
+
+const rankOf = (text) => evaluateHand(cards(text)).rank;
+
+// Positive when the first hand beats the second
+const compare = (a, b) => compareHands(evaluateHand(cards(a)), evaluateHand(cards(b)));
+
+test('every hand category is recognised', () => {
+  assert.equal(rankOf('As Kd 9c 7h 4s 3d 2c'), 'highCard');
+  assert.equal(rankOf('As Ad 9c 7h 4s 3d 2c'), 'onePair');
+  assert.equal(rankOf('As Ad 9c 9h 4s 3d 2c'), 'twoPair');
+  assert.equal(rankOf('As Ad Ac 9h 4s 3d 2c'), 'threeOfAKind');
+  assert.equal(rankOf('9s 8d 7c 6h 5s Kd 2c'), 'straight');
+  assert.equal(rankOf('As Js 9s 7s 4s 3d 2c'), 'flush');
+  assert.equal(rankOf('As Ad Ac 9h 9s 3d 2c'), 'fullHouse');
+  assert.equal(rankOf('As Ad Ac Ah 9s 3d 2c'), 'fourOfAKind');
+  assert.equal(rankOf('9s 8s 7s 6s 5s Kd 2c'), 'straightFlush');
+  assert.equal(rankOf('As Ks Qs Js Ts 3d 2c'), 'royalFlush');
+});
+
+test('the wheel is a five-high straight and loses to a six-high straight', () => {
+  const wheel = evaluateHand(cards('As 2d 3c 4h 5s Kd Qc'));
+
+  assert.equal(wheel.rank, 'straight');
+  assert.deepEqual(wheel.values, [RANKS.indexOf('5')]);
+  assert.ok(compare('2d 3c 4h 5s 6d Kd Qc', 'As 2d 3c 4h 5s Kd Qc') > 0);
+  assert.equal(rankOf('Qs Ks As 2d 3c 8h 9h'), 'highCard');
+});
+
+test('the best five of seven cards are used', () => {
+  // A flush on the board beats the pair in the hand
+  assert.equal(rankOf('Ah Ad 2s 5s 8s Js Ks'), 'flush');
+  // Two full houses available: the one with the higher trips counts
+  const hand = evaluateHand(cards('Ks Kd Kc 4h 4s 4d 2c'));
+  assert.equal(hand.rank, 'fullHouse');
+  assert.deepEqual(hand.values, [RANKS.indexOf('K'), RANKS.indexOf('4')]);
+});
+
+test('hands of the same category are separated by their ranks and kickers', () => {
+  assert.ok(compare('Ks Kd 9c 7h 4s 3d 2c', 'Qs Qd Ac 7h 4s 3d 2c') > 0);
+  assert.ok(compare('As Ad Kc 7h 4s 3d 2c', 'Ah Ac Qc 7h 4s 3d 2c') > 0);
+  assert.ok(compare('As Ad 9c 9h Ks 3d 2c', 'Ah Ac 9d 9s Qs 3d 2c') > 0);
+  assert.ok(compare('As Ad Ac 2h 2s 7d 8c', 'Ks Kd Kc Qh Qs 7d 8c') > 0);
+  // Only five cards play, so a sixth-best card does not break the tie
+  assert.equal(compare('As Kd Qc Jh 9s 3d 2c', 'Ah Kc Qd Js 9h 4d 3c'), 0);
+});
+
+test('tied hands all win', () => {
+  const board = '2s 3s Ts Js Qs';
+  const hands = [`Ah Kh ${board}`, `Ad Kd ${board}`, `4c 5c ${board}`]
+    .map(hand => evaluateHand(cards(hand)));
+
+  // A-K makes a straight, but the flush on the board beats it, so every player plays the board
+  assert.deepEqual(findWinners(hands), [0, 1, 2]);
+  assert.deepEqual(findWinners([evaluateHand(cards('Ah Ad 2c 7h 9s Jd Kc')), ...hands.slice(0, 1)]), [1]);
+});
+
+test('fewer than five or more than seven cards cannot be evaluated', () => {
+  assert.throws(() => evaluateHand(cards('As Kd Qc Jh')));
+  assert.throws(() => evaluateHand(cards('As Kd Qc Jh 9s 8d 7c 6h')));
+});
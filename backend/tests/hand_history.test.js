@@ -0,0 +1,104 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Game = require('../models/game.model');
+const Hand = require('../models/hand.model');
+const gameService = require('../services/game.service');
+const handHistory = require('../services/hand_history.service');
+const { install } = require('./helpers/memory_store');
+
+let store;
+let gameId;
+
+beforeEach(async () => {
+  store = install();
+  const users = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const game = new Game({ name: 'History', hostId: users[0]._id, shortId: 'ABC234', smallBlind: 10, bigBlind: 20 });
+  users.forEach((user, position) => {
+    game.addPlayer({ userId: user._id, username: user.username, chipBalance: 500, buyIn: 500, isActive: true, position });
+  });
+  game.startGame();
+  const hand = gameService.beginHand(game);
+  await game.save();
+  await gameService.recordHandProgress({}, game, null, hand);
+  gameId = game._id.toString();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+// Act for whoever's turn it is
+const act = async (action, amount) => {
+  const game = store.game(gameId);
+  const result = await gameService.performAction(null, {
+    gameId,
+    userId: game.players[game.currentPlayerIndex].userId,
+    action,
+    amount
+  });
+  assert.equal(result.success, true, result.message);
+  return result.game;
+};
+
+const recordedHand = (handNumber = 1) => new Hand(store.hands.find(hand => hand.handNumber === handNumber));
+
+test('a hand played to showdown is stored with every action, the board and the result', async () => {
+  await act('raise', 60);
+  await act('call');
+  let game = store.game(gameId);
+  while (game.handNumber === 1) {
+    game = await act('check');
+  }
+
+  const hand = recordedHand();
+
+  assert.equal(hand.status, 'completed');
+  assert.deepEqual(hand.actions.map(action => action.type), [
+    'smallBlind', 'bigBlind', 'raise', 'call',
+    'deal', 'check', 'check', 'deal', 'check', 'check', 'deal', 'check', 'check'
+  ]);
+  assert.equal(hand.board.length, 5);
+  assert.equal(hand.pot, 120);
+  assert.equal(hand.showdown.length, 2);
+  assert.equal(hand.winners.reduce((sum, winner) => sum + winner.amount, 0), 120);
+});
+
+test('the replay of a hand ends with the stacks the players were left with', async () => {
+  await act('raise', 100);
+  const game = await act('fold');
+
+  const steps = recordedHand().toReplay();
+  const last = steps[steps.length - 1];
+
+  assert.equal(steps[0].action.type, 'start');
+  assert.deepEqual(steps.map(step => step.action.type), ['start', 'smallBlind', 'bigBlind', 'raise', 'fold', 'uncalledBet', 'result']);
+  assert.equal(last.pot, 0);
+  // Stacks before the next hand's blinds went in
+  const nextHand = new Hand(store.hands.find(hand => hand.handNumber === 2));
+  assert.deepEqual(last.players.map(player => player.stack), nextHand.seats.map(seat => seat.startingStack));
+  assert.equal(game.handNumber, 2);
+});
+
+test('the replay shows only the viewer\'s own unshown hole cards', async () => {
+  const game = store.game(gameId);
+  const [alice, bobby] = game.players;
+
+  const steps = recordedHand().toReplay(alice.userId);
+
+  assert.equal(steps[0].players[0].holeCards.length, 2);
+  assert.deepEqual(steps[0].players[1].holeCards, []);
+  assert.ok(recordedHand().toReplay(bobby.userId)[0].players[1].holeCards.length === 2);
+});
+
+test('a cancelled hand is marked so and its replay hands every bet back', async () => {
+  await act('raise', 60);
+
+  await handHistory.recordCancel({}, gameId, 1);
+  const steps = recordedHand().toReplay();
+  const last = steps[steps.length - 1];
+
+  assert.equal(recordedHand().status, 'cancelled');
+  assert.equal(last.action.type, 'cancelled');
+  assert.deepEqual(last.players.map(player => player.stack), [500, 500]);
+  assert.equal(last.pot, 0);
+});
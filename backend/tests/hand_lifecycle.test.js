@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Game = require('../models/game.model');
+
+// An active cash game with a 500-chip stack in front of each named player
+const tableOf = (names) => {
+  const game = new Game({ name: 'Lifecycle', hostId: new mongoose.Types.ObjectId(), shortId: 'ABC234', smallBlind: 10, bigBlind: 20 });
+  names.forEach((name, position) => {
+    game.addPlayer({ userId: new mongoose.Types.ObjectId(), username: name, chipBalance: 500, buyIn: 500, isActive: true, position });
+  });
+  game.startGame();
+  return game;
+};
+
+const nameAt = (game, index) => game.players[index].username;
+
+// Act for whoever's turn it is and move the hand on, the way game.service does
+const act = (game, action, amount) => {
+  const player = game.players[game.currentPlayerIndex];
+  const result = game.applyAction(player.userId, action, amount);
+  assert.equal(result.success, true, result.message);
+  return { player: player.username, progress: game.progressHand() };
+};
+
+test('the first hand posts the blinds left of the button and deals two cards each', () => {
+  const game = tableOf(['alice', 'bobby', 'carol']);
+
+  const hand = game.startHand();
+
+  assert.equal(hand.handNumber, 1);
+  assert.equal(nameAt(game, game.dealerPosition), 'alice');
+  assert.equal(nameAt(game, game.smallBlindPosition), 'bobby');
+  assert.equal(nameAt(game, game.bigBlindPosition), 'carol');
+  assert.deepEqual(game.players.map(player => player.chipBalance), [500, 490, 480]);
+  assert.equal(game.pot, 30);
+  assert.equal(game.currentBet, 20);
+  // Three-handed, the button is first to act before the flop
+  assert.equal(nameAt(game, game.currentPlayerIndex), 'alice');
+  assert.ok(game.players.every(player => player.holeCards.length === 2));
+  assert.equal(new Set(game.players.flatMap(player => player.holeCards.map(card => `${card.rank}:${card.suit}`))).size, 6);
+});
+
+test('the button and blinds move one seat on each hand', () => {
+  const game = tableOf(['alice', 'bobby', 'carol']);
+  game.startHand();
+  act(game, 'fold');
+  act(game, 'fold');
+
+  game.startHand();
+
+  assert.equal(game.handNumber, 2);
+  assert.equal(nameAt(game, game.dealerPosition), 'bobby');
+  assert.equal(nameAt(game, game.smallBlindPosition), 'carol');
+  assert.equal(nameAt(game, game.bigBlindPosition), 'alice');
+});
+
+test('the big blind gets to act when everyone just calls, then the flop is dealt', () => {
+  const game = tableOf(['alice', 'bobby', 'carol']);
+  game.startHand();
+
+  act(game, 'call');
+  act(game, 'call');
+  assert.equal(game.bettingRound, 'preFlop');
+  assert.equal(nameAt(game, game.currentPlayerIndex), 'carol');
+
+  const { progress } = act(game, 'check');
+
+  assert.equal(game.bettingRound, 'flop');
+  assert.equal(progress.roundsAdvanced[0].cards.length, 3);
+  assert.equal(game.communityCards.length, 3);
+  assert.equal(game.pot, 60);
+  assert.equal(game.currentBet, 0);
+  // After the flop the first player left of the button acts
+  assert.equal(nameAt(game, game.currentPlayerIndex), 'bobby');
+});
+
+test('heads-up the button posts the small blind and acts first only before the flop', () => {
+  const game = tableOf(['alice', 'bobby']);
+  game.startHand();
+
+  assert.equal(game.smallBlindPosition, game.dealerPosition);
+  assert.equal(nameAt(game, game.currentPlayerIndex), 'alice');
+
+  act(game, 'call');
+  act(game, 'check');
+
+  assert.equal(game.bettingRound, 'flop');
+  assert.equal(nameAt(game, game.currentPlayerIndex), 'bobby');
+});
+
+test('a hand checked down to the river ends at showdown with the whole pot paid out', () => {
+  const game = tableOf(['alice', 'bobby']);
+  game.startHand();
+  act(game, 'call');
+  let last = act(game, 'check');
+  while (!last.progress.handComplete) {
+    last = act(game, 'check');
+  }
+
+  assert.equal(game.handInProgress, false);
+  assert.equal(game.communityCards.length, 5);
+  assert.equal(game.pot, 0);
+  assert.equal(game.players.reduce((sum, player) => sum + player.chipBalance, 0), 1000);
+  assert.equal(last.progress.handResult.showdown.length, 2);
+});
+
+test('no hand is dealt with fewer than two players who can play', () => {
+  const game = tableOf(['alice', 'bobby']);
+  game.players[1].chipBalance = 0;
+
+  assert.equal(game.startHand(), null);
+  assert.equal(game.handInProgress, false);
+});
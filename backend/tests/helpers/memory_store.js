@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const User = require('../../models/user.model');
+const Game = require('../../models/game.model');
+const GameEvent = require('../../models/game_event.model');
+const GameId = require('../../models/game_id.model');
+const Hand = require('../../models/hand.model');
+const LedgerEntry = require('../../models/ledger_entry.model');
+const Transaction = require('../../models/transaction.model');
+const ledger = require('../../services/ledger.service');
+const turnTimer = require('../../services/turn_timer.service');
+
+// In-memory stand-ins for the MongoDB calls made by the ledger and the game flow, so chip
+// movements can be checked without a database. install() swaps them in and returns the
+// store; store.restore() puts the real model methods back.
+
+// Any query that is not stubbed fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Match the { account, userId, gameId } sides used by ledger.service
+const sameId = (a, b) => (a ? a.toString() : null) === (b ? b.toString() : null);
+
+// Result of a stubbed query that can still be chained with .select()
+const query = (value) => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  catch: (reject) => Promise.resolve(value).catch(reject)
+});
+
+const install = () => {
+  const originals = [];
+  const stub = (target, key, value) => {
+    originals.push([target, key, Object.prototype.hasOwnProperty.call(target, key), target[key]]);
+    target[key] = value;
+  };
+
+  const store = {
+    users: new Map(),
+    games: new Map(),
+    entries: [],
+    transactions: [],
+    hands: [],
+    events: [],
+    codes: [],
+    turnDeadlines: new Map()
+  };
+
+  // Add a user with a wallet balance and return it
+  store.addUser = (username, chipBalance) => {
+    const user = new User({ username, email: `${username}@example.com`, password: 'secret123', chipBalance });
+    store.users.set(user._id.toString(), user);
+    return user;
+  };
+
+  // Fresh copy of a saved game, as Game.findById would load it
+  store.game = (id) => {
+    const saved = store.games.get(id.toString());
+    return saved ? Game.hydrate(saved) : null;
+  };
+
+  // Balance of one ledger account, e.g. balance('pot', { gameId })
+  store.balance = (account, { userId = null, gameId = null } = {}) => store.entries
+    .filter(entry => entry.account === account &&
+      (!userId || sameId(entry.userId, userId)) &&
+      (!gameId || sameId(entry.gameId, gameId)))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  store.restore = () => {
+    originals.reverse().forEach(([target, key, own, value]) => {
+      if (own) {
+        target[key] = value;
+      } else {
+        delete target[key];
+      }
+    });
+  };
+
+  stub(ledger, 'runInTransaction', async (work) => work({ inMemory: true }));
+
+  // Turn clocks are noted instead of started, so no timer outlives a test
+  stub(turnTimer, 'schedule', (game) => {
+    store.turnDeadlines.set(game._id.toString(), game.status === 'active' && game.handInProgress ? game.turnDeadline : null);
+  });
+
+  stub(User, 'findById', (id) => query(store.users.get(id.toString()) || null));
+  stub(User, 'exists', (filter) => ({
+    session: async () => (store.users.has(filter._id.toString()) ? { _id: filter._id } : null)
+  }));
+  stub(User, 'findOneAndUpdate', async (filter, update) => {
+    const user = store.users.get(filter._id.toString());
+    if (!user || (filter.chipBalance && user.chipBalance < filter.chipBalance.$gte)) {
+      return null;
+    }
+    user.chipBalance += update.$inc.chipBalance;
+    return user;
+  });
+
+  // Games are kept as saved snapshots, so a document changed but never saved is not what
+  // the next findById returns. Set store.beforeSave to make a save fail. As with
+  // optimisticConcurrency, saving a copy older than the stored one is a VersionError.
+  stub(Game, 'findById', (id) => query(store.game(id)));
+  stub(Game.prototype, 'save', async function() {
+    if (store.beforeSave) {
+      await store.beforeSave(this);
+    }
+    const saved = store.games.get(this._id.toString());
+    if (saved && !this.isNew && saved.__v !== this.__v) {
+      throw new mongoose.Error.VersionError(this, this.__v, this.modifiedPaths());
+    }
+    this.__v = (this.__v || 0) + 1;
+    this.isNew = false;
+    store.games.set(this._id.toString(), this.toObject());
+    return this;
+  });
+  // Only the event counter is changed outside a document save
+  stub(Game, 'findByIdAndUpdate', async (id, update) => {
+    const saved = store.games.get(id.toString());
+    if (!saved) {
+      return null;
+    }
+    saved.eventSeq = (saved.eventSeq || 0) + update.$inc.eventSeq;
+    return { _id: saved._id, eventSeq: saved.eventSeq };
+  });
+  stub(GameEvent, 'create', async (doc) => {
+    store.events.push(doc);
+    return doc;
+  });
+  stub(GameEvent, 'getEventsSince', async (gameId, lastSeq, limit) => store.events
+    .filter(event => sameId(event.gameId, gameId) && event.seq > lastSeq)
+    .sort((a, b) => a.seq - b.seq)
+    .slice(0, limit));
+
+  stub(LedgerEntry, 'create', async (docs) => {
+    store.entries.push(...docs);
+    return docs;
+  });
+  stub(Transaction, 'create', async (docs) => {
+    const created = docs.map(doc => new Transaction(doc));
+    store.transactions.push(...created);
+    return created;
+  });
+
+  stub(Hand, 'create', async (docs) => {
+    store.hands.push(...docs);
+    return docs;
+  });
+  stub(Hand, 'updateOne', async (filter, update) => {
+    const hand = store.hands.find(doc => sameId(doc.gameId, filter.gameId) &&
+      doc.handNumber === filter.handNumber &&
+      (filter.status === undefined || (doc.status || 'inProgress') === filter.status));
+    if (!hand) {
+      return { matchedCount: 0 };
+    }
+    Object.entries(update.$push || {}).forEach(([field, value]) => {
+      hand[field] = [...(hand[field] || []), ...(value && value.$each ? value.$each : [value])];
+    });
+    Object.assign(hand, update.$set);
+    return { matchedCount: 1 };
+  });
+
+  // The GameId registry, with the unique index on shortId
+  const matchCode = (filter) => (code) =>
+    (filter.shortId === undefined || code.shortId === filter.shortId) &&
+    (filter.fullId === undefined || sameId(code.fullId, filter.fullId)) &&
+    (filter.releasedAt !== null || code.releasedAt === null);
+  stub(GameId, 'create', async (doc) => {
+    if (store.codes.some(code => code.shortId === doc.shortId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const code = { releasedAt: null, reusableAt: null, ...doc };
+    store.codes.push(code);
+    return code;
+  });
+  stub(GameId, 'findOne', async (filter) => store.codes.find(matchCode(filter)) || null);
+  stub(GameId, 'deleteOne', async ({ shortId, reusableAt }) => {
+    const index = store.codes.findIndex(code =>
+      code.shortId === shortId && code.reusableAt && code.reusableAt <= reusableAt.$lte);
+    if (index !== -1) {
+      store.codes.splice(index, 1);
+    }
+    return { deletedCount: index === -1 ? 0 : 1 };
+  });
+  stub(GameId, 'deleteMany', async ({ fullId }) => {
+    store.codes = store.codes.filter(code => !sameId(code.fullId, fullId));
+    return { acknowledged: true };
+  });
+  stub(GameId, 'updateMany', async (filter, update) => {
+    store.codes.filter(matchCode(filter)).forEach(code => Object.assign(code, update.$set));
+    return { acknowledged: true };
+  });
+
+  return store;
+};
+
+// Minimal Express request and response objects for calling a controller directly
+const request = ({ userId, params = {}, body = {}, query = {}, headers = {}, io = null } = {}) => ({
+  userId,
+  params,
+  body,
+  query,
+  headers,
+  app: { get: (name) => (name === 'io' ? io : null) },
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const response = () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+module.exports = {
+  install,
+  request,
+  response
+};
@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Game = require('../models/game.model');
+const GameId = require('../models/game_id.model');
+const gameController = require('../controllers/game.controller');
+const hostService = require('../services/host.service');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+let users;
+let gameId;
+// Users with a socket still connected
+let online;
+
+// Let the promises started by a fired timer settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const call = async (action, user, body = {}, params = {}) => {
+  const res = response();
+  await gameController[action](request({ userId: user._id, params: { gameId, ...params }, body }), res);
+  return res;
+};
+
+const hostOf = () => store.game(gameId).hostId.toString();
+
+beforeEach(async () => {
+  store = install();
+  online = new Set();
+  hostService.init({
+    to: () => ({ emit: () => {} }),
+    in: room => ({ fetchSockets: async () => (online.has(room.replace('user:', '')) ? [{}] : []) })
+  });
+
+  users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const created = response();
+  await gameController.createGame(request({
+    userId: users[0]._id,
+    body: { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500 }
+  }), created);
+  gameId = created.body.game._id.toString();
+  for (const user of users.slice(1)) {
+    await call('joinGame', user, { buyIn: 500 });
+  }
+});
+
+afterEach(() => {
+  hostService.cancel(gameId);
+  hostService.init(null);
+  mock.timers.reset();
+  mock.restoreAll();
+  store.restore();
+});
+
+test('only the host can hand the host role on, and only to a seated player', async () => {
+  const [alice, bobby, carol] = users;
+
+  assert.equal((await call('transferHost', bobby, { userId: carol._id.toString() })).statusCode, 403);
+  assert.equal((await call('transferHost', alice, { userId: alice._id.toString() })).statusCode, 400);
+  assert.equal((await call('transferHost', alice, { userId: store.addUser('david', 0)._id.toString() })).statusCode, 400);
+  assert.equal(hostOf(), alice._id.toString());
+
+  assert.equal((await call('transferHost', alice, { userId: carol._id.toString() })).statusCode, 200);
+  assert.equal(hostOf(), carol._id.toString());
+});
+
+test('a host who leaves the table passes the role to the next player', async () => {
+  const [alice, bobby] = users;
+
+  assert.equal((await call('leaveGame', alice)).statusCode, 200);
+
+  assert.equal(hostOf(), bobby._id.toString());
+  assert.equal(alice.chipBalance, 1000);
+});
+
+test('a host who removes themselves passes the role on like one who leaves', async () => {
+  const [alice, bobby] = users;
+
+  const res = await call('removePlayer', alice, {}, { userId: alice._id.toString() });
+
+  assert.equal(res.statusCode, 200, res.body.message);
+  assert.equal(res.body.newHostId.toString(), bobby._id.toString());
+  assert.equal(hostOf(), bobby._id.toString());
+});
+
+test('the game is closed and its code released once the last player leaves', async () => {
+  const shortId = store.game(gameId).shortId;
+
+  for (const user of users) {
+    assert.equal((await call('leaveGame', user)).statusCode, 200);
+  }
+
+  assert.equal(store.game(gameId).status, 'completed');
+  assert.equal(await GameId.resolve(shortId), null);
+  users.forEach(user => assert.equal(user.chipBalance, 1000));
+});
+
+test('a host who stays disconnected is replaced, one who comes back in time is not', async () => {
+  const [alice, bobby] = users;
+  mock.timers.enable({ apis: ['setTimeout'] });
+  mock.method(Game, 'find', () => ({ select: async () => [store.game(gameId)] }));
+
+  await hostService.userDisconnected(alice._id, [gameId]);
+  mock.timers.tick(60 * 1000);
+  hostService.userConnected(alice._id);
+  mock.timers.tick(120 * 1000);
+  await settle();
+  assert.equal(hostOf(), alice._id.toString());
+
+  await hostService.userDisconnected(alice._id, [gameId]);
+  mock.timers.tick(120 * 1000);
+  await settle();
+  assert.equal(hostOf(), bobby._id.toString());
+});
+
+test('a host with another socket still open keeps the role', async () => {
+  const [alice] = users;
+  online.add(alice._id.toString());
+  mock.timers.enable({ apis: ['setTimeout'] });
+  mock.method(Game, 'find', () => ({ select: async () => [store.game(gameId)] }));
+
+  await hostService.userDisconnected(alice._id, [gameId]);
+  mock.timers.tick(120 * 1000);
+  await settle();
+
+  assert.equal(hostOf(), alice._id.toString());
+});
@@ -0,0 +1,152 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/idempotency_key.model');
+const idempotency = require('../middleware/idempotency.middleware');
+
+const userId = new mongoose.Types.ObjectId();
+let keys;
+let applied;
+let server;
+let baseUrl;
+// Lets the /slow handler answer
+let answerSlow;
+
+// The IdempotencyKey collection, with its unique index on { key, userId }
+const stubKeys = () => {
+  keys = new Map();
+  mock.method(IdempotencyKey, 'create', async (doc) => {
+    if (keys.has(doc.key)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = { _id: new mongoose.Types.ObjectId(), status: 'processing', ...doc };
+    keys.set(doc.key, record);
+    return record;
+  });
+  mock.method(IdempotencyKey, 'findOne', async ({ key }) => keys.get(key) || null);
+  mock.method(IdempotencyKey, 'updateOne', async ({ _id }, update) => {
+    const record = [...keys.values()].find(entry => entry._id.equals(_id));
+    if (record) {
+      Object.assign(record, update);
+    }
+    return { acknowledged: true };
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async ({ _id, key }) => {
+    for (const [name, record] of keys) {
+      if ((_id && record._id.equals(_id)) || name === key) {
+        keys.delete(name);
+      }
+    }
+    return { acknowledged: true };
+  });
+};
+
+before(async () => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.userId = userId;
+    next();
+  });
+  app.use(idempotency);
+  app.post('/json', (req, res) => {
+    applied += 1;
+    res.status(201).json({ success: true, applied });
+  });
+  app.post('/send', (req, res) => {
+    applied += 1;
+    res.send('plain text');
+  });
+  app.post('/throws', () => {
+    applied += 1;
+    throw new Error('handler failed');
+  });
+  app.post('/slow', async (req, res) => {
+    applied += 1;
+    await new Promise(resolve => {
+      answerSlow = resolve;
+    });
+    res.status(201).json({ success: true, applied });
+  });
+  // Quiet version of Express' default error handler
+  app.use((error, req, res, next) => {
+    res.status(500).end();
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  stubKeys();
+  applied = 0;
+});
+
+const post = (path, key, options = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Idempotency-Key': key },
+  ...options
+});
+
+// Wait for the response events the middleware settles on to run
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('a repeated key gets the stored response without running the handler again', async () => {
+  const first = await post('/json', 'key-1');
+  await settle();
+  const second = await post('/json', 'key-1');
+
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await second.json(), { success: true, applied: 1 });
+  assert.equal(applied, 1);
+});
+
+test('a key is released when the handler answers without res.json', async () => {
+  await (await post('/send', 'key-2')).text();
+  await settle();
+
+  assert.equal(keys.has('key-2'), false);
+});
+
+test('a key is released when the handler throws', async () => {
+  const res = await post('/throws', 'key-3');
+  await settle();
+
+  assert.equal(res.status, 500);
+  assert.equal(keys.has('key-3'), false);
+  const retry = await post('/throws', 'key-3');
+  assert.equal(retry.status, 500);
+  assert.equal(applied, 2);
+});
+
+test('a client that gives up before the handler answers does not get the request applied twice', async () => {
+  const controller = new AbortController();
+  const first = post('/slow', 'key-4', { signal: controller.signal });
+  while (!answerSlow) {
+    await settle();
+  }
+  controller.abort();
+  await assert.rejects(first);
+  await settle();
+
+  assert.equal(keys.get('key-4').status, 'processing');
+  assert.equal((await post('/slow', 'key-4')).status, 409);
+
+  answerSlow();
+  await settle();
+  const retry = await post('/slow', 'key-4');
+
+  assert.equal(retry.status, 201);
+  assert.deepEqual(await retry.json(), { success: true, applied: 1 });
+  assert.equal(applied, 1);
+});
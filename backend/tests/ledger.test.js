@@ -0,0 +1,149 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ledger = require('../services/ledger.service');
+const gameController = require('../controllers/game.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  store = install();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+// Every transfer's entries, which must add up to zero
+const transferTotals = () => {
+  const totals = new Map();
+  store.entries.forEach(entry => {
+    totals.set(entry.transferId, (totals.get(entry.transferId) || 0) + entry.amount);
+  });
+  return [...totals.values()];
+};
+
+test('a transfer writes a debit and a matching credit and updates the wallet', async () => {
+  const user = store.addUser('alice', 1000);
+  const gameId = new mongoose.Types.ObjectId();
+
+  const result = await ledger.transfer({}, {
+    from: ledger.wallet(user._id),
+    to: ledger.table(user._id, gameId),
+    amount: 400,
+    type: 'buyIn',
+    description: 'Buy-in'
+  });
+
+  assert.equal(user.chipBalance, 600);
+  assert.equal(result.walletBalance, 600);
+  assert.deepEqual(store.entries.map(entry => [entry.account, entry.amount]), [['wallet', -400], ['table', 400]]);
+  assert.ok(store.entries.every(entry => entry.transferId === result.transferId));
+  assert.equal(store.transactions.length, 1);
+  assert.equal(store.transactions[0].amount, -400);
+  assert.equal(store.transactions[0].balanceAfter, 600);
+});
+
+test('a wallet cannot be overdrawn and a refused transfer leaves no entries', async () => {
+  const user = store.addUser('alice', 100);
+
+  await assert.rejects(ledger.transfer({}, {
+    from: ledger.wallet(user._id),
+    to: ledger.bank(),
+    amount: 101,
+    type: 'adjustment',
+    description: 'Too much'
+  }), error => error instanceof ledger.LedgerError && error.message === 'Not enough chips in wallet');
+
+  assert.equal(user.chipBalance, 100);
+  assert.deepEqual(store.entries, []);
+  assert.deepEqual(store.transactions, []);
+});
+
+test('only positive whole numbers of chips can be transferred', async () => {
+  const user = store.addUser('alice', 100);
+
+  for (const amount of [0, -5, 1.5, '10']) {
+    await assert.rejects(ledger.transfer({}, {
+      from: ledger.wallet(user._id),
+      to: ledger.bank(),
+      amount,
+      type: 'adjustment',
+      description: 'Bad amount'
+    }), ledger.LedgerError);
+  }
+  assert.equal(user.chipBalance, 100);
+});
+
+test('a transfer between wallets shows up in both users\' histories', async () => {
+  const alice = store.addUser('alice', 100);
+  const bobby = store.addUser('bobby', 0);
+
+  await ledger.transfer({}, {
+    from: ledger.wallet(alice._id),
+    to: ledger.wallet(bobby._id),
+    amount: 30,
+    type: 'transfer',
+    description: 'Transfer',
+    descriptions: { from: 'Sent to bobby', to: 'Received from alice' }
+  });
+
+  assert.deepEqual(store.transactions.map(row => [row.userId.toString(), row.amount, row.balanceAfter, row.description]), [
+    [alice._id.toString(), -30, 70, 'Sent to bobby'],
+    [bobby._id.toString(), 30, 30, 'Received from alice']
+  ]);
+});
+
+test('a whole cash session creates and destroys no chips', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const created = response();
+  await gameController.createGame(request({
+    userId: users[0]._id,
+    body: { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500 }
+  }), created);
+  const gameId = created.body.game._id.toString();
+  for (const user of users.slice(1)) {
+    await gameController.joinGame(request({ userId: user._id, params: { gameId }, body: { buyIn: 300 } }), response());
+  }
+  await gameController.startGame(request({ userId: users[0]._id, params: { gameId } }), response());
+
+  // Play a few hands, raising the first time each player acts and calling or checking after
+  const raised = new Set();
+  for (let step = 0; step < 30; step++) {
+    const game = store.game(gameId);
+    const player = game.players[game.currentPlayerIndex];
+    const toCall = game.currentBet - player.currentBet;
+    const key = `${game.handNumber}:${player.userId}`;
+    const action = raised.has(key) ? (toCall > 0 ? 'call' : 'check') : 'raise';
+    raised.add(key);
+    const acted = response();
+    await gameController.gameAction(request({
+      userId: player.userId,
+      params: { gameId },
+      body: { action, amount: action === 'raise' ? game.currentBet + 20 : undefined }
+    }), acted);
+    if (!acted.body.success) {
+      await gameController.gameAction(request({
+        userId: player.userId,
+        params: { gameId },
+        body: { action: toCall > 0 ? 'call' : 'check' }
+      }), response());
+    }
+  }
+  assert.ok(store.game(gameId).handNumber > 1);
+
+  await gameController.leaveGame(request({ userId: users[1]._id, params: { gameId } }), response());
+  const ended = response();
+  await gameController.endGame(request({ userId: users[0]._id, params: { gameId } }), ended);
+  assert.equal(ended.statusCode, 200, ended.body.message);
+
+  assert.ok(transferTotals().every(total => total === 0));
+  assert.equal(store.balance('pot', { gameId }), 0);
+  assert.equal(store.balance('table', { gameId }), 0);
+  assert.ok(users.some(user => user.chipBalance !== 1000));
+  assert.equal(users.reduce((sum, user) => sum + user.chipBalance, 0), 3000);
+  users.forEach(user => {
+    assert.equal(store.balance('wallet', { userId: user._id }), user.chipBalance - 1000);
+  });
+});
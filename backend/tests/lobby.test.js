@@ -0,0 +1,110 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Game = require('../models/game.model');
+const gameController = require('../controllers/game.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  store = install();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  store.restore();
+});
+
+const createGame = async (host, settings = {}) => {
+  const res = response();
+  await gameController.createGame(request({
+    userId: host._id,
+    body: { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500, ...settings }
+  }), res);
+  assert.equal(res.statusCode, 201, res.body.message);
+  return res.body.game;
+};
+
+const join = async (user, gameId, body = {}) => {
+  const res = response();
+  await gameController.joinGame(request({ userId: user._id, params: { gameId }, body: { buyIn: 300, ...body } }), res);
+  return res;
+};
+
+test('a password table can be joined by code only with its password, which is never sent out', async () => {
+  const [alice, bobby] = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const game = await createGame(alice, { password: 'secret' });
+
+  assert.equal(game.passwordHash, undefined);
+  assert.equal((await join(bobby, game.shortId)).body.code, 'wrong-password');
+  assert.equal((await join(bobby, game.shortId, { password: 'guess' })).body.code, 'wrong-password');
+  assert.equal(bobby.chipBalance, 1000);
+
+  const res = await join(bobby, game.shortId, { password: 'secret' });
+
+  assert.equal(res.statusCode, 200, res.body.message);
+  assert.equal(res.body.game.passwordHash, undefined);
+  assert.equal(bobby.chipBalance, 700);
+});
+
+test('a full table refuses another player and points them to the waiting list', async () => {
+  const [alice, bobby, carol] = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const game = await createGame(alice, { maxSeats: 2 });
+  assert.equal((await join(bobby, game._id.toString())).statusCode, 200);
+
+  const res = await join(carol, game._id.toString());
+
+  assert.equal(res.body.code, 'table-full');
+  assert.equal(carol.chipBalance, 1000);
+  assert.equal(store.game(game._id).players.length, 2);
+});
+
+test('a taken or out-of-range seat cannot be chosen', async () => {
+  const [alice, bobby] = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const game = await createGame(alice, { maxSeats: 6 });
+  const seated = store.game(game._id).players[0].position;
+
+  assert.equal((await join(bobby, game._id.toString(), { seat: seated })).statusCode, 400);
+  assert.equal((await join(bobby, game._id.toString(), { seat: 6 })).statusCode, 400);
+  assert.equal(bobby.chipBalance, 1000);
+});
+
+test('table settings outside the allowed ranges are refused', async () => {
+  const alice = store.addUser('alice', 1000);
+  for (const settings of [{ maxSeats: 11 }, { maxSeats: 1 }, { password: 'abc' }, { visibility: 'hidden' }, { minBuyIn: -1 }]) {
+    const res = response();
+    await gameController.createGame(request({
+      userId: alice._id,
+      body: { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500, ...settings }
+    }), res);
+    assert.equal(res.statusCode, 400, JSON.stringify(settings));
+  }
+  assert.equal(alice.chipBalance, 1000);
+});
+
+test('the lobby lists only public tables with a free seat that the user is not already at', async () => {
+  const alice = store.addUser('alice', 1000);
+  let filter;
+  mock.method(Game, 'find', (query) => {
+    filter = query;
+    const chain = {
+      sort: () => chain,
+      skip: () => chain,
+      limit: async () => []
+    };
+    return chain;
+  });
+
+  const res = response();
+  await gameController.getLobby(request({ userId: alice._id, query: { minFreeSeats: '2', maxBigBlind: '50' } }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(filter.visibility, 'public');
+  assert.deepEqual(filter['players.userId'], { $ne: alice._id });
+  assert.deepEqual(filter.$expr, { $gte: [{ $subtract: ['$maxSeats', { $size: '$players' }] }, 2] });
+  assert.deepEqual(filter.bigBlind, { $lte: 50 });
+
+  const bad = response();
+  await gameController.getLobby(request({ userId: alice._id, query: { bigBlind: 'lots' } }), bad);
+  assert.equal(bad.statusCode, 400);
+});
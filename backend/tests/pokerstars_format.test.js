@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Hand = require('../models/hand.model');
+const { RANKS } = require('../utils/deck');
+const { formatHand, formatHands } = require('../utils/pokerstars_format');
+
+// Cards from their short text form, e.g. cards('As Kd')
+const cards = (text) => text.split(' ').map(card => ({
+  rank: RANKS.indexOf(card[0]),
+  suit: ['h', 'd', 'c', 's'].indexOf(card[1])
+}));
+
+const alice = new mongoose.Types.ObjectId();
+const bobby = new mongoose.Types.ObjectId();
+const carol = new mongoose.Types.ObjectId();
+
+const seats = [
+  { userId: alice, username: 'alice', seat: 0, startingStack: 1000, holeCards: cards('As Ks') },
+  { userId: bobby, username: 'bobby', seat: 1, startingStack: 800, holeCards: cards('Qh Qd') },
+  { userId: carol, username: 'carol', seat: 2, startingStack: 500, holeCards: cards('7c 2d') }
+];
+
+const blinds = [
+  { type: 'smallBlind', bettingRound: 'preFlop', userId: bobby, username: 'bobby', amount: 10, betTo: 10 },
+  { type: 'bigBlind', bettingRound: 'preFlop', userId: carol, username: 'carol', amount: 20, betTo: 20 }
+];
+
+// Alice raises, bobby calls, carol folds, then alice bets the flop and bobby folds
+const foldedHand = () => new Hand({
+  gameId: new mongoose.Types.ObjectId(),
+  handNumber: 1,
+  status: 'completed',
+  smallBlind: 10,
+  bigBlind: 20,
+  dealerPosition: 0,
+  smallBlindPosition: 1,
+  bigBlindPosition: 2,
+  seats,
+  actions: [
+    ...blinds,
+    { type: 'raise', bettingRound: 'preFlop', userId: alice, username: 'alice', amount: 60, betTo: 60 },
+    { type: 'call', bettingRound: 'preFlop', userId: bobby, username: 'bobby', amount: 50, betTo: 60 },
+    { type: 'fold', bettingRound: 'preFlop', userId: carol, username: 'carol' },
+    { type: 'deal', bettingRound: 'flop', cards: cards('Ah 8d 3c') },
+    { type: 'bet', bettingRound: 'flop', userId: alice, username: 'alice', amount: 100, betTo: 100 },
+    { type: 'fold', bettingRound: 'flop', userId: bobby, username: 'bobby' }
+  ],
+  board: cards('Ah 8d 3c'),
+  pot: 140,
+  uncalledBet: { userId: alice, amount: 100 },
+  pots: [{ amount: 140, eligiblePlayers: [alice], winners: [{ userId: alice, amount: 140 }] }],
+  winners: [{ userId: alice, username: 'alice', amount: 140, handName: null }],
+  createdAt: new Date(Date.UTC(2024, 0, 31, 18, 5, 9))
+});
+
+// Bobby moves all in before the flop, carol calls with less and the board runs out
+const showdownHand = () => new Hand({
+  gameId: new mongoose.Types.ObjectId(),
+  handNumber: 2,
+  status: 'completed',
+  smallBlind: 10,
+  bigBlind: 20,
+  dealerPosition: 0,
+  smallBlindPosition: 1,
+  bigBlindPosition: 2,
+  seats,
+  actions: [
+    ...blinds,
+    { type: 'fold', bettingRound: 'preFlop', userId: alice, username: 'alice' },
+    { type: 'allin', bettingRound: 'preFlop', userId: bobby, username: 'bobby', amount: 790, betTo: 800, isAllIn: true },
+    { type: 'call', bettingRound: 'preFlop', userId: carol, username: 'carol', amount: 480, betTo: 500, isAllIn: true },
+    { type: 'deal', bettingRound: 'flop', cards: cards('Kc 9h 4s') },
+    { type: 'deal', bettingRound: 'turn', cards: cards('Jd') },
+    { type: 'deal', bettingRound: 'river', cards: cards('5h') }
+  ],
+  board: cards('Kc 9h 4s Jd 5h'),
+  pot: 1000,
+  uncalledBet: { userId: bobby, amount: 300 },
+  pots: [{ amount: 1000, eligiblePlayers: [bobby, carol], winners: [{ userId: bobby, amount: 1000 }] }],
+  showdown: [
+    { userId: bobby, username: 'bobby', holeCards: cards('Qh Qd'), handRank: 'onePair', handName: 'One Pair' },
+    { userId: carol, username: 'carol', holeCards: cards('7c 2d'), handRank: 'highCard', handName: 'High Card' }
+  ],
+  winners: [{ userId: bobby, username: 'bobby', amount: 1000, handName: 'One Pair' }],
+  createdAt: new Date(Date.UTC(2024, 0, 31, 18, 7, 0))
+});
+
+test('a hand won without a showdown is written in PokerStars order', () => {
+  const lines = formatHand(foldedHand(), 'Friday', alice).split('\n');
+
+  assert.match(lines[0], /^PokerStars Hand #\d+: Hold'em No Limit \(10\/20\) - 2024\/01\/31 18:05:09 UTC$/);
+  assert.deepEqual(lines.slice(1, 14), [
+    "Table 'Friday' 6-max Seat #1 is the button",
+    'Seat 1: alice (1000 in chips)',
+    'Seat 2: bobby (800 in chips)',
+    'Seat 3: carol (500 in chips)',
+    'bobby: posts small blind 10',
+    'carol: posts big blind 20',
+    '*** HOLE CARDS ***',
+    'Dealt to alice [As Ks]',
+    'alice: raises 40 to 60',
+    'bobby: calls 50',
+    'carol: folds',
+    '*** FLOP *** [Ah 8d 3c]',
+    'alice: bets 100'
+  ]);
+  assert.deepEqual(lines.slice(14), [
+    'bobby: folds',
+    'Uncalled bet (100) returned to alice',
+    'alice collected 140 from pot',
+    '*** SUMMARY ***',
+    'Total pot 140 | Rake 0',
+    'Board [Ah 8d 3c]',
+    'Seat 1: alice (button) collected (140)',
+    'Seat 2: bobby (small blind) folded on the Flop',
+    'Seat 3: carol (big blind) folded before Flop'
+  ]);
+});
+
+test('a showdown prints every street, the shown hands and the uncalled part of the all-in', () => {
+  const text = formatHand(showdownHand(), 'Friday', carol);
+
+  assert.ok(text.includes('bobby: raises 780 to 800 and is all-in'));
+  assert.ok(text.includes('carol: calls 480 and is all-in'));
+  assert.ok(text.includes('*** TURN *** [Kc 9h 4s] [Jd]'));
+  assert.ok(text.includes('*** RIVER *** [Kc 9h 4s Jd] [5h]'));
+  assert.ok(text.includes('Uncalled bet (300) returned to bobby'));
+  assert.ok(text.includes('*** SHOW DOWN ***\nbobby: shows [Qh Qd] (One Pair)\ncarol: shows [7c 2d] (High Card)'));
+  assert.ok(text.includes('Seat 2: bobby (small blind) showed [Qh Qd] and won (1000) with One Pair'));
+  assert.ok(text.includes('Seat 3: carol (big blind) showed [7c 2d] and lost with High Card'));
+});
+
+test('only the viewer\'s own unshown hole cards are exported', () => {
+  assert.ok(formatHand(foldedHand(), 'Friday', bobby).includes('Dealt to bobby [Qh Qd]'));
+  assert.ok(!formatHand(foldedHand(), 'Friday', bobby).includes('As Ks'));
+  assert.ok(!formatHand(foldedHand(), 'Friday').includes('Dealt to'));
+});
+
+test('hands are separated by two blank lines and get distinct hand numbers', () => {
+  const text = formatHands([foldedHand(), showdownHand()], 'Friday');
+  const headers = text.split('\n\n\n').map(hand => hand.split('\n')[0]);
+
+  assert.equal(headers.length, 2);
+  assert.notEqual(headers[0].match(/#(\d+)/)[1], headers[1].match(/#(\d+)/)[1]);
+  assert.ok(text.endsWith('\n'));
+});
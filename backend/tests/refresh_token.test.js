@@ -0,0 +1,91 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/refresh_token.model');
+const tokens = require('../services/token.service');
+const { install } = require('./helpers/memory_store');
+
+let store;
+let stored;
+
+// Whether a stored token matches every field of a filter such as { replacedAt: null }
+const matches = (filter) => (token) => Object.entries(filter).every(([field, value]) =>
+  (field === 'userId' ? token.userId.equals(value) : token[field] === value));
+
+// The RefreshToken collection
+const stubTokens = () => {
+  stored = [];
+  mock.method(RefreshToken, 'create', async (doc) => {
+    const token = { _id: new mongoose.Types.ObjectId(), replacedAt: null, revokedAt: null, ...doc };
+    stored.push(token);
+    return token;
+  });
+  mock.method(RefreshToken, 'findOne', async (filter) => stored.find(matches(filter)) || null);
+  mock.method(RefreshToken, 'findOneAndUpdate', async ({ _id, ...filter }, update) => {
+    const token = stored.find(entry => entry._id.equals(_id) && matches(filter)(entry));
+    return token ? Object.assign(token, update.$set) : null;
+  });
+  mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    stored.filter(matches(filter)).forEach(token => Object.assign(token, update.$set));
+    return { acknowledged: true };
+  });
+};
+
+beforeEach(() => {
+  store = install();
+  stubTokens();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  store.restore();
+});
+
+test('a refresh token is swapped for a new pair in the same session and stored only as a hash', async () => {
+  const user = store.addUser('alice', 0);
+  const first = await tokens.issueTokens(user._id);
+
+  const second = await tokens.rotateRefreshToken(first.refreshToken);
+
+  assert.ok(second.token);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(stored.length, 2);
+  assert.equal(stored[0].family, stored[1].family);
+  assert.ok(!stored.some(token => token.tokenHash === first.refreshToken));
+});
+
+test('reusing a replaced token revokes the whole session', async () => {
+  const user = store.addUser('alice', 0);
+  const first = await tokens.issueTokens(user._id);
+  const second = await tokens.rotateRefreshToken(first.refreshToken);
+
+  await assert.rejects(tokens.rotateRefreshToken(first.refreshToken), /reuse detected/);
+
+  // The token the legitimate client holds is now dead too
+  await assert.rejects(tokens.rotateRefreshToken(second.refreshToken), /revoked/);
+  assert.ok(stored.every(token => token.revokedAt));
+});
+
+test('a logged-out or deactivated session cannot be renewed', async () => {
+  const alice = store.addUser('alice', 0);
+  const bobby = store.addUser('bobby', 0);
+  const aliceSession = await tokens.issueTokens(alice._id);
+  const bobbySession = await tokens.issueTokens(bobby._id);
+
+  assert.equal(await tokens.revokeRefreshToken(aliceSession.refreshToken), true);
+  await assert.rejects(tokens.rotateRefreshToken(aliceSession.refreshToken), /revoked/);
+
+  bobby.isActive = false;
+  await assert.rejects(tokens.rotateRefreshToken(bobbySession.refreshToken),
+    error => error instanceof tokens.TokenError && error.statusCode === 403);
+});
+
+test('unknown and expired tokens are refused', async () => {
+  const user = store.addUser('alice', 0);
+  const session = await tokens.issueTokens(user._id);
+  stored[0].expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(tokens.rotateRefreshToken(session.refreshToken), /Invalid or expired/);
+  await assert.rejects(tokens.rotateRefreshToken('not-a-token'), /Invalid or expired/);
+  await assert.rejects(tokens.rotateRefreshToken(undefined), error => error.statusCode === 400);
+});
@@ -0,0 +1,97 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const gameController = require('../controllers/game.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  store = install();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+// Call a game controller action for a user and return the response
+const call = async (action, user, gameId, body = {}) => {
+  const res = response();
+  await gameController[action](request({ userId: user._id, params: { gameId }, body }), res);
+  return res;
+};
+
+// A running cash game between the first two users
+const startCashGame = async (users, settings = {}) => {
+  const created = response();
+  await gameController.createGame(request({
+    userId: users[0]._id,
+    body: { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500, ...settings }
+  }), created);
+  assert.equal(created.statusCode, 201, created.body.message);
+
+  const gameId = created.body.game._id.toString();
+  assert.equal((await call('joinGame', users[1], gameId, { buyIn: 500 })).statusCode, 200);
+  assert.equal((await call('startGame', users[0], gameId)).statusCode, 200);
+  return gameId;
+};
+
+const seatOf = (game, user) => game.players.find(player => player.userId.toString() === user._id.toString());
+
+test('a player can join a running cash table and sits out the hand in progress', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const gameId = await startCashGame(users);
+
+  const res = await call('joinGame', users[2], gameId, { buyIn: 400, seat: 5 });
+
+  assert.equal(res.statusCode, 200, res.body.message);
+  const game = store.game(gameId);
+  const carol = seatOf(game, users[2]);
+  assert.equal(carol.position, 5);
+  assert.equal(carol.chipBalance, 400);
+  assert.ok(carol.hasFolded);
+  assert.ok(game.handInProgress);
+  assert.equal(users[2].chipBalance, 600);
+});
+
+test('a player joining a running table that is waiting for players is dealt in at once', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const gameId = await startCashGame(users);
+  assert.equal((await call('leaveGame', users[1], gameId)).statusCode, 200);
+  assert.equal(store.game(gameId).handInProgress, false);
+
+  const res = await call('joinGame', users[2], gameId, { buyIn: 400 });
+
+  assert.equal(res.statusCode, 200, res.body.message);
+  const game = store.game(gameId);
+  assert.ok(game.handInProgress);
+  assert.equal(seatOf(game, users[2]).hasFolded, false);
+  assert.equal(store.balance('pot', { gameId }), 30);
+});
+
+test('a tournament cannot be joined once it has started', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const gameId = await startCashGame(users, { gameType: 'tournament', tournament: { buyIn: 100, startingStack: 1000 } });
+
+  const res = await call('joinGame', users[2], gameId);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(users[2].chipBalance, 1000);
+});
+
+test('a waiting player whose seat could not be saved is not reported as seated', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const gameId = await startCashGame(users, { maxSeats: 2 });
+  assert.equal((await call('joinWaitingList', users[2], gameId, { buyIn: 300 })).statusCode, 200);
+
+  store.beforeSave = (game) => {
+    if (seatOf(game, users[2])) {
+      throw new Error('write failed');
+    }
+  };
+  const res = await call('leaveGame', users[1], gameId);
+
+  assert.equal(res.statusCode, 200, res.body.message);
+  assert.equal(seatOf(res.body.game, users[2]), undefined);
+  assert.equal(seatOf(store.game(gameId), users[2]), undefined);
+  assert.equal(users[2].chipBalance, 1000);
+});
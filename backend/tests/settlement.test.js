@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSettlement } = require('../utils/settlement');
+
+const balancesOf = (nets) => Object.entries(nets).map(([id, net]) => ({ id, net }));
+
+// Net result of each player once the payments have been made; all zero when settled
+const afterPaying = (nets, payments) => {
+  const left = { ...nets };
+  payments.forEach(({ from, to, amount }) => {
+    assert.ok(amount > 0);
+    left[from] += amount;
+    left[to] -= amount;
+  });
+  return left;
+};
+
+const settled = (nets) => Object.fromEntries(Object.keys(nets).map(id => [id, 0]));
+
+test('every player is cleared and nobody pays or receives without a result', () => {
+  const nets = { alice: 300, bobby: -120, carol: -80, david: -100, erin: 0 };
+
+  const payments = computeSettlement(balancesOf(nets));
+
+  assert.deepEqual(afterPaying(nets, payments), settled(nets));
+  assert.ok(payments.every(payment => payment.from !== 'erin' && payment.to !== 'erin'));
+  assert.equal(payments.length, 3);
+});
+
+test('players whose results cancel out are settled among themselves', () => {
+  // Biggest debtor to biggest creditor needs four payments here; settling
+  // { dan, ben } and { anna, eve, cleo } separately needs three
+  const nets = { anna: -4, ben: 8, cleo: 9, dan: -8, eve: -5 };
+
+  const payments = computeSettlement(balancesOf(nets));
+
+  assert.equal(payments.length, 3);
+  assert.deepEqual(afterPaying(nets, payments), settled(nets));
+  assert.deepEqual(payments.find(payment => payment.from === 'dan'), { from: 'dan', to: 'ben', amount: 8 });
+});
+
+test('a session with nothing to settle needs no payments', () => {
+  assert.deepEqual(computeSettlement(balancesOf({ alice: 0, bobby: 0 })), []);
+  assert.deepEqual(computeSettlement([]), []);
+});
+
+test('results that do not add up to zero are still paid off as far as they go', () => {
+  // The creditors are owed 10 chips more than the debtors lost
+  const nets = { alice: 60, bobby: 30, carol: -80 };
+
+  const payments = computeSettlement(balancesOf(nets));
+
+  assert.equal(payments.reduce((sum, payment) => sum + payment.amount, 0), 80);
+  assert.ok(payments.every(payment => payment.from === 'carol'));
+});
+
+test('large tables are settled with at most one payment fewer than the players', () => {
+  const nets = {};
+  for (let i = 0; i < 20; i++) {
+    nets[`player${i}`] = i < 10 ? -(i + 1) * 10 : (i - 9) * 10;
+  }
+
+  const payments = computeSettlement(balancesOf(nets));
+
+  assert.deepEqual(afterPaying(nets, payments), settled(nets));
+  assert.ok(payments.length <= 19);
+});
@@ -0,0 +1,115 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const TopUpRequest = require('../models/topup_request.model');
+const topUpController = require('../controllers/topup.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+let requests;
+
+// The TopUpRequest collection
+const stubRequests = () => {
+  requests = new Map();
+  mock.method(TopUpRequest, 'create', async (doc) => {
+    const topUpRequest = new TopUpRequest(doc);
+    requests.set(topUpRequest._id.toString(), topUpRequest);
+    return topUpRequest;
+  });
+  mock.method(TopUpRequest, 'findById', async (id) => requests.get(id.toString()) || null);
+  mock.method(TopUpRequest, 'findOneAndUpdate', async ({ _id, status }, update) => {
+    const topUpRequest = requests.get(_id.toString());
+    if (!topUpRequest || topUpRequest.status !== status) {
+      return null;
+    }
+    return topUpRequest.set(update.$set);
+  });
+  mock.method(TopUpRequest.prototype, 'save', async function() {
+    return this;
+  });
+};
+
+beforeEach(() => {
+  store = install();
+  stubRequests();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  store.restore();
+});
+
+// Submit a top-up request for a user and return its ID
+const submit = async (user, amount) => {
+  const res = response();
+  await topUpController.createTopUpRequest(request({
+    userId: user._id,
+    body: { amount, paymentMethod: 'bankTransfer', reference: 'TX-1' }
+  }), res);
+  assert.equal(res.statusCode, 201, res.body.message);
+  return res.body.topUpRequest._id.toString();
+};
+
+const review = async (action, banker, requestId, body = {}) => {
+  const res = response();
+  await topUpController[action](request({ userId: banker._id, params: { requestId }, body }), res);
+  return res;
+};
+
+test('a top-up request credits nothing until it is approved, and is paid only once', async () => {
+  const player = store.addUser('alice', 0);
+  const banker = store.addUser('bobby', 0);
+  const requestId = await submit(player, 500);
+  assert.equal(player.chipBalance, 0);
+
+  const approved = await review('approveTopUpRequest', banker, requestId);
+
+  assert.equal(approved.statusCode, 200, approved.body.message);
+  assert.equal(player.chipBalance, 500);
+  assert.equal(store.balance('bank'), -500);
+  assert.equal(requests.get(requestId).transactionId.toString(), store.transactions[0]._id.toString());
+
+  const again = await review('approveTopUpRequest', banker, requestId);
+  const rejectedLate = await review('rejectTopUpRequest', banker, requestId, { reason: 'Too late' });
+
+  assert.equal(again.statusCode, 409);
+  assert.equal(rejectedLate.statusCode, 409);
+  assert.equal(player.chipBalance, 500);
+  assert.equal(store.entries.length, 2);
+});
+
+test('a rejected request needs a reason, credits nothing and cannot be approved after', async () => {
+  const player = store.addUser('alice', 0);
+  const banker = store.addUser('bobby', 0);
+  const requestId = await submit(player, 500);
+
+  assert.equal((await review('rejectTopUpRequest', banker, requestId, { reason: ' ' })).statusCode, 400);
+  const rejected = await review('rejectTopUpRequest', banker, requestId, { reason: 'No payment received' });
+
+  assert.equal(rejected.statusCode, 200);
+  assert.equal(rejected.body.topUpRequest.reviewNote, 'No payment received');
+  assert.equal((await review('approveTopUpRequest', banker, requestId)).statusCode, 409);
+  assert.equal(player.chipBalance, 0);
+  assert.deepEqual(store.entries, []);
+});
+
+test('a reviewer cannot approve their own request', async () => {
+  const banker = store.addUser('bobby', 0);
+  const requestId = await submit(banker, 500);
+
+  const res = await review('approveTopUpRequest', banker, requestId);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(banker.chipBalance, 0);
+  assert.equal(requests.get(requestId).status, 'pending');
+  assert.deepEqual(store.entries, []);
+});
+
+test('requests with a bad amount or payment method are refused', async () => {
+  const player = store.addUser('alice', 0);
+  for (const body of [{ amount: 0 }, { amount: -10 }, { amount: 100, paymentMethod: 'barter' }]) {
+    const res = response();
+    await topUpController.createTopUpRequest(request({ userId: player._id, body }), res);
+    assert.equal(res.statusCode, 400);
+  }
+  assert.equal(requests.size, 0);
+});
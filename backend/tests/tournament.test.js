@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const gameController = require('../controllers/game.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  store = install();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+// Create a tournament hosted by the first user and let the others join it
+const createTournament = async (users, tournament) => {
+  const res = response();
+  await gameController.createGame(request({
+    userId: users[0]._id,
+    body: { name: 'Sunday Major', smallBlind: 10, bigBlind: 20, gameType: 'tournament', tournament }
+  }), res);
+  assert.equal(res.statusCode, 201, res.body.message);
+
+  const gameId = res.body.game._id.toString();
+  for (const user of users.slice(1)) {
+    const joined = response();
+    await gameController.joinGame(request({ userId: user._id, params: { gameId } }), joined);
+    assert.equal(joined.statusCode, 200, joined.body.message);
+  }
+  return store.game(gameId);
+};
+
+const endGame = async (game, userId) => {
+  const res = response();
+  await gameController.endGame(request({ userId, params: { gameId: game._id.toString() } }), res);
+  assert.equal(res.statusCode, 200, res.body.message);
+  return res.body;
+};
+
+test('a table refused for its buy-in does not use up a short code', async () => {
+  const alice = store.addUser('alice', 100);
+  for (const body of [
+    { gameType: 'tournament', tournament: { buyIn: 200, startingStack: 5000 } },
+    { buyIn: 500 }
+  ]) {
+    const res = response();
+    await gameController.createGame(request({
+      userId: alice._id,
+      body: { name: 'Sunday Major', smallBlind: 10, bigBlind: 20, ...body }
+    }), res);
+    assert.equal(res.statusCode, 400);
+  }
+
+  assert.deepEqual(store.codes, []);
+  assert.equal(alice.chipBalance, 100);
+});
+
+test('cancelling a tournament before it starts refunds every buy-in', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const game = await createTournament(users, { buyIn: 200, startingStack: 5000 });
+  assert.equal(store.balance('prize', { gameId: game._id }), 600);
+  users.forEach(user => assert.equal(user.chipBalance, 800));
+
+  const { results } = await endGame(game, users[0]._id);
+
+  assert.equal(store.balance('prize', { gameId: game._id }), 0);
+  users.forEach(user => assert.equal(user.chipBalance, 1000));
+  assert.deepEqual(results.map(result => result.cashOut), [200, 200, 200]);
+  assert.ok(store.codes.every(code => code.releasedAt !== null));
+});
+
+test('ending a started tournament mid-hand pays the whole pool out on the stacks', async () => {
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  const game = await createTournament(users, { buyIn: 100, startingStack: 1000, payouts: [70, 30] });
+
+  const started = response();
+  await gameController.startGame(request({ userId: users[0]._id, params: { gameId: game._id.toString() } }), started);
+  assert.equal(started.statusCode, 200, started.body.message);
+  assert.ok(store.game(game._id).handInProgress);
+  assert.equal(store.balance('pot', { gameId: game._id }), 0);
+
+  const { results } = await endGame(game, users[0]._id);
+
+  // The blinds go back to the stacks before the pool is split by the 70/30 table
+  assert.equal(store.game(game._id).players.reduce((sum, player) => sum + player.chipBalance, 0), 3000);
+  assert.deepEqual(results.map(result => result.prize), [210, 90, 0]);
+  assert.equal(store.balance('prize', { gameId: game._id }), 0);
+  assert.equal(store.balance('pot', { gameId: game._id }), 0);
+  assert.equal(users.reduce((sum, user) => sum + user.chipBalance, 0), 3000);
+});
+
+test('the last player left in a tournament wins it when everyone else leaves', async () => {
+  const users = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const game = await createTournament(users, { buyIn: 100, startingStack: 1000, payouts: [100] });
+  await gameController.startGame(request({ userId: users[0]._id, params: { gameId: game._id.toString() } }), response());
+
+  const res = response();
+  await gameController.leaveGame(request({ userId: users[1]._id, params: { gameId: game._id.toString() } }), res);
+
+  assert.equal(res.statusCode, 200, res.body.message);
+  assert.equal(store.game(game._id).status, 'completed');
+  assert.equal(users[0].chipBalance, 1100);
+  assert.equal(users[1].chipBalance, 900);
+  assert.equal(store.balance('prize', { gameId: game._id }), 0);
+});
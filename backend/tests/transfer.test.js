@@ -0,0 +1,130 @@
+// Transfers above this many chips wait for the receiver to accept them
+process.env.TRANSFER_CONFIRM_THRESHOLD = '1000';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user.model');
+const ChipTransfer = require('../models/chip_transfer.model');
+const transferController = require('../controllers/transfer.controller');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+let transfers;
+
+// The ChipTransfer collection, plus looking users up by username
+const stubTransfers = () => {
+  transfers = new Map();
+  mock.method(ChipTransfer.prototype, 'save', async function() {
+    transfers.set(this._id.toString(), this);
+    return this;
+  });
+  mock.method(ChipTransfer, 'findById', async (id) => transfers.get(id.toString()) || null);
+  mock.method(ChipTransfer, 'findOne', ({ _id, status }) => ({
+    session: async () => {
+      const chipTransfer = transfers.get(_id.toString());
+      return chipTransfer && chipTransfer.status === status ? chipTransfer : null;
+    }
+  }));
+  mock.method(ChipTransfer, 'findOneAndUpdate', async ({ _id, status }, update) => {
+    const chipTransfer = transfers.get(_id.toString());
+    return chipTransfer && chipTransfer.status === status ? chipTransfer.set(update.$set) : null;
+  });
+  mock.method(User, 'findOne', async ({ username }) =>
+    [...store.users.values()].find(user => user.username === username) || null);
+};
+
+beforeEach(() => {
+  store = install();
+  stubTransfers();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  store.restore();
+});
+
+const send = async (sender, toUsername, amount) => {
+  const res = response();
+  await transferController.createTransfer(request({ userId: sender._id, body: { toUsername, amount } }), res);
+  return res;
+};
+
+const answer = async (action, user, transferId) => {
+  const res = response();
+  await transferController[action](request({ userId: user._id, params: { transferId } }), res);
+  return res;
+};
+
+test('a small transfer moves the chips between wallets at once', async () => {
+  const alice = store.addUser('alice', 500);
+  const bobby = store.addUser('bobby', 0);
+
+  const res = await send(alice, 'bobby', 200);
+
+  assert.equal(res.statusCode, 201, res.body.message);
+  assert.equal(res.body.pending, false);
+  assert.equal(alice.chipBalance, 300);
+  assert.equal(bobby.chipBalance, 200);
+  assert.deepEqual(store.transactions.map(row => [row.userId.toString(), row.amount]), [
+    [alice._id.toString(), -200],
+    [bobby._id.toString(), 200]
+  ]);
+});
+
+test('transfers the sender cannot cover, to themselves or to nobody are refused', async () => {
+  const alice = store.addUser('alice', 500);
+  store.addUser('bobby', 0);
+
+  assert.equal((await send(alice, 'bobby', 501)).statusCode, 400);
+  assert.equal((await send(alice, 'alice', 10)).statusCode, 400);
+  assert.equal((await send(alice, 'nobody', 10)).statusCode, 404);
+  assert.equal((await send(alice, 'bobby', -10)).statusCode, 400);
+  assert.equal(alice.chipBalance, 500);
+  assert.deepEqual(store.entries, []);
+});
+
+test('a large transfer waits for the receiver and settles only once', async () => {
+  const alice = store.addUser('alice', 5000);
+  const bobby = store.addUser('bobby', 0);
+
+  const sent = await send(alice, 'bobby', 2000);
+  assert.equal(sent.body.pending, true);
+  assert.equal(alice.chipBalance, 5000);
+  const transferId = sent.body.transfer._id.toString();
+
+  assert.equal((await answer('acceptTransfer', alice, transferId)).statusCode, 403);
+  assert.equal((await answer('acceptTransfer', bobby, transferId)).statusCode, 200);
+  assert.equal((await answer('acceptTransfer', bobby, transferId)).statusCode, 409);
+  assert.equal((await answer('cancelTransfer', alice, transferId)).statusCode, 409);
+
+  assert.equal(alice.chipBalance, 3000);
+  assert.equal(bobby.chipBalance, 2000);
+});
+
+test('a large transfer the sender can no longer cover is not accepted', async () => {
+  const alice = store.addUser('alice', 5000);
+  const bobby = store.addUser('bobby', 0);
+  const sent = await send(alice, 'bobby', 2000);
+  alice.chipBalance = 1000;
+
+  const res = await answer('acceptTransfer', bobby, sent.body.transfer._id.toString());
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'The sender no longer has enough chips for this transfer');
+  assert.equal(bobby.chipBalance, 0);
+  assert.equal(transfers.get(sent.body.transfer._id.toString()).status, 'pending');
+});
+
+test('a declined transfer moves no chips', async () => {
+  const alice = store.addUser('alice', 5000);
+  const bobby = store.addUser('bobby', 0);
+  const sent = await send(alice, 'bobby', 2000);
+  const transferId = sent.body.transfer._id.toString();
+
+  assert.equal((await answer('declineTransfer', alice, transferId)).statusCode, 403);
+  assert.equal((await answer('declineTransfer', bobby, transferId)).statusCode, 200);
+  assert.equal((await answer('acceptTransfer', bobby, transferId)).statusCode, 409);
+
+  assert.equal(alice.chipBalance, 5000);
+  assert.equal(bobby.chipBalance, 0);
+});
@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Game = require('../models/game.model');
+const gameService = require('../services/game.service');
+const turnTimer = require('../services/turn_timer.service');
+const { install } = require('./helpers/memory_store');
+
+// The real clock; the store replaces turnTimer.schedule on the module
+const { schedule, cancel, restoreTimers } = turnTimer;
+
+let store;
+let game;
+
+// Let the promises started by a fired timer settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(async () => {
+  store = install();
+  mock.timers.enable({ apis: ['setTimeout'] });
+
+  const users = ['alice', 'bobby', 'carol'].map(name => store.addUser(name, 1000));
+  game = new Game({ name: 'Clock', hostId: users[0]._id, shortId: 'ABC234', smallBlind: 10, bigBlind: 20 });
+  users.forEach((user, position) => {
+    game.addPlayer({ userId: user._id, username: user.username, chipBalance: 500, buyIn: 500, isActive: true, position });
+  });
+  game.startGame();
+  game.startHand();
+  // The player to act has already run out of time
+  game.turnDeadline = new Date(Date.now() - 1000);
+  await game.save();
+});
+
+afterEach(() => {
+  cancel(game._id);
+  mock.timers.reset();
+  mock.restoreAll();
+  store.restore();
+});
+
+test('a timed-out player is folded when there is a bet to call', async () => {
+  schedule(store.game(game._id));
+  mock.timers.tick(1);
+  await settle();
+
+  const current = store.game(game._id);
+  const timedOut = game.players[game.currentPlayerIndex];
+  assert.ok(current.players.find(player => player.userId.toString() === timedOut.userId.toString()).hasFolded);
+  assert.notEqual(current.currentPlayerIndex, game.currentPlayerIndex);
+});
+
+test('a refused automatic action is retried instead of leaving the table without a clock', async () => {
+  const performAction = mock.method(gameService, 'performAction', async () =>
+    ({ success: false, statusCode: 400, code: 'invalid-action', message: 'Refused' }));
+
+  schedule(store.game(game._id));
+  mock.timers.tick(1);
+  await settle();
+  assert.equal(performAction.mock.callCount(), 1);
+
+  // The stored deadline has passed, so the next try waits for the retry delay
+  performAction.mock.restore();
+  mock.timers.tick(5000);
+  await settle();
+
+  assert.ok(store.game(game._id).players.some(player => player.hasFolded));
+});
+
+test('a failed write is retried after the delay', async () => {
+  let calls = 0;
+  const realAction = gameService.performAction;
+  mock.method(gameService, 'performAction', async (...args) => {
+    calls += 1;
+    if (calls === 1) {
+      throw new Error('connection reset');
+    }
+    return realAction(...args);
+  });
+
+  schedule(store.game(game._id));
+  mock.timers.tick(1);
+  await settle();
+  assert.equal(calls, 1);
+
+  mock.timers.tick(5000);
+  await settle();
+
+  assert.equal(calls, 2);
+  assert.ok(store.game(game._id).players.some(player => player.hasFolded));
+});
+
+test('timers are rebuilt from the stored deadlines after a restart', async () => {
+  const waiting = store.game(game._id);
+  waiting.turnDeadline = new Date(Date.now() + 10000);
+  await waiting.save();
+  mock.method(Game, 'find', async () => [store.game(game._id)]);
+
+  assert.equal(await restoreTimers(), 1);
+
+  mock.timers.tick(9000);
+  await settle();
+  assert.ok(store.game(game._id).players.every(player => !player.hasFolded));
+
+  mock.timers.tick(1000);
+  await settle();
+  assert.ok(store.game(game._id).players.some(player => player.hasFolded));
+});
@@ -0,0 +1,49 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const gameController = require('../controllers/game.controller');
+const { DEFAULT_VALUATION, valuationOf, toMoney, parseValuation } = require('../utils/valuation');
+const { install, request, response } = require('./helpers/memory_store');
+
+let store;
+
+beforeEach(() => {
+  store = install();
+});
+
+afterEach(() => {
+  store.restore();
+});
+
+test('a valuation is read from a request with defaults filled in', () => {
+  assert.deepEqual(parseValuation({}), { valuation: { ...DEFAULT_VALUATION } });
+  assert.deepEqual(parseValuation({ currency: ' usd ', chipValue: '0.25' }), { valuation: { currency: 'USD', chipValue: 0.25 } });
+  assert.ok(parseValuation({ currency: 'DOLLARS' }).error);
+  assert.ok(parseValuation({ chipValue: 0 }).error);
+  assert.ok(parseValuation({ chipValue: 'abc' }).error);
+});
+
+test('chips are turned into money at the valuation\'s rate, rounded to cents', () => {
+  assert.equal(toMoney(3, { currency: 'USD', chipValue: 0.1 }), 0.3);
+  assert.equal(toMoney(7, { currency: 'USD', chipValue: 0.333 }), 2.33);
+  assert.equal(toMoney(-40, { currency: 'IDR', chipValue: 500 }), -20000);
+  assert.deepEqual(valuationOf({}), { ...DEFAULT_VALUATION });
+});
+
+test('a game\'s chip movements are recorded at the game\'s valuation', async () => {
+  const [alice, bobby] = ['alice', 'bobby'].map(name => store.addUser(name, 1000));
+  const created = response();
+  await gameController.createGame(request({
+    userId: alice._id,
+    body: { name: 'Friday', smallBlind: 10, bigBlind: 20, buyIn: 500, currency: 'usd', chipValue: 0.25 }
+  }), created);
+  assert.equal(created.statusCode, 201, created.body.message);
+  const gameId = created.body.game._id.toString();
+
+  await gameController.joinGame(request({ userId: bobby._id, params: { gameId }, body: { buyIn: 400 } }), response());
+  await gameController.leaveGame(request({ userId: bobby._id, params: { gameId } }), response());
+
+  const rows = store.transactions.filter(row => row.userId.equals(bobby._id));
+  assert.deepEqual(rows.map(row => row.type), ['buyIn', 'cashOut', 'gameTransaction']);
+  assert.ok(rows.every(row => row.currency === 'USD' && row.chipValue === 0.25));
+  assert.equal(toMoney(rows[0].amount, rows[0]), -100);
+});
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Suit and rank order matches the CardSuit/CardRank enums in the Flutter client,
+// so cards can be sent as { suit, rank } indexes
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
+const SUIT_SYMBOLS = ['h', 'd', 'c', 's'];
+
+// Build an ordered 52-card deck
+exports.createDeck = () => {
+  const cards = [];
+  for (let suit = 0; suit < SUITS.length; suit++) {
+    for (let rank = 0; rank < RANKS.length; rank++) {
+      cards.push({ suit, rank });
+    }
+  }
+  return cards;
+};
+
+// Shuffle cards in place with a Fisher-Yates shuffle driven by the CSPRNG
+exports.shuffle = (cards) => {
+  for (let i = cards.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards;
+};
+
+// Build a freshly shuffled deck for a new hand
+exports.createShuffledDeck = () => exports.shuffle(exports.createDeck());
+
+// Short text form of a card, e.g. "As" or "Td"
+exports.cardToString = (card) => `${RANKS[card.rank]}${SUIT_SYMBOLS[card.suit]}`;
+
+exports.SUITS = SUITS;
+exports.RANKS = RANKS;
@@ -0,0 +1,156 @@
+// Texas Hold'em hand evaluator, ranking the best 5-card hand out of 5 to 7 cards.
+// Cards use the same { suit, rank } indexes as utils/deck.js (rank 0 = two, 12 = ace).
+
+// Hand categories, weakest first (same order as HandRank in the Flutter client)
+const HAND_RANKS = [
+  'highCard',
+  'onePair',
+  'twoPair',
+  'threeOfAKind',
+  'straight',
+  'flush',
+  'fullHouse',
+  'fourOfAKind',
+  'straightFlush',
+  'royalFlush'
+];
+
+const HAND_NAMES = {
+  highCard: 'High Card',
+  onePair: 'One Pair',
+  twoPair: 'Two Pair',
+  threeOfAKind: 'Three of a Kind',
+  straight: 'Straight',
+  flush: 'Flush',
+  fullHouse: 'Full House',
+  fourOfAKind: 'Four of a Kind',
+  straightFlush: 'Straight Flush',
+  royalFlush: 'Royal Flush'
+};
+
+const ACE = 12;
+const FIVE = 3;
+
+// Highest card of a straight made by five distinct ranks sorted high to low, or -1.
+// The wheel (A-2-3-4-5) counts as a five-high straight.
+const getStraightHigh = (ranks) => {
+  if (ranks.length !== 5) {
+    return -1;
+  }
+  if (ranks[0] - ranks[4] === 4) {
+    return ranks[0];
+  }
+  if (ranks[0] === ACE && ranks[1] === FIVE && ranks[4] === 0) {
+    return FIVE;
+  }
+  return -1;
+};
+
+// Evaluate exactly five cards into a category plus tiebreak values
+const evaluateFive = (cards) => {
+  const counts = new Map();
+  cards.forEach(card => counts.set(card.rank, (counts.get(card.rank) || 0) + 1));
+
+  // Ranks grouped by how often they appear, then by rank, e.g. full house = [trips, pair]
+  const groups = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  const groupRanks = groups.map(([rank]) => rank);
+  const groupSizes = groups.map(([, size]) => size);
+
+  const isFlush = cards.every(card => card.suit === cards[0].suit);
+  const straightHigh = getStraightHigh(groupRanks);
+
+  let rank;
+  let values = groupRanks;
+
+  if (straightHigh !== -1 && isFlush) {
+    rank = straightHigh === ACE ? 'royalFlush' : 'straightFlush';
+    values = [straightHigh];
+  } else if (groupSizes[0] === 4) {
+    rank = 'fourOfAKind';
+  } else if (groupSizes[0] === 3 && groupSizes[1] === 2) {
+    rank = 'fullHouse';
+  } else if (isFlush) {
+    rank = 'flush';
+  } else if (straightHigh !== -1) {
+    rank = 'straight';
+    values = [straightHigh];
+  } else if (groupSizes[0] === 3) {
+    rank = 'threeOfAKind';
+  } else if (groupSizes[0] === 2 && groupSizes[1] === 2) {
+    rank = 'twoPair';
+  } else if (groupSizes[0] === 2) {
+    rank = 'onePair';
+  } else {
+    rank = 'highCard';
+  }
+
+  return {
+    rank,
+    rankValue: HAND_RANKS.indexOf(rank),
+    name: HAND_NAMES[rank],
+    values,
+    cards
+  };
+};
+
+// All 5-card combinations of the given cards
+const combinations = (cards, size = 5, start = 0, picked = [], result = []) => {
+  if (picked.length === size) {
+    result.push([...picked]);
+    return result;
+  }
+  for (let i = start; i <= cards.length - (size - picked.length); i++) {
+    picked.push(cards[i]);
+    combinations(cards, size, i + 1, picked, result);
+    picked.pop();
+  }
+  return result;
+};
+
+// Compare two evaluations: positive if a is better, negative if b is better, 0 for a tie
+const compareHands = (a, b) => {
+  if (a.rankValue !== b.rankValue) {
+    return a.rankValue - b.rankValue;
+  }
+  for (let i = 0; i < Math.max(a.values.length, b.values.length); i++) {
+    const diff = (a.values[i] ?? -1) - (b.values[i] ?? -1);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+};
+
+// Find the best 5-card hand among 5 to 7 cards
+const evaluateHand = (cards) => {
+  if (cards.length < 5 || cards.length > 7) {
+    throw new Error(`Cannot evaluate a hand of ${cards.length} cards`);
+  }
+
+  return combinations(cards)
+    .map(evaluateFive)
+    .reduce((best, hand) => (compareHands(hand, best) > 0 ? hand : best));
+};
+
+// Indexes of the winning hands in a list of evaluations (several on a tie)
+const findWinners = (hands) => {
+  let winners = [];
+  hands.forEach((hand, index) => {
+    const comparison = winners.length === 0 ? 1 : compareHands(hand, hands[winners[0]]);
+    if (comparison > 0) {
+      winners = [index];
+    } else if (comparison === 0) {
+      winners.push(index);
+    }
+  });
+  return winners;
+};
+
+module.exports = {
+  HAND_RANKS,
+  HAND_NAMES,
+  evaluateHand,
+  compareHands,
+  findWinners
+};
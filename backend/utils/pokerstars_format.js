@@ -0,0 +1,203 @@
+const { cardToString } = require('./deck');
+
+// Renders recorded hands (models/hand.model.js) as PokerStars-style hand-history text,
+// which most tracking and review tools can import
+
+const STREET_HEADERS = {
+  flop: 'FLOP',
+  turn: 'TURN',
+  river: 'RIVER'
+};
+
+const FOLDED_ON = {
+  preFlop: 'folded before Flop',
+  flop: 'folded on the Flop',
+  turn: 'folded on the Turn',
+  river: 'folded on the River'
+};
+
+const cardsToString = cards => `[${cards.map(cardToString).join(' ')}]`;
+
+const pad = value => String(value).padStart(2, '0');
+
+// Date in the "2024/01/31 18:05:09 UTC" form used in hand headers
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
+};
+
+// Numeric hand ID built from the hand's ObjectId (creation time and counter), unique
+// across games and small enough for tools that store it as a 64-bit integer
+const numericHandId = (hand) => {
+  const hex = hand._id.toString();
+  return ((BigInt(`0x${hex.slice(0, 8)}`) << 24n) | BigInt(`0x${hex.slice(18)}`)).toString();
+};
+
+// Table sizes tools recognise, big enough for every seat index used in the hand
+const tableSize = (hand) => {
+  const seats = Math.max(...hand.seats.map(seat => seat.seat + 1), hand.dealerPosition + 1);
+  return [2, 6, 9, 10].find(size => size >= seats) || seats;
+};
+
+// One line per action in the hand
+const formatAction = (action, tableBet) => {
+  const allIn = action.isAllIn ? ' and is all-in' : '';
+
+  switch (action.type) {
+    case 'ante':
+      return `${action.username}: posts the ante ${action.amount}${allIn}`;
+    case 'smallBlind':
+      return `${action.username}: posts small blind ${action.amount}${allIn}`;
+    case 'bigBlind':
+      return `${action.username}: posts big blind ${action.amount}${allIn}`;
+    case 'check':
+      return `${action.username}: checks`;
+    case 'fold':
+      return `${action.username}: folds`;
+    case 'call':
+      return `${action.username}: calls ${action.amount}${allIn}`;
+    default:
+      // bet, raise and allin are all recorded as the total the player put in this street
+      if (action.betTo <= tableBet) {
+        return `${action.username}: calls ${action.amount}${allIn}`;
+      }
+      if (tableBet === 0) {
+        return `${action.username}: bets ${action.betTo}${allIn}`;
+      }
+      return `${action.username}: raises ${action.betTo - tableBet} to ${action.betTo}${allIn}`;
+  }
+};
+
+// Render one completed hand. viewerId decides whose unshown hole cards are printed.
+const formatHand = (hand, tableName, viewerId = null) => {
+  const lines = [];
+  const visible = hand.getVisibleHoleCards(viewerId);
+  const seatOf = userId => hand.seats.find(seat => seat.userId.toString() === userId.toString());
+  const seatNumber = seat => seat.seat + 1;
+
+  lines.push(
+    `PokerStars Hand #${numericHandId(hand)}: Hold'em No Limit (${hand.smallBlind}/${hand.bigBlind}) - ` +
+    formatDate(hand.createdAt)
+  );
+  lines.push(`Table '${tableName}' ${tableSize(hand)}-max Seat #${hand.dealerPosition + 1} is the button`);
+  hand.seats.forEach(seat => {
+    lines.push(`Seat ${seatNumber(seat)}: ${seat.username} (${seat.startingStack} in chips)`);
+  });
+
+  let tableBet = 0;
+  let street = 'preFlop';
+  const foldedOn = new Map();
+  let holeCardsPrinted = false;
+
+  const printHoleCards = () => {
+    lines.push('*** HOLE CARDS ***');
+    if (viewerId) {
+      const seat = seatOf(viewerId);
+      if (seat) {
+        lines.push(`Dealt to ${seat.username} ${cardsToString(visible.get(seat.userId.toString()))}`);
+      }
+    }
+    holeCardsPrinted = true;
+  };
+
+  let board = [];
+  hand.actions.forEach(action => {
+    if (action.type === 'deal') {
+      if (!holeCardsPrinted) {
+        printHoleCards();
+      }
+      street = action.bettingRound;
+      tableBet = 0;
+      const previous = board.length > 0 ? `${cardsToString(board)} ` : '';
+      board = [...board, ...action.cards];
+      lines.push(`*** ${STREET_HEADERS[street]} *** ${previous}${cardsToString(action.cards)}`);
+      return;
+    }
+
+    if (!['ante', 'smallBlind', 'bigBlind'].includes(action.type) && !holeCardsPrinted) {
+      printHoleCards();
+    }
+
+    lines.push(formatAction(action, tableBet));
+    tableBet = Math.max(tableBet, action.betTo);
+    if (action.type === 'fold') {
+      foldedOn.set(action.userId.toString(), street);
+    }
+  });
+
+  if (!holeCardsPrinted) {
+    printHoleCards();
+  }
+
+  if (hand.uncalledBet && hand.uncalledBet.userId && hand.uncalledBet.amount > 0) {
+    const seat = seatOf(hand.uncalledBet.userId);
+    lines.push(`Uncalled bet (${hand.uncalledBet.amount}) returned to ${seat ? seat.username : 'unknown'}`);
+  }
+
+  if (hand.showdown.length > 0) {
+    lines.push('*** SHOW DOWN ***');
+    hand.showdown.forEach(entry => {
+      lines.push(`${entry.username}: shows ${cardsToString(entry.holeCards)} (${entry.handName})`);
+    });
+  }
+
+  // Collections per pot, naming side pots when there is more than one pot
+  hand.pots.forEach((pot, index) => {
+    const potName = hand.pots.length === 1 ? 'pot' : (index === 0 ? 'main pot' : `side pot-${index}`);
+    pot.winners.forEach(winner => {
+      const seat = seatOf(winner.userId);
+      lines.push(`${seat ? seat.username : 'unknown'} collected ${winner.amount} from ${potName}`);
+    });
+  });
+
+  lines.push('*** SUMMARY ***');
+  const potDetails = hand.pots.length > 1
+    ? ' ' + hand.pots.map((pot, index) => `${index === 0 ? 'Main pot' : `Side pot-${index}`} ${pot.amount}.`).join(' ')
+    : '';
+  lines.push(`Total pot ${hand.pot}${potDetails} | Rake 0`);
+  if (hand.board.length > 0) {
+    lines.push(`Board ${cardsToString(hand.board)}`);
+  }
+
+  hand.seats.forEach(seat => {
+    const userId = seat.userId.toString();
+    let role = '';
+    if (seat.seat === hand.dealerPosition) {
+      role = ' (button)';
+    }
+    if (seat.seat === hand.smallBlindPosition) {
+      role += ' (small blind)';
+    } else if (seat.seat === hand.bigBlindPosition) {
+      role += ' (big blind)';
+    }
+
+    const shown = hand.showdown.find(entry => entry.userId.toString() === userId);
+    const won = hand.winners.find(winner => winner.userId.toString() === userId);
+    let outcome;
+    if (shown) {
+      outcome = won
+        ? `showed ${cardsToString(shown.holeCards)} and won (${won.amount}) with ${shown.handName}`
+        : `showed ${cardsToString(shown.holeCards)} and lost with ${shown.handName}`;
+    } else if (won) {
+      outcome = `collected (${won.amount})`;
+    } else if (foldedOn.has(userId)) {
+      outcome = FOLDED_ON[foldedOn.get(userId)];
+    } else {
+      outcome = 'mucked';
+    }
+
+    lines.push(`Seat ${seatNumber(seat)}: ${seat.username}${role} ${outcome}`);
+  });
+
+  return lines.join('\n');
+};
+
+// Render several hands the way hand-history files separate them
+const formatHands = (hands, tableName, viewerId = null) =>
+  hands.map(hand => formatHand(hand, tableName, viewerId)).join('\n\n\n') + '\n';
+
+module.exports = {
+  formatHand,
+  formatHands
+};
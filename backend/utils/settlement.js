@@ -0,0 +1,94 @@
+// Works out who pays whom at the end of a session so every player's net result is cleared
+// with as few payments as possible.
+
+// Largest group solved exactly; bigger tables fall back to the greedy pairing
+const MAX_EXACT_PLAYERS = 16;
+
+// Pay off a set of balances by repeatedly matching the biggest debtor with the biggest
+// creditor. Uses at most one payment fewer than the number of players.
+const settleGreedily = (balances) => {
+  const debtors = balances.filter(b => b.net < 0).map(b => ({ ...b, left: -b.net }));
+  const creditors = balances.filter(b => b.net > 0).map(b => ({ ...b, left: b.net }));
+  const payments = [];
+
+  while (debtors.length > 0 && creditors.length > 0) {
+    debtors.sort((a, b) => b.left - a.left);
+    creditors.sort((a, b) => b.left - a.left);
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+    const amount = Math.min(debtor.left, creditor.left);
+
+    payments.push({ from: debtor.id, to: creditor.id, amount });
+    debtor.left -= amount;
+    creditor.left -= amount;
+    if (debtor.left === 0) {
+      debtors.shift();
+    }
+    if (creditor.left === 0) {
+      creditors.shift();
+    }
+  }
+
+  return payments;
+};
+
+// Split balances that add up to zero into as many zero-sum groups as possible. Each group
+// of n players needs n - 1 payments, so more groups means fewer payments overall.
+const splitIntoZeroSumGroups = (balances) => {
+  const n = balances.length;
+  const full = (1 << n) - 1;
+  const sums = new Array(full + 1).fill(0);
+  const best = new Array(full + 1).fill(0);
+
+  for (let mask = 1; mask <= full; mask++) {
+    const low = mask & -mask;
+    sums[mask] = sums[mask ^ low] + balances[Math.log2(low)].net;
+
+    let most = 0;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) {
+        most = Math.max(most, best[mask ^ (1 << i)]);
+      }
+    }
+    best[mask] = most + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Walk back from the full set; every zero-sum set on the way closes a group
+  const groups = [];
+  let current = [];
+  let mask = full;
+  while (mask) {
+    const closes = sums[mask] === 0 ? 1 : 0;
+    for (let i = 0; i < n; i++) {
+      if ((mask & (1 << i)) && best[mask ^ (1 << i)] + closes === best[mask]) {
+        current.push(balances[i]);
+        mask ^= 1 << i;
+        break;
+      }
+    }
+    if (sums[mask] === 0 && current.length > 0) {
+      groups.push(current);
+      current = [];
+    }
+  }
+
+  return groups;
+};
+
+// Payments { from, to, amount } that clear balances [{ id, net }], where a positive net
+// is owed to the player and a negative net is owed by them
+const computeSettlement = (balances) => {
+  const open = balances.filter(b => b.net !== 0);
+  const total = open.reduce((sum, b) => sum + b.net, 0);
+
+  // Exact minimum only makes sense when the results add up to zero
+  if (total !== 0 || open.length > MAX_EXACT_PLAYERS) {
+    return settleGreedily(open);
+  }
+
+  return splitIntoZeroSumGroups(open).flatMap(settleGreedily);
+};
+
+module.exports = {
+  computeSettlement
+};
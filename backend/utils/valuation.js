@@ -0,0 +1,53 @@
+const { DEFAULT_CURRENCY, DEFAULT_CHIP_VALUE } = require('../config/config');
+
+// What chips are worth: a currency code and the value of one chip in that currency.
+// Games can set their own; everything else uses the system default.
+
+const DEFAULT_VALUATION = Object.freeze({
+  currency: DEFAULT_CURRENCY,
+  chipValue: DEFAULT_CHIP_VALUE
+});
+
+// Fixed rate used before valuations were stored (1 chip = 500 rupiah)
+const LEGACY_VALUATION = Object.freeze({
+  currency: 'IDR',
+  chipValue: 500
+});
+
+// Valuation of a game, falling back to the default for games created before it was stored
+const valuationOf = (game) => ({
+  currency: (game && game.currency) || DEFAULT_VALUATION.currency,
+  chipValue: (game && game.chipValue) || DEFAULT_VALUATION.chipValue
+});
+
+// Money value of a number of chips, rounded to cents
+const toMoney = (chips, valuation = DEFAULT_VALUATION) =>
+  Math.round(chips * valuation.chipValue * 100) / 100;
+
+// Read an optional { currency, chipValue } from a request body.
+// Returns { valuation } with defaults filled in, or { error }.
+const parseValuation = (body) => {
+  const currency = body.currency !== undefined
+    ? String(body.currency).trim().toUpperCase()
+    : DEFAULT_VALUATION.currency;
+  const chipValue = body.chipValue !== undefined
+    ? Number(body.chipValue)
+    : DEFAULT_VALUATION.chipValue;
+
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'Currency must be a 3-letter code such as IDR' };
+  }
+  if (!Number.isFinite(chipValue) || chipValue <= 0) {
+    return { error: 'Chip value must be a positive number' };
+  }
+
+  return { valuation: { currency, chipValue } };
+};
+
+module.exports = {
+  DEFAULT_VALUATION,
+  LEGACY_VALUATION,
+  valuationOf,
+  toMoney,
+  parseValuation
+};
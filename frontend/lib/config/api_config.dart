@@ -10,6 +10,7 @@ class ApiConfig {
   static const String topUpEndpoint = '/api/users/topup';
   static const String gamesEndpoint = '/api/games';
   static const String transactionsEndpoint = '/api/transactions';
+  static const String configEndpoint = '/api/config';
 
   // API timeout duration in seconds
   static const int timeoutDuration = 10;
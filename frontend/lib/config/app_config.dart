@@ -1,3 +1,8 @@
+import 'dart:convert';
+import 'package:http/http.dart' as http;
+
+import 'api_config.dart';
+
 class AppConfig {
   // App name
   static const String appName = 'Nyanguni Kancane';
@@ -5,8 +10,36 @@ class AppConfig {
   // App version
   static const String appVersion = '1.0.0';
 
-  // Chip to rupiah conversion rate
-  static const int chipToRupiahRate = 500; // 1 chip = 500 rupiah
+  // Default currency and value of one chip, replaced by the server's values
+  // from /api/config at startup. Games may use their own valuation.
+  static String currency = 'IDR';
+  static num chipValue = 500;
+
+  // Load the currency and chip value from the server, keeping the defaults if it can't be reached
+  static Future<void> loadServerConfig() async {
+    try {
+      final response = await http
+          .get(Uri.parse('${ApiConfig.baseUrl}${ApiConfig.configEndpoint}'))
+          .timeout(const Duration(seconds: ApiConfig.timeoutDuration));
+
+      if (response.statusCode == 200) {
+        final config = jsonDecode(response.body)['config'];
+        currency = config['currency'] ?? currency;
+        chipValue = config['chipValue'] ?? chipValue;
+      }
+    } catch (e) {
+      print('Error loading server config: $e');
+    }
+  }
+
+  // Money value of a number of chips, e.g. "IDR 25000"
+  static String formatChipValue(num chips, {String? currency, num? chipValue}) {
+    final value = chips * (chipValue ?? AppConfig.chipValue);
+    final text = value == value.roundToDouble()
+        ? value.round().toString()
+        : value.toStringAsFixed(2);
+    return '${currency ?? AppConfig.currency} $text';
+  }
 
   // Default game settings
   static const int defaultSmallBlind = 5;
@@ -2,6 +2,7 @@ import 'package:flutter/material.dart';
 import 'package:provider/provider.dart';
 import 'package:uuid/uuid.dart';
 
+import '../config/app_config.dart';
 import '../models/user_model.dart';
 import '../models/game_model.dart';
 import '../models/player_model.dart';
@@ -218,37 +219,37 @@ class _CreateGameScreenState extends State<CreateGameScreen> {
                     : const Text('Create Game'),
               ),
               const SizedBox(height: 16),
-              const Card(
+              Card(
                 child: Padding(
-                  padding: EdgeInsets.all(16.0),
+                  padding: const EdgeInsets.all(16.0),
                   child: Column(
                     crossAxisAlignment: CrossAxisAlignment.start,
                     children: [
-                      Text(
+                      const Text(
                         'Game Setup Information:',
                         style: TextStyle(
                           fontWeight: FontWeight.bold,
                           fontSize: 16,
                         ),
                       ),
-                      SizedBox(height: 8),
+                      const SizedBox(height: 8),
                       Text(
-                        '• 1 chip = 500 rupiah',
-                        style: TextStyle(fontSize: 14),
+                        '• 1 chip = ${AppConfig.formatChipValue(1)}',
+                        style: const TextStyle(fontSize: 14),
                       ),
                       Text(
-                        '• Default small blind is 5 chips (2,500 rupiah)',
-                        style: TextStyle(fontSize: 14),
+                        '• Default small blind is 5 chips (${AppConfig.formatChipValue(5)})',
+                        style: const TextStyle(fontSize: 14),
                       ),
                       Text(
-                        '• Default big blind is 10 chips (5,000 rupiah)',
-                        style: TextStyle(fontSize: 14),
+                        '• Default big blind is 10 chips (${AppConfig.formatChipValue(10)})',
+                        style: const TextStyle(fontSize: 14),
                       ),
-                      Text(
+                      const Text(
                         '• After creating the game, you can invite other players',
                         style: TextStyle(fontSize: 14),
                       ),
-                      Text(
+                      const Text(
                         '• Players will use a 6-character ID to join your game',
                         style: TextStyle(fontSize: 14),
                       ),
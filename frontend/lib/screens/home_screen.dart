@@ -1,6 +1,7 @@
 import 'package:flutter/material.dart';
 import 'package:provider/provider.dart';
 
+import '../config/app_config.dart';
 import '../models/user_model.dart';
 import '../services/auth_service.dart';
 import '../services/game_service_core.dart';
@@ -51,20 +52,20 @@ class _HomeScreenState extends State<HomeScreen> {
           content: Column(
             mainAxisSize: MainAxisSize.min,
             children: [
-              const Text('Enter amount to top up (in rupiah):'),
+              Text('Enter amount to top up (in ${AppConfig.currency}):'),
               TextField(
                 controller: amountController,
                 keyboardType: TextInputType.number,
-                decoration: const InputDecoration(
-                  prefixText: 'Rp ',
+                decoration: InputDecoration(
+                  prefixText: '${AppConfig.currency} ',
                   hintText: '50000',
                 ),
                 enabled: !isLoading,
               ),
               const SizedBox(height: 8),
-              const Text(
-                'Note: 1 chip = 500 rupiah',
-                style: TextStyle(
+              Text(
+                'Note: 1 chip = ${AppConfig.formatChipValue(1)}',
+                style: const TextStyle(
                   fontSize: 12,
                   fontStyle: FontStyle.italic,
                 ),
@@ -84,7 +85,7 @@ class _HomeScreenState extends State<HomeScreen> {
                     isLoading = true;
                   });
 
-                  final chipAmount = (rupiahAmount / 500).floor();
+                  final chipAmount = (rupiahAmount / AppConfig.chipValue).floor();
 
                   // Create transaction service instance
                   final transactionService = TransactionService();
@@ -98,7 +99,15 @@ class _HomeScreenState extends State<HomeScreen> {
                   // Pop the dialog whether successful or not
                   Navigator.of(ctx).pop();
 
-                  if (result['success']) {
+                  if (result['success'] && result['pending'] == true) {
+                    // The chips are only granted once an admin approves the request
+                    ScaffoldMessenger.of(context).showSnackBar(
+                      SnackBar(
+                        content: Text('Top-up request for $chipAmount chips submitted, awaiting approval'),
+                        backgroundColor: Colors.green,
+                      ),
+                    );
+                  } else if (result['success']) {
                     // Update chip balance in user model only after confirmed by server
                     userModel.updateChipBalance(result['chipBalance']);
 
@@ -1,6 +1,7 @@
 import 'package:flutter/material.dart';
 import 'package:provider/provider.dart';
 
+import '../config/app_config.dart';
 import '../models/user_model.dart';
 
 class ProfileScreen extends StatelessWidget {
@@ -77,9 +78,9 @@ class ProfileScreen extends StatelessWidget {
             Card(
               child: ListTile(
                 leading: const Icon(Icons.currency_exchange),
-                title: const Text('Rupiah Value'),
+                title: const Text('Chip Value'),
                 trailing: Text(
-                  'Rp ${userModel.chipBalance * 500}',
+                  AppConfig.formatChipValue(userModel.chipBalance),
                   style: const TextStyle(
                     fontWeight: FontWeight.bold,
                     fontSize: 16,
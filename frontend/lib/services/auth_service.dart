@@ -97,6 +97,11 @@ class AuthService {
         // Save the new token
         await prefs.setString(_authTokenKey, newToken);
 
+        // The server rotates the refresh token on every use, so keep the new one
+        if (responseData['refreshToken'] != null) {
+          await prefs.setString(_refreshTokenKey, responseData['refreshToken']);
+        }
+
         return {
           'success': true,
           'token': newToken,
@@ -243,9 +248,28 @@ class AuthService {
     await prefs.setString(_refreshTokenKey, refreshToken);
   }
 
-  // Logout - remove all tokens
+  // Logout - revoke the session on the server and remove all tokens
   Future<void> logout() async {
     final prefs = await SharedPreferences.getInstance();
+    final refreshToken = prefs.getString(_refreshTokenKey);
+
+    if (refreshToken != null) {
+      try {
+        await http.post(
+          Uri.parse('${ApiConfig.baseUrl}/api/users/logout'),
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: jsonEncode({
+            'refreshToken': refreshToken,
+          }),
+        );
+      } catch (e) {
+        // Still log out locally when the server can't be reached
+        print('Error revoking refresh token: $e');
+      }
+    }
+
     await prefs.remove(_authTokenKey);
     await prefs.remove(_refreshTokenKey);
     await prefs.remove(_tokenExpiryKey);
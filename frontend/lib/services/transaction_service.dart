@@ -187,9 +187,12 @@ class TransactionService {
       try {
         final responseData = jsonDecode(response.body);
 
-        if (response.statusCode == 200 && responseData['success'] == true) {
+        // Top-ups are created as requests (201) and credited once an admin approves them
+        if ((response.statusCode == 200 || response.statusCode == 201) &&
+            responseData['success'] == true) {
           return {
             'success': true,
+            'pending': responseData['pending'] ?? false,
             'message': responseData['message'] ?? 'Top-up successful',
             'chipBalance': responseData['chipBalance'] ?? 0,
           };